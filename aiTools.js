@@ -0,0 +1,278 @@
+// aiTools.js - Functions the model can call while answering a customer, run against our KV data
+import { getItemAvailability } from './menuCatalog.js';
+import { formatOrderLines } from './orderManager.js';
+import { formatOrderStatusAnswer } from './orderMessages.js';
+import { formatUnavailableReason } from './reservationManager.js';
+import { formatLeisureUnavailable } from './leisureBookings.js';
+import { formatLocalTime } from './schedule.js';
+
+// How many rounds of tool calls a single customer message may trigger before the model must answer
+export const MAX_TOOL_ROUNDS = 4;
+
+// JSON schema of the fields shared by the order block and the create_order tool
+const ORDER_ITEM_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', description: 'Nom exact du plat dans le menu' },
+    size: { type: ['string', 'null'], description: 'Taille ou portion choisie, null si le plat a un seul prix' },
+    quantity: { type: 'integer', minimum: 1 },
+    extraSides: { type: 'integer', minimum: 0, description: 'Portions de complément supplémentaires' },
+    extraCheese: { type: 'boolean', description: 'Fromage en plus sur une pizza' },
+    notes: { type: 'string' }
+  },
+  required: ['name', 'quantity']
+};
+
+const tool = (name, description, properties = {}, required = []) => ({
+  type: 'function',
+  function: {
+    name,
+    description,
+    parameters: { type: 'object', properties, required }
+  }
+});
+
+// Tool definitions in the OpenAI function calling format
+export const AI_TOOLS = [
+  tool('get_menu_item', "Chercher un plat du menu par son nom: prix, tailles, description et disponibilité aujourd'hui.", {
+    name: { type: 'string', description: "Nom du plat tel que le client l'écrit" }
+  }, ['name']),
+  tool('search_knowledge', 'Chercher dans nos réponses standards et nos règles (allergies, paiement, réductions, services...).', {
+    query: { type: 'string', description: 'La question du client, avec ses mots-clés' }
+  }, ['query']),
+  tool('check_availability', 'Vérifier sans réserver si une table (restaurant ou lounge) ou un jeu (billard, babyfoot, jeux) est libre.', {
+    kind: { type: 'string', enum: ['table', 'game'] },
+    date: { type: 'string', description: 'AAAA-MM-JJ' },
+    time: { type: 'string', description: 'HH:MM' },
+    partySize: { type: 'integer', description: 'Nombre de personnes (tables)' },
+    area: { type: 'string', enum: ['restaurant', 'lounge'], description: 'Espace (tables)' },
+    type: { type: 'string', enum: ['billard', 'babyfoot', 'jeux'], description: 'Jeu (jeux)' },
+    durationMinutes: { type: 'integer', description: 'Durée en minutes (jeux)' }
+  }, ['kind', 'date', 'time']),
+  tool('create_order', 'Enregistrer ou mettre à jour la commande complète du client. Le système calcule les totaux.', {
+    status: { type: 'string', enum: ['draft', 'confirmed'], description: '"confirmed" uniquement quand le client a confirmé sa commande finale' },
+    items: { type: 'array', items: ORDER_ITEM_SCHEMA },
+    fulfillment: { type: 'string', enum: ['pickup', 'delivery'] },
+    address: { type: 'string' },
+    customerName: { type: 'string' },
+    requestedTime: { type: ['string', 'null'], description: 'HH:MM si le client veut sa commande plus tard' }
+  }, ['status', 'items', 'fulfillment']),
+  tool('get_order_status', "Consulter l'état d'une commande du client (la commande en cours si aucun numéro n'est donné).", {
+    orderNumber: { type: 'integer' }
+  }),
+  tool('make_reservation', "Enregistrer une demande de réservation de table, que l'équipe confirmera ensuite.", {
+    date: { type: 'string', description: 'AAAA-MM-JJ (date du soir pour une soirée après minuit)' },
+    time: { type: 'string', description: 'HH:MM' },
+    partySize: { type: 'integer', minimum: 1 },
+    area: { type: 'string', enum: ['restaurant', 'lounge'] },
+    occasion: { type: 'string' },
+    customerName: { type: 'string' },
+    notes: { type: 'string' }
+  }, ['date', 'time', 'partySize', 'area']),
+  tool('book_game', 'Réserver une table de billard, le babyfoot ou une table de jeux de société sur un créneau.', {
+    type: { type: 'string', enum: ['billard', 'babyfoot', 'jeux'] },
+    date: { type: 'string', description: 'AAAA-MM-JJ' },
+    time: { type: 'string', description: 'HH:MM, sur un créneau de 30 minutes' },
+    durationMinutes: { type: 'integer' },
+    players: { type: 'integer' },
+    customerName: { type: 'string' }
+  }, ['type', 'date', 'time']),
+  tool('request_human', "Prévenir l'équipe qu'un humain doit reprendre la conversation (réclamation, demande hors de tes moyens, client qui le demande).", {
+    reason: { type: 'string' }
+  }, ['reason'])
+];
+
+// Runs the tool calls of one customer message. Texts computed by the system (receipts, booking numbers)
+// are collected as notices and appended to the model's final answer, like for the tagged blocks.
+export class AIToolRun {
+  constructor(restaurantAI, userId) {
+    this.ai = restaurantAI;
+    this.userId = userId;
+    this.notices = [];
+    this.calls = [];
+  }
+
+  // Execute a tool call and return the message feeding its result back to the model
+  async execute(toolCall) {
+    let result;
+    try {
+      const args = JSON.parse(toolCall.arguments || '{}');
+      const handler = this.handlers[toolCall.name];
+      result = handler
+        ? await handler.call(this, args)
+        : { ok: false, error: `Unknown tool: ${toolCall.name}` };
+    } catch (error) {
+      console.error(`Tool ${toolCall.name} failed for user ${this.userId}:`, error);
+      result = { ok: false, error: error.message };
+    }
+
+    // Arguments and results hold customer names, phones and addresses: log the outcome only
+    console.log(`Tool ${toolCall.name} ${result?.ok === false ? 'failed' : 'succeeded'}`);
+    this.calls.push({ name: toolCall.name, arguments: toolCall.arguments, result });
+    return {
+      role: 'tool',
+      tool_call_id: toolCall.id,
+      content: JSON.stringify(result)
+    };
+  }
+
+  // Final text for the customer: the model's answer followed by the notices
+  finish(content) {
+    const text = [content, ...this.notices].filter(Boolean).join('\n\n');
+    return text || "Désolé, je n'ai pas pu traiter votre demande. Pourriez-vous reformuler?";
+  }
+
+  addNotice(notice) {
+    if (notice && !this.notices.includes(notice)) {
+      this.notices.push(notice);
+    }
+  }
+
+  get handlers() {
+    return {
+      get_menu_item: this.getMenuItem,
+      search_knowledge: this.searchKnowledge,
+      check_availability: this.checkAvailability,
+      create_order: this.createOrder,
+      get_order_status: this.getOrderStatus,
+      make_reservation: this.makeReservation,
+      book_game: this.bookGame,
+      request_human: this.requestHuman
+    };
+  }
+
+  async getMenuItem({ name }) {
+    const catalog = await this.ai.menuCatalog.getCatalog();
+    const match = this.ai.menuCatalog.matchItemByName(catalog, name);
+    if (!match) {
+      return { found: false, categories: catalog.categories.map(category => category.name) };
+    }
+
+    const { category, item } = match;
+    const availability = getItemAvailability(item);
+    return {
+      found: true,
+      name: item.name,
+      category: category.name,
+      description: item.description || '',
+      price: item.variants?.length ? null : item.price,
+      sizes: item.variants?.length ? item.variants.map(variant => ({ name: variant.name, price: variant.price })) : [],
+      available: availability.available,
+      unavailableReason: availability.reason
+    };
+  }
+
+  async searchKnowledge({ query }) {
+    const results = await this.ai.knowledgeBase.search(query);
+    return {
+      found: results.length > 0,
+      entries: results.map(({ entry }) => ({ question: entry.question, answer: entry.answer }))
+    };
+  }
+
+  async checkAvailability({ kind, ...data }) {
+    if (kind === 'game') {
+      const bookingData = this.ai.leisureBookings.normalizeBookingData(data);
+      const availability = await this.ai.leisureBookings.checkAvailability(bookingData);
+      return availability.available
+        ? { available: true, resource: availability.resource.name }
+        : {
+          available: false,
+          reason: formatLeisureUnavailable(bookingData, availability),
+          freeSlots: availability.alternatives.map(startsAt => formatLocalTime(startsAt))
+        };
+    }
+
+    const reservationData = this.ai.reservationManager.normalizeReservationData(data);
+    const availability = await this.ai.reservationManager.checkAvailability(reservationData);
+    return availability.available
+      ? { available: true, area: availability.area, seatsLeftAfterBooking: availability.remaining }
+      : { available: false, reason: formatUnavailableReason(availability) };
+  }
+
+  async createOrder(data) {
+    const { order, timing, notice } = await this.ai.applyOrderData(this.userId, data);
+    this.addNotice(notice);
+    return {
+      ok: true,
+      orderNumber: order.number,
+      status: order.status,
+      lines: formatOrderLines(order),
+      fulfillment: order.fulfillment,
+      total: order.total,
+      scheduledFor: order.scheduledFor ? formatLocalTime(order.scheduledFor) : null,
+      timingAllowed: timing ? timing.allowed : true,
+      note: 'Le récapitulatif avec le total exact est ajouté automatiquement à la fin de ta réponse.'
+    };
+  }
+
+  async getOrderStatus({ orderNumber } = {}) {
+    let order = null;
+    if (orderNumber) {
+      order = await this.ai.orderManager.findOrderByNumber(orderNumber);
+      // Never reveal another customer's order
+      if (order && order.userId !== this.userId) {
+        order = null;
+      }
+    } else {
+      order = await this.ai.getCurrentOrder(this.userId);
+    }
+
+    if (!order) {
+      return { found: false };
+    }
+    return {
+      found: true,
+      orderNumber: order.number,
+      status: order.status,
+      lines: formatOrderLines(order),
+      total: order.total,
+      answer: formatOrderStatusAnswer(order)
+    };
+  }
+
+  async makeReservation(data) {
+    const { reservation, availability, notice } = await this.ai.applyReservationData(this.userId, data);
+    if (!reservation) {
+      return { ok: false, reason: formatUnavailableReason(availability) };
+    }
+
+    this.addNotice(notice);
+    return {
+      ok: true,
+      reservationNumber: reservation.number,
+      status: reservation.status,
+      note: "La demande est enregistrée mais pas encore confirmée: l'équipe la confirme par message."
+    };
+  }
+
+  async bookGame(data) {
+    const { booking, availability, notice } = await this.ai.applyLeisureData(this.userId, data);
+    if (!booking) {
+      return {
+        ok: false,
+        reason: formatLeisureUnavailable(data, availability),
+        freeSlots: availability.alternatives.map(startsAt => formatLocalTime(startsAt))
+      };
+    }
+
+    this.addNotice(notice);
+    return { ok: true, bookingNumber: booking.number, resource: booking.resourceName };
+  }
+
+  async requestHuman({ reason }) {
+    if (this.calls.some(call => call.name === 'request_human' && call.result.ok)) {
+      return { ok: true, alreadyRequested: true };
+    }
+
+    await this.ai.createNotification({
+      type: 'help_needed',
+      title: 'AI Requested a Human Agent',
+      body: `Customer ${this.userId} needs a human agent: ${String(reason || '').substring(0, 100)}`,
+      userId: this.userId,
+      urgent: true,
+      lastMessage: reason
+    });
+    return { ok: true, note: "L'équipe a été prévenue et va répondre au client dans cette conversation." };
+  }
+}
@@ -0,0 +1,60 @@
+// analytics.js - Daily counters of what the assistant did (wrong prices caught in its replies...), per service day
+import { getServiceDay } from './schedule.js';
+
+// KV key prefix of the counters of a service day (analytics:YYYY-MM-DD)
+export const ANALYTICS_KEY_PREFIX = 'analytics:';
+
+// Counters are kept a little over a year
+export const ANALYTICS_TTL = 400 * 24 * 60 * 60;
+
+// Longest period the dashboard can ask for
+export const MAX_ANALYTICS_DAYS = 90;
+
+export const ANALYTICS_METRICS = {
+  price_incidents: 'AI replies with a wrong price',
+  price_corrected: 'Prices corrected automatically',
+  price_regenerated: 'Replies regenerated with the right prices',
+  price_annotated: 'Replies sent with the exact prices added'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class Analytics {
+  constructor(kvNamespace) {
+    if (!kvNamespace) {
+      throw new Error('KV namespace is required for Analytics');
+    }
+    this.kv = kvNamespace;
+  }
+
+  async getDay(date) {
+    const data = await this.kv.get(`${ANALYTICS_KEY_PREFIX}${date}`, 'json');
+    return data?.counters || {};
+  }
+
+  async increment(metric, amount = 1, now = new Date()) {
+    const { date } = getServiceDay(now);
+    const counters = await this.getDay(date);
+    counters[metric] = (counters[metric] || 0) + amount;
+    await this.kv.put(
+      `${ANALYTICS_KEY_PREFIX}${date}`,
+      JSON.stringify({ counters, updatedAt: Date.now() }),
+      { expirationTtl: ANALYTICS_TTL }
+    );
+    return counters[metric];
+  }
+
+  // Counters of the last service days, oldest first, with their totals over the period
+  async getCounters(days = 7, now = new Date()) {
+    const count = Math.min(Math.max(parseInt(days, 10) || 7, 1), MAX_ANALYTICS_DAYS);
+    const dates = Array.from({ length: count }, (_, index) => getServiceDay(new Date(now.getTime() - (count - 1 - index) * DAY_MS)).date);
+
+    const daily = await Promise.all(dates.map(async date => ({ date, counters: await this.getDay(date) })));
+    const totals = {};
+    daily.forEach(({ counters }) => Object.entries(counters).forEach(([metric, value]) => {
+      totals[metric] = (totals[metric] || 0) + value;
+    }));
+
+    return { from: dates[0], to: dates[dates.length - 1], days: daily, totals };
+  }
+}
@@ -0,0 +1,101 @@
+// conversationSummary.js - Rolling summary of the older turns of a conversation, so order and booking
+// details survive the history limit. Sent to the model with the recent messages and shown to agents.
+
+// The most recent messages are always sent to the model word for word
+export const KEEP_RECENT_MESSAGES = 10;
+
+// Older messages are folded into the summary once this many of them are waiting
+export const SUMMARY_BATCH_SIZE = 10;
+
+// Messages of the history not covered by the summary yet
+export function getUnsummarizedMessages(history, summary) {
+  const summarizedUntil = summary?.summarizedUntil || 0;
+  return history.filter(message => (message.timestamp || 0) > summarizedUntil);
+}
+
+// Split the unsummarized messages into those to fold into the summary now and those to keep verbatim.
+// pending is empty until a full batch is waiting.
+export function splitForSummary(history, summary) {
+  const unsummarized = getUnsummarizedMessages(history, summary);
+  let olderCount = Math.max(0, unsummarized.length - KEEP_RECENT_MESSAGES);
+  // The summary is tracked by timestamp: never cut between two messages stored in the same millisecond
+  while (olderCount > 0 && unsummarized[olderCount - 1].timestamp === unsummarized[olderCount]?.timestamp) {
+    olderCount--;
+  }
+  const due = olderCount >= SUMMARY_BATCH_SIZE;
+  return {
+    pending: due ? unsummarized.slice(0, olderCount) : [],
+    recent: due ? unsummarized.slice(olderCount) : unsummarized
+  };
+}
+
+// System message carrying the summary to the model
+export function formatSummaryForPrompt(summary) {
+  return `Résumé des échanges précédents avec ce client (plus anciens que les messages qui suivent):\n${summary.text}`;
+}
+
+// One line per message, with who wrote it
+function formatTranscript(messages) {
+  return messages.map(message => {
+    const author = message.role === 'user' ? 'Client' : (message.sentBy ? 'Équipe' : 'Assistant');
+    return `${author}: ${String(message.content || '').substring(0, 800)}`;
+  }).join('\n');
+}
+
+const SUMMARY_PROMPT = `Tu résumes une conversation WhatsApp entre le restaurant Complexe LeSims et un client, pour l'assistant et pour l'équipe qui peut reprendre la conversation.
+Garde tous les détails utiles: commandes (plats, tailles, quantités, prix, numéros de commande), mode de livraison et adresse, réservations (date, heure, nombre de personnes, numéros), nom du client, préférences, réclamations et ce qui lui a été promis.
+Mets à jour le résumé existant avec les nouveaux messages. Réponds avec le résumé seul, en français, en 12 lignes au maximum.`;
+
+export class ConversationSummarizer {
+  constructor(conversationManager, llmProviders) {
+    this.conversationManager = conversationManager;
+    this.llmProviders = llmProviders;
+  }
+
+  // Fold the older messages into the stored summary when a batch is due. Returns the summary to use,
+  // which is the previous one when nothing was due or the model could not be reached.
+  async refresh(userId) {
+    const history = await this.conversationManager.getUserHistory(userId);
+    const summary = await this.conversationManager.getSummary(userId);
+    const { pending } = splitForSummary(history, summary);
+    if (pending.length === 0) {
+      return summary;
+    }
+
+    const text = await this.summarize(summary?.text || '', pending);
+    if (!text) {
+      return summary;
+    }
+
+    const updated = {
+      text,
+      summarizedUntil: pending[pending.length - 1].timestamp,
+      messageCount: (summary?.messageCount || 0) + pending.length,
+      updatedAt: Date.now()
+    };
+    await this.conversationManager.saveSummary(userId, updated);
+    console.log(`Summarized ${pending.length} older messages of conversation ${userId}`);
+    return updated;
+  }
+
+  // One attempt per configured provider; null when none answered
+  async summarize(previousSummary, messages) {
+    const request = [
+      { role: 'system', content: SUMMARY_PROMPT },
+      {
+        role: 'user',
+        content: `${previousSummary ? `Résumé existant:\n${previousSummary}\n\n` : ''}Nouveaux messages:\n${formatTranscript(messages)}`
+      }
+    ];
+
+    for (const provider of await this.llmProviders.getProviders()) {
+      try {
+        const text = String(await provider.complete(request) || '').trim();
+        if (text) return text;
+      } catch (error) {
+        console.error(`Conversation summary with ${provider.name} failed:`, error);
+      }
+    }
+    return null;
+  }
+}
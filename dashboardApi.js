@@ -1,4 +1,20 @@
 // dashboardApi.js - Updated with improved CORS handling, debugging, and notification system
+import { MenuCatalog } from './menuCatalog.js';
+import { OrderManager, ORDER_TRANSITIONS } from './orderManager.js';
+import { DeliveryZones } from './deliveryZones.js';
+import { Schedule } from './schedule.js';
+import { DriverManager, formatDriverAssignment } from './driverManager.js';
+import { ReservationManager, RESERVATION_AREAS, RESERVATION_TRANSITIONS, formatReservationDecision } from './reservationManager.js';
+import { LeisureBookings, LEISURE_TYPES, formatLeisureCancellation } from './leisureBookings.js';
+import { EventsCatalog, EVENT_TYPES, formatFlyerCaption } from './eventsCatalog.js';
+import { LLMProviders, LLM_PROVIDER_TYPES } from './llmProviders.js';
+import { classifyWithRules, buildIntentNotification } from './intentClassifier.js';
+import { HandoffRules, HANDOFF_RULE_LABELS } from './handoffRules.js';
+import { PromptTemplates, PROMPT_SECTIONS } from './promptTemplates.js';
+import { KnowledgeBase, KNOWLEDGE_CATEGORIES } from './knowledgeBase.js';
+import { Analytics, ANALYTICS_METRICS } from './analytics.js';
+import { RestaurantAI } from './restaurantAI.js';
+import { formatOrderReceipt, formatStatusUpdate, detectConversationLanguage, CUSTOMER_STATUS_UPDATES } from './orderMessages.js';
 
 export class DashboardAPI {
   constructor(env) {
@@ -104,7 +120,8 @@ export class DashboardAPI {
           messageCount: conversationData.length,
           lastTimestamp,
           status: metadata.status || 'ai-handled',
-          handledBy: metadata.handledBy || 'ai-agent'
+          handledBy: metadata.handledBy || 'ai-agent',
+          priceReview: Boolean(metadata.priceReview?.pending)
         });
       }
       
@@ -156,12 +173,16 @@ export class DashboardAPI {
         createdAt: Date.now()
       };
       
+      // Summary of the messages older than the ones the AI still sees, for agents taking over
+      const summary = await this.kvStore.get(`chat_summary:${userId}`, 'json');
+      
       console.log(`Retrieved conversation with ${conversationData.length} messages`);
       
       return this.createResponse({
         userId,
         messages: conversationData,
-        metadata
+        metadata,
+        summary
       });
     } catch (error) {
       console.error('Error getting conversation:', error);
@@ -205,6 +226,10 @@ export class DashboardAPI {
         handledBy: agentId || (status === 'ai-handled' ? 'ai-agent' : currentMetadata.handledBy),
         lastUpdated: Date.now()
       };
+      // The automatic handoff rules only look at messages sent after the AI took the conversation back
+      if (status === 'ai-handled' && currentMetadata.status !== 'ai-handled') {
+        updatedMetadata.aiResumedAt = Date.now();
+      }
       
       console.log(`Storing updated metadata:`, updatedMetadata);
       await this.kvStore.put(metadataKey, JSON.stringify(updatedMetadata));
@@ -282,6 +307,90 @@ export class DashboardAPI {
     }
   }
 
+  // Draft replies for the agent handling a conversation. They are only returned to the dashboard:
+  // the agent inserts one in the composer, edits it and sends it like any other message.
+  async suggestReplies(userId) {
+    try {
+      console.log(`Drafting reply suggestions for userId: ${userId}`);
+      
+      if (!userId) {
+        return this.createResponse({ error: 'User ID is required' }, 400);
+      }
+      
+      const conversationData = await this.kvStore.get(`chat_history:${userId}`, 'json');
+      if (!conversationData) {
+        return this.createResponse({ error: 'Conversation not found' }, 404);
+      }
+      
+      const restaurantAI = new RestaurantAI(this.env.DEEPSEEK_API_KEY, this.kvStore, '', this.env);
+      const suggestions = await restaurantAI.suggestReplies(userId);
+      
+      return this.createResponse({
+        userId,
+        suggestions,
+        lastTimestamp: conversationData[conversationData.length - 1]?.timestamp || null
+      });
+    } catch (error) {
+      console.error('Error drafting reply suggestions:', error);
+      return this.createResponse({ 
+        error: 'Failed to draft reply suggestions',
+        message: error.message
+      }, 500);
+    }
+  }
+
+  // Clear the review flag set when the AI quoted wrong prices in a conversation
+  async markPriceReviewed(userId, agentId) {
+    try {
+      console.log(`Marking prices of userId: ${userId} as reviewed by agent: ${agentId}`);
+      
+      if (!userId) {
+        return this.createResponse({ error: 'User ID is required' }, 400);
+      }
+      
+      const metadataKey = `chat_metadata:${userId}`;
+      const currentMetadata = await this.kvStore.get(metadataKey, 'json');
+      if (!currentMetadata?.priceReview) {
+        return this.createResponse({ error: 'No price incident to review' }, 404);
+      }
+      
+      const updatedMetadata = {
+        ...currentMetadata,
+        priceReview: {
+          ...currentMetadata.priceReview,
+          pending: false,
+          reviewedAt: Date.now(),
+          reviewedBy: agentId || 'dashboard'
+        },
+        lastUpdated: Date.now()
+      };
+      await this.kvStore.put(metadataKey, JSON.stringify(updatedMetadata));
+      
+      return this.createResponse({ userId, priceReview: updatedMetadata.priceReview });
+    } catch (error) {
+      console.error('Error marking prices as reviewed:', error);
+      return this.createResponse({ 
+        error: 'Failed to mark prices as reviewed',
+        message: error.message
+      }, 500);
+    }
+  }
+
+  // Daily counters of the last days (price incidents...)
+  async getAnalytics(days) {
+    try {
+      console.log(`Getting analytics for the last ${days || 7} days`);
+      const analytics = await new Analytics(this.kvStore).getCounters(days || 7);
+      return this.createResponse({ success: true, ...analytics, metrics: ANALYTICS_METRICS });
+    } catch (error) {
+      console.error('Error getting analytics:', error);
+      return this.createResponse({ 
+        error: 'Failed to get analytics',
+        message: error.message
+      }, 500);
+    }
+  }
+
   // Create test data for debugging
   async createTestData(userId) {
     try {
@@ -547,42 +656,21 @@ export class DashboardAPI {
           metadata.status === 'ai-handled' && 
           currentTime - lastMessageTime < ACTIVITY_THRESHOLD
         ) {
-          // Only check user messages
-          if (lastMessage.role === 'user') {
-            const content = lastMessage.content.toLowerCase();
-            
-            // Check for help-related keywords
-            const helpPhrases = [
-              "help", "aide", "besoin", "need", "assist",
-              "comment", "how", "pourquoi", "why", "quand", "when",
-              "où", "where", "qui", "who", "aidez", "help me"
-            ];
-            
-            const helpRequested = helpPhrases.some(phrase => content.includes(phrase));
-            
-            if (helpRequested) {
-              await this.createNotification(
-                'help_needed',
-                'Customer Needs Help',
-                `Customer ${userId} appears to need assistance: "${lastMessage.content.substring(0, 50)}${lastMessage.content.length > 50 ? '...' : ''}"`,
-                userId,
-                { urgent: true, lastMessage: lastMessage.content }
-              );
-            }
-            
-            // Check for order-related keywords
-            if (
-              (content.includes('commander') || content.includes('order')) &&
-              (content.includes('confirme') || content.includes('confirm'))
-            ) {
-              // Create order confirmation notification
-              await this.createNotification(
-                'order_confirmed',
-                'Order Confirmed',
-                `Customer ${userId} has confirmed an order`,
-                userId,
-                { lastMessage: lastMessage.content }
-              );
+          // Only check user messages the AI has not labelled yet: labelled ones were checked on arrival.
+          // The history is left alone (the AI may be appending its reply); a separate key remembers
+          // which message was checked so it only notifies once.
+          const checkedKey = `intent_checked:${userId}`;
+          if (
+            lastMessage.role === 'user' &&
+            !lastMessage.intent &&
+            await this.kvStore.get(checkedKey) !== String(lastMessageTime)
+          ) {
+            await this.kvStore.put(checkedKey, String(lastMessageTime), { expirationTtl: 60 * 60 });
+            const label = classifyWithRules(lastMessage.content);
+            const notificationInfo = buildIntentNotification(userId, lastMessage.content, label);
+            if (notificationInfo) {
+              const { type, title, body, ...extraData } = notificationInfo;
+              await this.createNotification(type, title, body, userId, extraData);
             }
           }
         }
@@ -1067,6 +1155,742 @@ export class DashboardAPI {
   }
   
 
+  // Run a menu catalog operation and map validation errors to HTTP responses
+  async handleMenuAction(description, action) {
+    try {
+      console.log(`Menu API: ${description}`);
+      const menuCatalog = new MenuCatalog(this.kvStore);
+      const result = await action(menuCatalog);
+      return this.createResponse({ success: true, ...result });
+    } catch (error) {
+      console.error(`Error during menu action (${description}):`, error);
+      return this.createResponse({
+        error: error.status ? error.message : 'Menu operation failed',
+        message: error.message
+      }, error.status || 500);
+    }
+  }
+
+  // Route /api/menu requests (catalog, categories, items, prices and ordering)
+  async handleMenuRequest(request, path, url) {
+    const categoryId = url.searchParams.get('categoryId');
+    const itemId = url.searchParams.get('itemId');
+    const method = request.method;
+
+    if (path === '/api/menu' && method === 'GET') {
+      return this.handleMenuAction('get catalog', async menuCatalog => ({
+        catalog: menuCatalog.describeCatalog(await menuCatalog.getCatalog())
+      }));
+    }
+
+    if (path === '/api/menu/categories' && method === 'POST') {
+      const data = await request.json();
+      return this.handleMenuAction('create category', async menuCatalog => ({
+        category: await menuCatalog.addCategory(data)
+      }));
+    }
+
+    if (path === '/api/menu/categories' && method === 'PUT') {
+      const data = await request.json();
+      return this.handleMenuAction(`update category ${categoryId}`, async menuCatalog => ({
+        category: await menuCatalog.updateCategory(categoryId, data)
+      }));
+    }
+
+    if (path === '/api/menu/categories' && method === 'DELETE') {
+      return this.handleMenuAction(`delete category ${categoryId}`, async menuCatalog => ({
+        category: await menuCatalog.deleteCategory(categoryId)
+      }));
+    }
+
+    if (path === '/api/menu/categories/reorder' && method === 'PUT') {
+      const data = await request.json();
+      return this.handleMenuAction('reorder categories', async menuCatalog => ({
+        catalog: menuCatalog.describeCatalog(await menuCatalog.reorderCategories(data.categoryIds))
+      }));
+    }
+
+    if (path === '/api/menu/items' && method === 'POST') {
+      const data = await request.json();
+      return this.handleMenuAction(`create item in ${categoryId}`, async menuCatalog => ({
+        item: await menuCatalog.addItem(categoryId, data)
+      }));
+    }
+
+    if (path === '/api/menu/items' && method === 'PUT') {
+      const data = await request.json();
+      return this.handleMenuAction(`update item ${itemId}`, async menuCatalog => ({
+        item: menuCatalog.describeItem(await menuCatalog.updateItem(itemId, data))
+      }));
+    }
+
+    if (path === '/api/menu/items' && method === 'DELETE') {
+      return this.handleMenuAction(`delete item ${itemId}`, async menuCatalog => ({
+        item: await menuCatalog.deleteItem(itemId)
+      }));
+    }
+
+    if (path === '/api/menu/items/price' && method === 'PUT') {
+      const data = await request.json();
+      return this.handleMenuAction(`update price of ${itemId}`, async menuCatalog => ({
+        item: menuCatalog.describeItem(await menuCatalog.updateItemPrice(itemId, data))
+      }));
+    }
+
+    if (path === '/api/menu/items/reorder' && method === 'PUT') {
+      const data = await request.json();
+      return this.handleMenuAction(`reorder items of ${categoryId}`, async menuCatalog => {
+        const category = await menuCatalog.reorderItems(categoryId, data.itemIds);
+        return {
+          category: { ...category, items: category.items.map(menuItem => menuCatalog.describeItem(menuItem)) }
+        };
+      });
+    }
+
+    console.log(`Menu endpoint not found: ${method} ${path}`);
+    return this.createResponse({ error: 'Endpoint not found' }, 404);
+  }
+
+  // Route /api/delivery-zones requests (zone configuration and address lookup)
+  async handleDeliveryZoneRequest(request, path) {
+    const method = request.method;
+    const deliveryZones = new DeliveryZones(this.kvStore);
+
+    try {
+      if (path === '/api/delivery-zones' && method === 'GET') {
+        console.log('Delivery zones API: get zones');
+        return this.createResponse({ success: true, config: await deliveryZones.getConfig() });
+      }
+
+      if (path === '/api/delivery-zones' && method === 'PUT') {
+        const data = await request.json();
+        console.log('Delivery zones API: save zones');
+        return this.createResponse({ success: true, config: await deliveryZones.saveConfig(data) });
+      }
+
+      // Check which zone an address or a position falls in
+      if (path === '/api/delivery-zones/resolve' && method === 'POST') {
+        const data = await request.json();
+        console.log('Delivery zones API: resolve', data);
+        return this.createResponse({ success: true, zone: await deliveryZones.resolve(data) });
+      }
+    } catch (error) {
+      console.error('Error during delivery zones request:', error);
+      return this.createResponse({
+        error: error.status ? error.message : 'Delivery zones operation failed',
+        message: error.message
+      }, error.status || 500);
+    }
+
+    console.log(`Delivery zones endpoint not found: ${method} ${path}`);
+    return this.createResponse({ error: 'Endpoint not found' }, 404);
+  }
+
+  // Route /api/schedule requests (opening hours, delivery hours and holiday overrides)
+  async handleScheduleRequest(request, path) {
+    const method = request.method;
+    const schedule = new Schedule(this.kvStore);
+
+    try {
+      if (path === '/api/schedule' && method === 'GET') {
+        console.log('Schedule API: get schedule');
+        return this.createResponse({ success: true, schedule: await schedule.getSchedule() });
+      }
+
+      if (path === '/api/schedule' && method === 'PUT') {
+        const data = await request.json();
+        console.log('Schedule API: save schedule');
+        return this.createResponse({ success: true, schedule: await schedule.saveSchedule(data) });
+      }
+
+      // Current local time and open/closed state
+      if (path === '/api/schedule/status' && method === 'GET') {
+        console.log('Schedule API: get status');
+        return this.createResponse({ success: true, status: await schedule.getStatus() });
+      }
+    } catch (error) {
+      console.error('Error during schedule request:', error);
+      return this.createResponse({
+        error: error.status ? error.message : 'Schedule operation failed',
+        message: error.message
+      }, error.status || 500);
+    }
+
+    console.log(`Schedule endpoint not found: ${method} ${path}`);
+    return this.createResponse({ error: 'Endpoint not found' }, 404);
+  }
+
+  // Route /api/drivers requests (registered delivery driver numbers)
+  async handleDriverRequest(request, path, url) {
+    const method = request.method;
+    const driverManager = new DriverManager(this.kvStore);
+
+    try {
+      if (path === '/api/drivers' && method === 'GET') {
+        console.log('Drivers API: list drivers');
+        return this.createResponse({ success: true, drivers: await driverManager.listDrivers() });
+      }
+
+      if (path === '/api/drivers' && method === 'POST') {
+        const data = await request.json();
+        console.log('Drivers API: save driver', data.phone);
+        return this.createResponse({ success: true, driver: await driverManager.saveDriver(data) });
+      }
+
+      if (path === '/api/drivers' && method === 'DELETE') {
+        const phone = url.searchParams.get('phone');
+        console.log('Drivers API: delete driver', phone);
+        return this.createResponse({ success: true, phone: await driverManager.deleteDriver(phone) });
+      }
+    } catch (error) {
+      console.error('Error during drivers request:', error);
+      return this.createResponse({
+        error: error.status ? error.message : 'Drivers operation failed',
+        message: error.message
+      }, error.status || 500);
+    }
+
+    console.log(`Drivers endpoint not found: ${method} ${path}`);
+    return this.createResponse({ error: 'Endpoint not found' }, 404);
+  }
+
+  // Route /api/reservations requests (calendar listing and staff decisions)
+  async handleReservationRequest(request, path, url) {
+    const method = request.method;
+    const reservationId = url.searchParams.get('reservationId');
+    const reservationManager = new ReservationManager(this.kvStore);
+
+    try {
+      if (path === '/api/reservations' && method === 'GET') {
+        const status = url.searchParams.get('status');
+        const filters = {
+          from: url.searchParams.get('from') || undefined,
+          to: url.searchParams.get('to') || undefined,
+          area: url.searchParams.get('area') || undefined,
+          userId: url.searchParams.get('userId') || undefined,
+          status: status ? status.split(',').map(value => value.trim()).filter(Boolean) : undefined
+        };
+        console.log('Reservations API: list reservations', filters);
+        const reservations = await reservationManager.listReservations(filters);
+        return this.createResponse({
+          success: true,
+          reservations,
+          count: reservations.length,
+          areas: RESERVATION_AREAS,
+          transitions: RESERVATION_TRANSITIONS
+        });
+      }
+
+      if (path === '/api/reservation' && method === 'GET') {
+        console.log(`Reservations API: get reservation ${reservationId}`);
+        return this.createResponse({ success: true, reservation: await reservationManager.getReservation(reservationId) });
+      }
+
+      // Confirm, decline or cancel a booking and tell the customer on WhatsApp
+      if (path === '/api/reservations/status' && method === 'PUT') {
+        const data = await request.json();
+        console.log(`Reservations API: move reservation ${reservationId} to ${data.status}`);
+        const reservation = await reservationManager.transitionReservation(reservationId, data.status, {
+          by: data.agentId || 'dashboard',
+          note: data.note || ''
+        });
+        const customerNotified = await this.notifyReservationCustomer(reservation);
+        return this.createResponse({ success: true, reservation, customerNotified });
+      }
+    } catch (error) {
+      console.error('Error during reservations request:', error);
+      return this.createResponse({
+        error: error.status ? error.message : 'Reservation operation failed',
+        message: error.message
+      }, error.status || 500);
+    }
+
+    console.log(`Reservations endpoint not found: ${method} ${path}`);
+    return this.createResponse({ error: 'Endpoint not found' }, 404);
+  }
+
+  // Route /api/leisure requests (billiard, babyfoot and board game tables and their bookings)
+  async handleLeisureRequest(request, path, url) {
+    const method = request.method;
+    const leisureBookings = new LeisureBookings(this.kvStore);
+
+    try {
+      if (path === '/api/leisure/resources' && method === 'GET') {
+        console.log('Leisure API: get resources');
+        return this.createResponse({ success: true, config: await leisureBookings.getResources(), types: LEISURE_TYPES });
+      }
+
+      if (path === '/api/leisure/resources' && method === 'PUT') {
+        const data = await request.json();
+        console.log('Leisure API: save resources');
+        return this.createResponse({ success: true, config: await leisureBookings.saveResources(data) });
+      }
+
+      if (path === '/api/leisure/bookings' && method === 'GET') {
+        const status = url.searchParams.get('status');
+        const filters = {
+          from: url.searchParams.get('from') || undefined,
+          to: url.searchParams.get('to') || undefined,
+          resourceId: url.searchParams.get('resourceId') || undefined,
+          userId: url.searchParams.get('userId') || undefined,
+          status: status ? status.split(',').map(value => value.trim()).filter(Boolean) : undefined
+        };
+        console.log('Leisure API: list bookings', filters);
+        const bookings = await leisureBookings.listBookings(filters);
+        return this.createResponse({ success: true, bookings, count: bookings.length });
+      }
+
+      // Cancel a booking and tell the customer on WhatsApp
+      if (path === '/api/leisure/bookings/cancel' && method === 'PUT') {
+        const bookingId = url.searchParams.get('bookingId');
+        const data = await request.json();
+        console.log(`Leisure API: cancel booking ${bookingId}`);
+        const booking = await leisureBookings.cancelBooking(bookingId, {
+          by: data.agentId || 'dashboard',
+          note: data.note || ''
+        });
+
+        let customerNotified = false;
+        try {
+          const history = await this.kvStore.get(`chat_history:${booking.userId}`, 'json') || [];
+          await this.sendCustomerMessage(booking.userId, formatLeisureCancellation(booking, detectConversationLanguage(history)));
+          customerNotified = true;
+        } catch (error) {
+          console.error(`Error notifying customer about leisure booking #${booking.number}:`, error);
+        }
+        return this.createResponse({ success: true, booking, customerNotified });
+      }
+    } catch (error) {
+      console.error('Error during leisure request:', error);
+      return this.createResponse({
+        error: error.status ? error.message : 'Leisure operation failed',
+        message: error.message
+      }, error.status || 500);
+    }
+
+    console.log(`Leisure endpoint not found: ${method} ${path}`);
+    return this.createResponse({ error: 'Endpoint not found' }, 404);
+  }
+
+  // Route /api/llm requests (which model answers customers, with which settings)
+  async handleLLMRequest(request, path) {
+    const method = request.method;
+    const llmProviders = new LLMProviders(this.kvStore, this.env);
+
+    try {
+      if (path === '/api/llm/config' && method === 'GET') {
+        console.log('LLM API: get config');
+        const config = await llmProviders.getConfig();
+        return this.createResponse({ success: true, config, keys: llmProviders.describeKeys(config), providers: LLM_PROVIDER_TYPES });
+      }
+
+      if (path === '/api/llm/config' && method === 'PUT') {
+        const data = await request.json();
+        console.log('LLM API: save config');
+        const config = await llmProviders.saveConfig(data);
+        return this.createResponse({ success: true, config, keys: llmProviders.describeKeys(config) });
+      }
+
+      // Go back to the LLM_* environment settings
+      if (path === '/api/llm/config' && method === 'DELETE') {
+        console.log('LLM API: reset config');
+        const config = await llmProviders.resetConfig();
+        return this.createResponse({ success: true, config, keys: llmProviders.describeKeys(config) });
+      }
+    } catch (error) {
+      console.error('Error during LLM request:', error);
+      return this.createResponse({
+        error: error.status ? error.message : 'LLM operation failed',
+        message: error.message
+      }, error.status || 500);
+    }
+
+    console.log(`LLM endpoint not found: ${method} ${path}`);
+    return this.createResponse({ error: 'Endpoint not found' }, 404);
+  }
+
+  // Route /api/handoff requests (rules handing conversations to the staff automatically)
+  async handleHandoffRequest(request, path) {
+    const method = request.method;
+    const handoffRules = new HandoffRules(this.kvStore);
+
+    try {
+      if (path === '/api/handoff/rules' && method === 'GET') {
+        console.log('Handoff API: get rules');
+        const rules = await handoffRules.getRules();
+        return this.createResponse({ success: true, rules, labels: HANDOFF_RULE_LABELS });
+      }
+
+      if (path === '/api/handoff/rules' && method === 'PUT') {
+        const data = await request.json();
+        console.log('Handoff API: save rules');
+        const rules = await handoffRules.saveRules(data);
+        return this.createResponse({ success: true, rules });
+      }
+
+      // Go back to the default rules
+      if (path === '/api/handoff/rules' && method === 'DELETE') {
+        console.log('Handoff API: reset rules');
+        const rules = await handoffRules.resetRules();
+        return this.createResponse({ success: true, rules });
+      }
+    } catch (error) {
+      console.error('Error during handoff request:', error);
+      return this.createResponse({
+        error: error.status ? error.message : 'Handoff operation failed',
+        message: error.message
+      }, error.status || 500);
+    }
+
+    console.log(`Handoff endpoint not found: ${method} ${path}`);
+    return this.createResponse({ error: 'Endpoint not found' }, 404);
+  }
+
+  // Route /api/prompts requests (persona, business information and standard answers of the AI, with history)
+  async handlePromptRequest(request, path, url) {
+    const method = request.method;
+    const promptTemplates = new PromptTemplates(this.kvStore);
+    const sections = Object.fromEntries(Object.entries(PROMPT_SECTIONS).map(([section, { label }]) => [section, label]));
+
+    try {
+      if (path === '/api/prompts' && method === 'GET') {
+        console.log('Prompt API: get current templates');
+        return this.createResponse({ success: true, current: await promptTemplates.getCurrent(), sections });
+      }
+
+      if (path === '/api/prompts' && method === 'PUT') {
+        const data = await request.json();
+        console.log(`Prompt API: save templates by ${data.author || 'dashboard'}`);
+        const current = await promptTemplates.saveTemplates(data.templates, { author: data.author, note: data.note });
+        return this.createResponse({ success: true, current });
+      }
+
+      if (path === '/api/prompts/versions' && method === 'GET') {
+        console.log('Prompt API: list versions');
+        return this.createResponse({ success: true, versions: await promptTemplates.listVersions() });
+      }
+
+      if (path === '/api/prompts/version' && method === 'GET') {
+        const version = url.searchParams.get('version');
+        console.log(`Prompt API: get version ${version}`);
+        return this.createResponse({ success: true, version: await promptTemplates.getVersion(version) });
+      }
+
+      // Compare two versions; "to" defaults to the current one
+      if (path === '/api/prompts/diff' && method === 'GET') {
+        const from = url.searchParams.get('from');
+        const to = url.searchParams.get('to');
+        console.log(`Prompt API: diff ${from} -> ${to || 'current'}`);
+        return this.createResponse({ success: true, diff: await promptTemplates.diffVersions(from, to) });
+      }
+
+      if (path === '/api/prompts/rollback' && method === 'POST') {
+        const version = url.searchParams.get('version');
+        const data = await request.json().catch(() => ({}));
+        console.log(`Prompt API: rollback to version ${version}`);
+        const current = await promptTemplates.rollback(version, { author: data.author });
+        return this.createResponse({ success: true, current });
+      }
+    } catch (error) {
+      console.error('Error during prompt request:', error);
+      return this.createResponse({
+        error: error.status ? error.message : 'Prompt operation failed',
+        message: error.message
+      }, error.status || 500);
+    }
+
+    console.log(`Prompt endpoint not found: ${method} ${path}`);
+    return this.createResponse({ error: 'Endpoint not found' }, 404);
+  }
+
+  // Route /api/knowledge requests (standard answers and house policies the AI looks up)
+  async handleKnowledgeRequest(request, path, url) {
+    const method = request.method;
+    const knowledgeBase = new KnowledgeBase(this.kvStore);
+    const entryId = url.searchParams.get('entryId');
+
+    try {
+      if (path === '/api/knowledge' && method === 'GET') {
+        console.log('Knowledge API: list entries');
+        const entries = await knowledgeBase.getEntries();
+        return this.createResponse({ success: true, entries, categories: KNOWLEDGE_CATEGORIES, count: entries.length });
+      }
+
+      if (path === '/api/knowledge' && method === 'POST') {
+        const data = await request.json();
+        console.log('Knowledge API: create entry');
+        return this.createResponse({ success: true, entry: await knowledgeBase.addEntry(data) });
+      }
+
+      if (path === '/api/knowledge' && method === 'PUT') {
+        const data = await request.json();
+        console.log(`Knowledge API: update entry ${entryId}`);
+        return this.createResponse({ success: true, entry: await knowledgeBase.updateEntry(entryId, data) });
+      }
+
+      if (path === '/api/knowledge' && method === 'DELETE') {
+        console.log(`Knowledge API: delete entry ${entryId}`);
+        return this.createResponse({ success: true, entryId: await knowledgeBase.deleteEntry(entryId) });
+      }
+
+      // Go back to the built-in entries
+      if (path === '/api/knowledge/reset' && method === 'POST') {
+        console.log('Knowledge API: reset entries');
+        return this.createResponse({ success: true, entries: await knowledgeBase.resetEntries() });
+      }
+
+      // What the AI would be given for a customer message
+      if (path === '/api/knowledge/search' && method === 'GET') {
+        const query = url.searchParams.get('q') || '';
+        console.log(`Knowledge API: search "${query}"`);
+        const results = await knowledgeBase.search(query);
+        return this.createResponse({ success: true, results, count: results.length });
+      }
+    } catch (error) {
+      console.error('Error during knowledge request:', error);
+      return this.createResponse({
+        error: error.status ? error.message : 'Knowledge base operation failed',
+        message: error.message
+      }, error.status || 500);
+    }
+
+    console.log(`Knowledge endpoint not found: ${method} ${path}`);
+    return this.createResponse({ error: 'Endpoint not found' }, 404);
+  }
+
+  // Route /api/events requests (DJ nights and themed parties at the lounge)
+  async handleEventRequest(request, path, url) {
+    const method = request.method;
+    const eventsCatalog = new EventsCatalog(this.kvStore);
+    const eventId = url.searchParams.get('eventId');
+
+    try {
+      if (path === '/api/events' && method === 'GET') {
+        const filters = {
+          from: url.searchParams.get('from') || undefined,
+          to: url.searchParams.get('to') || undefined
+        };
+        console.log('Events API: list events', filters);
+        const events = await eventsCatalog.listEvents(filters);
+        return this.createResponse({ success: true, events, types: EVENT_TYPES, count: events.length });
+      }
+
+      if (path === '/api/events' && method === 'POST') {
+        const data = await request.json();
+        console.log('Events API: create event');
+        return this.createResponse({ success: true, event: await eventsCatalog.addEvent(data) });
+      }
+
+      if (path === '/api/events' && method === 'PUT') {
+        const data = await request.json();
+        console.log(`Events API: update event ${eventId}`);
+        return this.createResponse({ success: true, event: await eventsCatalog.updateEvent(eventId, data) });
+      }
+
+      if (path === '/api/events' && method === 'DELETE') {
+        console.log(`Events API: delete event ${eventId}`);
+        return this.createResponse({ success: true, eventId: await eventsCatalog.deleteEvent(eventId) });
+      }
+
+      // Send an event flyer to a customer on WhatsApp
+      if (path === '/api/events/send' && method === 'POST') {
+        const data = await request.json();
+        const event = await eventsCatalog.getEvent(eventId);
+        if (!data.userId) {
+          return this.createResponse({ error: 'userId is required' }, 400);
+        }
+        if (!event.flyerUrl) {
+          return this.createResponse({ error: `Event "${event.title}" has no flyer` }, 409);
+        }
+
+        console.log(`Events API: sending flyer of ${event.id} to ${data.userId}`);
+        const caption = formatFlyerCaption(event);
+        await this.sendWhatsAppImage(data.userId, event.flyerUrl, caption);
+
+        const key = `chat_history:${data.userId}`;
+        const conversationData = await this.kvStore.get(key, 'json') || [];
+        conversationData.push({
+          role: 'assistant',
+          content: `[Affiche: ${event.title}]\n${caption}`,
+          timestamp: Date.now(),
+          sentBy: data.agentId || 'dashboard'
+        });
+        await this.kvStore.put(key, JSON.stringify(conversationData));
+
+        return this.createResponse({ success: true, eventId: event.id, userId: data.userId });
+      }
+    } catch (error) {
+      console.error('Error during events request:', error);
+      return this.createResponse({
+        error: error.status ? error.message : 'Events operation failed',
+        message: error.message
+      }, error.status || 500);
+    }
+
+    console.log(`Events endpoint not found: ${method} ${path}`);
+    return this.createResponse({ error: 'Endpoint not found' }, 404);
+  }
+
+  // Tell the customer about a staff decision on their booking. Returns true when a message was sent.
+  async notifyReservationCustomer(reservation) {
+    try {
+      const history = await this.kvStore.get(`chat_history:${reservation.userId}`, 'json') || [];
+      const message = formatReservationDecision(reservation, detectConversationLanguage(history));
+      if (!message) return false;
+
+      console.log(`Sending reservation ${reservation.status} message for #${reservation.number} to ${reservation.userId}`);
+      await this.sendCustomerMessage(reservation.userId, message);
+      return true;
+    } catch (error) {
+      // The decision is already saved; a failed WhatsApp message must not undo it
+      console.error(`Error notifying customer about reservation #${reservation.number}:`, error);
+      return false;
+    }
+  }
+
+  // Send a plain WhatsApp text message
+  async sendWhatsAppText(to, message) {
+    const { WhatsAppHandler } = await import('./whatsappHandler.js');
+    const handler = new WhatsAppHandler(this.env);
+    await handler.sendWhatsAppMessage(to, {
+      type: 'text',
+      content: message
+    });
+  }
+
+  // Send a WhatsApp image from a public https link, with an optional caption
+  async sendWhatsAppImage(to, link, caption = '') {
+    const { WhatsAppHandler } = await import('./whatsappHandler.js');
+    const handler = new WhatsAppHandler(this.env);
+    await handler.sendWhatsAppMessage(to, {
+      type: 'image',
+      content: { link, caption }
+    });
+  }
+
+  // Send a WhatsApp message to a customer and keep it in the conversation history
+  async sendCustomerMessage(userId, message, sentBy = 'system') {
+    await this.sendWhatsAppText(userId, message);
+
+    const key = `chat_history:${userId}`;
+    const conversationData = await this.kvStore.get(key, 'json') || [];
+    conversationData.push({
+      role: 'assistant',
+      content: message,
+      timestamp: Date.now(),
+      sentBy
+    });
+    await this.kvStore.put(key, JSON.stringify(conversationData));
+  }
+
+  // Tell the customer about a status change of their order. Returns true when a message was sent.
+  async notifyOrderCustomer(orderManager, order) {
+    try {
+      if (order.status === 'confirmed' && !order.receiptSentAt) {
+        console.log(`Sending receipt for order #${order.number} to ${order.userId}`);
+        await this.sendCustomerMessage(order.userId, formatOrderReceipt(order));
+        await orderManager.markReceiptSent(order);
+        return true;
+      }
+
+      if (CUSTOMER_STATUS_UPDATES.includes(order.status)) {
+        // Answer in the language the customer has been writing in
+        const history = await this.kvStore.get(`chat_history:${order.userId}`, 'json') || [];
+        const language = detectConversationLanguage(history);
+
+        console.log(`Sending ${order.status} update (${language}) for order #${order.number} to ${order.userId}`);
+        await this.sendCustomerMessage(order.userId, formatStatusUpdate(order, language));
+        return true;
+      }
+
+      return false;
+    } catch (error) {
+      // The transition is already saved; a failed WhatsApp message must not undo it
+      console.error(`Error notifying customer about order #${order.number}:`, error);
+      return false;
+    }
+  }
+
+  // Run an order operation and turn order errors into HTTP responses
+  async handleOrderAction(description, action) {
+    try {
+      console.log(`Orders API: ${description}`);
+      const orderManager = new OrderManager(this.kvStore);
+      const result = await action(orderManager);
+      return this.createResponse({ success: true, ...result });
+    } catch (error) {
+      console.error(`Error during order action (${description}):`, error);
+      return this.createResponse({
+        error: error.status ? error.message : 'Order operation failed',
+        message: error.message
+      }, error.status || 500);
+    }
+  }
+
+  // Route /api/orders requests (listing, filtering, status transitions and driver assignment)
+  async handleOrderRequest(request, path, url) {
+    const orderId = url.searchParams.get('orderId');
+    const method = request.method;
+
+    if (path === '/api/orders' && method === 'GET') {
+      const status = url.searchParams.get('status');
+      const filters = {
+        userId: url.searchParams.get('userId') || undefined,
+        status: status ? status.split(',').map(value => value.trim()).filter(Boolean) : undefined,
+        fulfillment: url.searchParams.get('fulfillment') || undefined,
+        since: parseInt(url.searchParams.get('since'), 10) || undefined,
+        limit: parseInt(url.searchParams.get('limit'), 10) || undefined
+      };
+
+      return this.handleOrderAction('list orders', async orderManager => {
+        const orders = await orderManager.listOrders(filters);
+        return { orders, count: orders.length, transitions: ORDER_TRANSITIONS };
+      });
+    }
+
+    if (path === '/api/order' && method === 'GET') {
+      return this.handleOrderAction(`get order ${orderId}`, async orderManager => ({
+        order: await orderManager.getOrder(orderId)
+      }));
+    }
+
+    if (path === '/api/orders/status' && method === 'PUT') {
+      const data = await request.json();
+      return this.handleOrderAction(`move order ${orderId} to ${data.status}`, async orderManager => {
+        const order = await orderManager.transitionOrder(orderId, data.status, {
+          by: data.agentId || 'dashboard',
+          note: data.note || ''
+        });
+        const customerNotified = await this.notifyOrderCustomer(orderManager, order);
+        return { order, customerNotified };
+      });
+    }
+
+    // Give a delivery order to a driver and send them the delivery details on WhatsApp
+    if (path === '/api/orders/assign' && method === 'PUT') {
+      const data = await request.json();
+      return this.handleOrderAction(`assign order ${orderId} to driver ${data.phone}`, async () => {
+        const driverManager = new DriverManager(this.kvStore);
+        const { order, driver } = await driverManager.assignOrder(orderId, data.phone, {
+          by: data.agentId || 'dashboard'
+        });
+
+        let driverNotified = false;
+        try {
+          await this.sendWhatsAppText(driver.phone, formatDriverAssignment(order));
+          driverNotified = true;
+        } catch (error) {
+          // The assignment is already saved; staff can still call the driver
+          console.error(`Error sending order #${order.number} to driver ${driver.phone}:`, error);
+        }
+        return { order, driver, driverNotified };
+      });
+    }
+
+    console.log(`Orders endpoint not found: ${method} ${path}`);
+    return this.createResponse({ error: 'Endpoint not found' }, 404);
+  }
+
   // Route API requests
   async handleRequest(request, url) {
     console.log(`Handling API request: ${request.method} ${url.pathname}`);
@@ -1123,6 +1947,22 @@ export class DashboardAPI {
         );
       }
       
+      if (path === '/api/conversation/suggest' && request.method === 'POST') {
+        console.log(`Routing to suggestReplies for userId: ${userId}`);
+        return await this.suggestReplies(userId);
+      }
+      
+      if (path === '/api/conversation/price-review' && request.method === 'POST') {
+        console.log(`Routing to markPriceReviewed for userId: ${userId}`);
+        const data = await request.json().catch(() => ({}));
+        return await this.markPriceReviewed(userId, data.agentId);
+      }
+      
+      if (path === '/api/analytics' && request.method === 'GET') {
+        console.log('Routing to getAnalytics');
+        return await this.getAnalytics(url.searchParams.get('days'));
+      }
+      
       // Add the notification endpoints
       if (path === '/api/notifications/pending' && request.method === 'GET') {
         console.log('Routing to getPendingNotifications');
@@ -1194,6 +2034,78 @@ export class DashboardAPI {
         return this.createResponse(result);
       }
       
+      // Menu catalog management endpoints
+      if (path === '/api/menu' || path.startsWith('/api/menu/')) {
+        console.log(`Routing to handleMenuRequest: ${request.method} ${path}`);
+        return await this.handleMenuRequest(request, path, url);
+      }
+
+      // Delivery zone endpoints
+      if (path === '/api/delivery-zones' || path.startsWith('/api/delivery-zones/')) {
+        console.log(`Routing to handleDeliveryZoneRequest: ${request.method} ${path}`);
+        return await this.handleDeliveryZoneRequest(request, path);
+      }
+
+      // Schedule endpoints
+      if (path === '/api/schedule' || path.startsWith('/api/schedule/')) {
+        console.log(`Routing to handleScheduleRequest: ${request.method} ${path}`);
+        return await this.handleScheduleRequest(request, path);
+      }
+
+      // Delivery driver endpoints
+      if (path === '/api/drivers') {
+        console.log(`Routing to handleDriverRequest: ${request.method} ${path}`);
+        return await this.handleDriverRequest(request, path, url);
+      }
+
+      // Reservation endpoints
+      if (path === '/api/reservations' || path.startsWith('/api/reservations/') || path === '/api/reservation') {
+        console.log(`Routing to handleReservationRequest: ${request.method} ${path}`);
+        return await this.handleReservationRequest(request, path, url);
+      }
+
+      // Billiard, babyfoot and board game booking endpoints
+      if (path.startsWith('/api/leisure/')) {
+        console.log(`Routing to handleLeisureRequest: ${request.method} ${path}`);
+        return await this.handleLeisureRequest(request, path, url);
+      }
+
+      // Lounge event endpoints
+      if (path === '/api/events' || path.startsWith('/api/events/')) {
+        console.log(`Routing to handleEventRequest: ${request.method} ${path}`);
+        return await this.handleEventRequest(request, path, url);
+      }
+
+      // LLM provider configuration endpoints
+      if (path.startsWith('/api/llm/')) {
+        console.log(`Routing to handleLLMRequest: ${request.method} ${path}`);
+        return await this.handleLLMRequest(request, path);
+      }
+
+      // Prompt template endpoints
+      if (path === '/api/prompts' || path.startsWith('/api/prompts/')) {
+        console.log(`Routing to handlePromptRequest: ${request.method} ${path}`);
+        return await this.handlePromptRequest(request, path, url);
+      }
+
+      // Knowledge base endpoints
+      if (path === '/api/knowledge' || path.startsWith('/api/knowledge/')) {
+        console.log(`Routing to handleKnowledgeRequest: ${request.method} ${path}`);
+        return await this.handleKnowledgeRequest(request, path, url);
+      }
+
+      // Automatic handoff rule endpoints
+      if (path.startsWith('/api/handoff/')) {
+        console.log(`Routing to handleHandoffRequest: ${request.method} ${path}`);
+        return await this.handleHandoffRequest(request, path);
+      }
+
+      // Order endpoints
+      if (path === '/api/orders' || path.startsWith('/api/orders/') || path === '/api/order') {
+        console.log(`Routing to handleOrderRequest: ${request.method} ${path}`);
+        return await this.handleOrderRequest(request, path, url);
+      }
+      
       // Special endpoint for creating test data
       if (path === '/api/test/create-data' && request.method === 'POST') {
         console.log('Routing to createTestData');
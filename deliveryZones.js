@@ -0,0 +1,208 @@
+// deliveryZones.js - Delivery zones around Soa with a fee and ETA per zone
+import { slugify, formatPrice } from './menuCatalog.js';
+
+// KV key holding the zone configuration
+export const DELIVERY_ZONES_KEY = 'delivery_zones';
+
+// Create an error carrying the HTTP status the API should answer with
+export function zoneError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Default configuration, seeded into KV the first time it is requested.
+// Zones are radius bands around the restaurant (Soa Fin Goudron); typed addresses are
+// matched against the neighbourhood names of each zone.
+export function buildDefaultZones() {
+  return {
+    origin: { latitude: 3.9785, longitude: 11.5953 },
+    updatedAt: Date.now(),
+    zones: [
+      {
+        id: 'soa-centre',
+        name: 'Soa centre',
+        maxDistanceKm: 2,
+        fee: 500,
+        etaMinutes: 30,
+        neighbourhoods: ['Fin Goudron', 'Soa centre', 'Carrefour Soa', 'Université de Soa', 'Campus', 'Mini cité']
+      },
+      {
+        id: 'soa-environs',
+        name: 'Environs de Soa',
+        maxDistanceKm: 5,
+        fee: 1000,
+        etaMinutes: 45,
+        neighbourhoods: ['Ebang', 'Nkozoa', 'Nkolfeb']
+      },
+      {
+        id: 'olembe-nyom',
+        name: 'Olembé / Nyom',
+        maxDistanceKm: 10,
+        fee: 1500,
+        etaMinutes: 60,
+        neighbourhoods: ['Olembé', 'Nyom', 'Okolo']
+      }
+    ]
+  };
+}
+
+function isCoordinate(value) {
+  return value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value));
+}
+
+// Great-circle distance between two points in kilometres
+export function distanceKm(from, to) {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const earthRadiusKm = 6371;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * earthRadiusKm * Math.asin(Math.sqrt(a));
+}
+
+function validateNumber(value, label, { min = 0 } = {}) {
+  const number = Number(value);
+  if (value === null || value === undefined || value === '' || !Number.isFinite(number) || number < min) {
+    throw zoneError(`${label} must be a number greater than or equal to ${min}`);
+  }
+  return number;
+}
+
+// Validate a full zone configuration sent from the dashboard
+export function normalizeZonesConfig(data) {
+  if (!data || !Array.isArray(data.zones) || data.zones.length === 0) {
+    throw zoneError('At least one delivery zone is required');
+  }
+
+  const origin = {
+    latitude: validateNumber(data.origin?.latitude, 'origin.latitude', { min: -90 }),
+    longitude: validateNumber(data.origin?.longitude, 'origin.longitude', { min: -180 })
+  };
+
+  const usedIds = new Set();
+  const zones = data.zones.map(zone => {
+    const name = String(zone?.name || '').trim();
+    if (!name) {
+      throw zoneError('Delivery zone name is required');
+    }
+
+    const id = zone.id ? slugify(zone.id) : slugify(name);
+    if (usedIds.has(id)) {
+      throw zoneError(`Duplicate delivery zone: ${name}`, 409);
+    }
+    usedIds.add(id);
+
+    return {
+      id,
+      name,
+      maxDistanceKm: validateNumber(zone.maxDistanceKm, `${name} maxDistanceKm`),
+      fee: Math.round(validateNumber(zone.fee, `${name} fee`)),
+      etaMinutes: Math.round(validateNumber(zone.etaMinutes, `${name} etaMinutes`)),
+      neighbourhoods: (Array.isArray(zone.neighbourhoods) ? zone.neighbourhoods : [])
+        .map(entry => String(entry).trim())
+        .filter(Boolean)
+    };
+  });
+
+  // Keep the bands ordered from the closest to the farthest
+  zones.sort((a, b) => a.maxDistanceKm - b.maxDistanceKm);
+
+  return { origin, zones };
+}
+
+// Summary of a zone stored on orders and conversations
+function describeMatch(zone, extra = {}) {
+  return {
+    zoneId: zone.id,
+    name: zone.name,
+    fee: zone.fee,
+    etaMinutes: zone.etaMinutes,
+    ...extra
+  };
+}
+
+export class DeliveryZones {
+  constructor(kvNamespace) {
+    if (!kvNamespace) {
+      throw new Error('KV namespace is required for DeliveryZones');
+    }
+    this.kv = kvNamespace;
+  }
+
+  async getConfig() {
+    const config = await this.kv.get(DELIVERY_ZONES_KEY, 'json');
+    if (config) {
+      return config;
+    }
+
+    console.log('No delivery zones found in KV, seeding default zones');
+    const defaults = buildDefaultZones();
+    await this.kv.put(DELIVERY_ZONES_KEY, JSON.stringify(defaults));
+    return defaults;
+  }
+
+  async saveConfig(data) {
+    const config = {
+      ...normalizeZonesConfig(data),
+      updatedAt: Date.now()
+    };
+    await this.kv.put(DELIVERY_ZONES_KEY, JSON.stringify(config));
+    return config;
+  }
+
+  // Resolve GPS coordinates (WhatsApp location message) to the closest matching radius band
+  resolveCoordinates(config, latitude, longitude) {
+    const distance = distanceKm(config.origin, { latitude: Number(latitude), longitude: Number(longitude) });
+    const roundedDistance = Math.round(distance * 10) / 10;
+    const zone = config.zones.find(entry => distance <= entry.maxDistanceKm);
+
+    if (!zone) {
+      return { outOfRange: true, distanceKm: roundedDistance };
+    }
+    return describeMatch(zone, { distanceKm: roundedDistance, matchedBy: 'location' });
+  }
+
+  // Resolve a typed address by looking for a known neighbourhood name in it
+  resolveAddress(config, address) {
+    const addressSlug = slugify(address);
+    if (!addressSlug) return null;
+
+    for (const zone of config.zones) {
+      const neighbourhood = zone.neighbourhoods.find(entry => {
+        const slug = slugify(entry);
+        return slug && `-${addressSlug}-`.includes(`-${slug}-`);
+      });
+      if (neighbourhood) {
+        return describeMatch(zone, { neighbourhood, matchedBy: 'address' });
+      }
+    }
+    return null;
+  }
+
+  // Resolve a shared location or a typed address, location first since it is more precise
+  async resolve({ latitude, longitude, address } = {}) {
+    const config = await this.getConfig();
+
+    if (isCoordinate(latitude) && isCoordinate(longitude)) {
+      return this.resolveCoordinates(config, latitude, longitude);
+    }
+    if (address) {
+      return this.resolveAddress(config, address);
+    }
+    return null;
+  }
+
+  // Render the zones for the system prompt
+  formatForPrompt(config) {
+    return config.zones.map(zone => {
+      const places = zone.neighbourhoods.length > 0 ? ` (${zone.neighbourhoods.join(', ')})` : '';
+      return `- ${zone.name}${places}, jusqu'à ${zone.maxDistanceKm} km: livraison ${formatPrice(zone.fee)}, environ ${zone.etaMinutes} minutes`;
+    }).join('\n');
+  }
+
+  async getPromptZones() {
+    return this.formatForPrompt(await this.getConfig());
+  }
+}
@@ -0,0 +1,204 @@
+// driverManager.js - Delivery drivers, order assignment and the WhatsApp commands drivers reply with
+import { formatPrice } from './menuCatalog.js';
+import { OrderManager, formatOrderLines } from './orderManager.js';
+
+// KV key holding the list of registered drivers
+export const DRIVERS_KEY = 'delivery_drivers';
+
+// Country code added to local Cameroonian numbers typed without it
+export const DEFAULT_COUNTRY_CODE = '237';
+
+// Commands a driver can send, and the order status each one moves the order to
+export const DRIVER_COMMANDS = {
+  'PICKED': 'out-for-delivery',
+  'DELIVERED': 'delivered'
+};
+
+// Order statuses in which a delivery can still be given to a driver
+export const ASSIGNABLE_STATUSES = ['confirmed', 'preparing', 'ready', 'out-for-delivery'];
+
+// Create an error carrying the HTTP status the API should answer with
+export function driverError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Normalize a phone number to the digits-only international form WhatsApp uses as sender id
+export function normalizePhone(phone) {
+  let digits = String(phone || '').replace(/\D/g, '');
+  if (digits.startsWith('00')) {
+    digits = digits.substring(2);
+  }
+  if (digits.length === 9) {
+    digits = `${DEFAULT_COUNTRY_CODE}${digits}`;
+  }
+  if (digits.length < 10 || digits.length > 15) {
+    throw driverError(`Invalid phone number: ${phone}`);
+  }
+  return digits;
+}
+
+// Parse "PICKED 123" / "delivered #123". Returns null when the text is not a driver command;
+// orderNumber is null when the command word is there but the number is missing.
+export function parseDriverCommand(text) {
+  const match = String(text || '').trim().match(/^(picked|delivered)\b\s*(?:n°|no\.?|#)?\s*(\d+)?\s*$/i);
+  if (!match) return null;
+
+  const command = match[1].toUpperCase();
+  return {
+    command,
+    status: DRIVER_COMMANDS[command],
+    orderNumber: match[2] ? parseInt(match[2], 10) : null
+  };
+}
+
+// Build the WhatsApp message sent to a driver when an order is assigned to them
+export function formatDriverAssignment(order) {
+  const lines = [`🛵 Livraison commande n°${order.number}`, ''];
+
+  lines.push(`Client: ${order.customerName ? `${order.customerName} (+${order.userId})` : `+${order.userId}`}`);
+  lines.push(`Adresse: ${order.address || 'non précisée, appelez le client'}`);
+  if (order.deliveryLocation?.latitude && order.deliveryLocation?.longitude) {
+    lines.push(`Position: https://maps.google.com/?q=${order.deliveryLocation.latitude},${order.deliveryLocation.longitude}`);
+  }
+  if (order.deliveryZone?.name) {
+    lines.push(`Zone: ${order.deliveryZone.name}`);
+  }
+
+  lines.push('');
+  formatOrderLines(order).forEach(line => lines.push(`• ${line}`));
+  if (order.notes) {
+    lines.push(`Note: ${order.notes}`);
+  }
+
+  lines.push('');
+  lines.push(`*Total à encaisser: ${formatPrice(order.total)}*`);
+  lines.push('');
+  lines.push(`Répondez "PICKED ${order.number}" quand vous partez avec la commande, puis "DELIVERED ${order.number}" une fois livrée.`);
+  return lines.join('\n');
+}
+
+export class DriverManager {
+  constructor(kvNamespace) {
+    if (!kvNamespace) {
+      throw new Error('KV namespace is required for DriverManager');
+    }
+    this.kv = kvNamespace;
+    this.orderManager = new OrderManager(kvNamespace);
+  }
+
+  async listDrivers() {
+    return await this.kv.get(DRIVERS_KEY, 'json') || [];
+  }
+
+  async saveDrivers(drivers) {
+    await this.kv.put(DRIVERS_KEY, JSON.stringify(drivers));
+    return drivers;
+  }
+
+  // Find an active driver by phone number (null when the number is not a registered driver)
+  async findDriver(phone) {
+    let normalized;
+    try {
+      normalized = normalizePhone(phone);
+    } catch (error) {
+      return null;
+    }
+    const drivers = await this.listDrivers();
+    return drivers.find(driver => driver.phone === normalized && driver.active !== false) || null;
+  }
+
+  // Register a driver or update the one with the same phone number
+  async saveDriver(data) {
+    const phone = normalizePhone(data?.phone);
+    const name = String(data?.name || '').trim();
+    if (!name) {
+      throw driverError('Driver name is required');
+    }
+
+    const drivers = await this.listDrivers();
+    const now = Date.now();
+    let driver = drivers.find(entry => entry.phone === phone);
+
+    if (driver) {
+      driver.name = name;
+      driver.active = data.active !== false;
+      driver.updatedAt = now;
+    } else {
+      driver = { phone, name, active: data.active !== false, createdAt: now, updatedAt: now };
+      drivers.push(driver);
+    }
+
+    await this.saveDrivers(drivers);
+    console.log(`Saved driver ${name} (${phone})`);
+    return driver;
+  }
+
+  async deleteDriver(phone) {
+    const normalized = normalizePhone(phone);
+    const drivers = await this.listDrivers();
+    const remaining = drivers.filter(driver => driver.phone !== normalized);
+    if (remaining.length === drivers.length) {
+      throw driverError(`Driver not found: ${phone}`, 404);
+    }
+    await this.saveDrivers(remaining);
+    return normalized;
+  }
+
+  // Give a delivery order to a registered driver
+  async assignOrder(orderId, phone, { by = 'dashboard' } = {}) {
+    const driver = await this.findDriver(phone);
+    if (!driver) {
+      throw driverError(`No active driver with phone number ${phone}`, 404);
+    }
+
+    const order = await this.orderManager.getOrder(orderId);
+    if (order.fulfillment !== 'delivery') {
+      throw driverError(`Order #${order.number} is a pickup order`, 409);
+    }
+    if (!ASSIGNABLE_STATUSES.includes(order.status)) {
+      throw driverError(`Order #${order.number} cannot be assigned while ${order.status}`, 409);
+    }
+
+    order.driver = {
+      phone: driver.phone,
+      name: driver.name,
+      assignedAt: Date.now(),
+      assignedBy: by
+    };
+    await this.orderManager.saveOrder(order);
+
+    console.log(`Order #${order.number} (${order.id}) assigned to driver ${driver.name} by ${by}`);
+    return { order, driver };
+  }
+
+  // Apply a command sent by a driver on WhatsApp. Always returns the reply to send back to the
+  // driver; order is set when the command moved an order to a new status.
+  async handleCommand(driver, { command, status, orderNumber }) {
+    if (!orderNumber) {
+      return { order: null, reply: `Indiquez le numéro de la commande, par exemple "${command} 12".` };
+    }
+
+    const order = await this.orderManager.findOrderByNumber(orderNumber);
+    if (!order || order.driver?.phone !== driver.phone) {
+      return { order: null, reply: `La commande n°${orderNumber} ne vous est pas attribuée.` };
+    }
+    if (order.status === status) {
+      return { order: null, reply: `La commande n°${orderNumber} est déjà enregistrée comme ${command}.` };
+    }
+
+    try {
+      const updated = await this.orderManager.transitionOrder(order.id, status, { by: `driver:${driver.phone}` });
+      const reply = status === 'delivered'
+        ? `✅ Commande n°${orderNumber} livrée. Merci ${driver.name}!`
+        : `✅ Commande n°${orderNumber} en route. Répondez "DELIVERED ${orderNumber}" une fois livrée.`;
+      return { order: updated, reply };
+    } catch (error) {
+      if (error.status === 409) {
+        return { order: null, reply: `Impossible de passer la commande n°${orderNumber} en ${command}: elle est actuellement "${order.status}".` };
+      }
+      throw error;
+    }
+  }
+}
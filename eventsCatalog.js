@@ -0,0 +1,180 @@
+// eventsCatalog.js - Lounge events (DJ nights, themed parties) with dates, cover charges and flyers
+import { slugify, formatPrice } from './menuCatalog.js';
+import { getServiceDay, formatHour, WEEKDAY_NAMES_FR } from './schedule.js';
+import { normalizeBookingTime } from './reservationManager.js';
+
+// KV key holding the events
+export const EVENTS_KEY = 'events_catalog';
+
+export const EVENT_TYPES = {
+  'dj-night': 'Soirée DJ',
+  'themed-party': 'Soirée à thème',
+  'other': 'Événement'
+};
+
+// How many days of upcoming events the model is told about
+export const PROMPT_EVENT_DAYS = 14;
+
+// Create an error carrying the HTTP status the API should answer with
+export function eventError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Validate an event sent from the dashboard
+export function normalizeEvent(data) {
+  const title = String(data?.title || '').trim();
+  if (!title) {
+    throw eventError('Event title is required');
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(data.date || ''))) {
+    throw eventError('Event date must be formatted as YYYY-MM-DD');
+  }
+
+  const startTime = normalizeBookingTime(data.startTime);
+  if (!startTime) {
+    throw eventError('Event start time must be formatted as HH:MM');
+  }
+  const endTime = data.endTime ? normalizeBookingTime(data.endTime) : null;
+  if (data.endTime && !endTime) {
+    throw eventError('Event end time must be formatted as HH:MM');
+  }
+
+  const coverCharge = Number(data.coverCharge || 0);
+  if (!Number.isFinite(coverCharge) || coverCharge < 0) {
+    throw eventError('Cover charge must be a number greater than or equal to 0');
+  }
+
+  const flyerUrl = String(data.flyerUrl || '').trim();
+  if (flyerUrl && !/^https:\/\/\S+$/i.test(flyerUrl)) {
+    throw eventError('Flyer URL must be an https link to an image');
+  }
+
+  return {
+    title,
+    type: EVENT_TYPES[data.type] ? data.type : 'other',
+    date: data.date,
+    startTime,
+    endTime,
+    coverCharge: Math.round(coverCharge),
+    description: String(data.description || '').trim(),
+    flyerUrl,
+    published: data.published !== false
+  };
+}
+
+// "samedi 24/10 à 22h" for an event date and time
+function formatEventDate(event) {
+  const [, month, day] = event.date.split('-');
+  const weekday = WEEKDAY_NAMES_FR[new Date(`${event.date}T12:00:00Z`).getUTCDay()];
+  const end = event.endTime ? ` jusqu'à ${formatHour(event.endTime)}` : '';
+  return `${weekday} ${day}/${month} à ${formatHour(event.startTime)}${end}`;
+}
+
+function formatCoverCharge(event) {
+  return event.coverCharge > 0 ? `entrée ${formatPrice(event.coverCharge)}` : 'entrée libre';
+}
+
+// Caption sent with a flyer on WhatsApp
+export function formatFlyerCaption(event) {
+  const lines = [`🎉 ${event.title}`, `📅 ${formatEventDate(event)}`, `🎟️ ${formatCoverCharge(event)}`];
+  if (event.description) {
+    lines.push('', event.description);
+  }
+  lines.push('', 'Complexe LeSims, Soa Fin Goudron');
+  return lines.join('\n');
+}
+
+export class EventsCatalog {
+  constructor(kvNamespace) {
+    if (!kvNamespace) {
+      throw new Error('KV namespace is required for EventsCatalog');
+    }
+    this.kv = kvNamespace;
+  }
+
+  async getEvents() {
+    const data = await this.kv.get(EVENTS_KEY, 'json');
+    return data?.events || [];
+  }
+
+  async saveEvents(events) {
+    events.sort((a, b) => `${a.date} ${a.startTime}`.localeCompare(`${b.date} ${b.startTime}`));
+    await this.kv.put(EVENTS_KEY, JSON.stringify({ events, updatedAt: Date.now() }));
+    return events;
+  }
+
+  async getEvent(eventId) {
+    const event = (await this.getEvents()).find(entry => entry.id === eventId);
+    if (!event) {
+      throw eventError(`Event not found: ${eventId}`, 404);
+    }
+    return event;
+  }
+
+  // List events between two service dates (inclusive)
+  async listEvents({ from, to, publishedOnly = false } = {}) {
+    return (await this.getEvents()).filter(event =>
+      (!from || event.date >= from) &&
+      (!to || event.date <= to) &&
+      (!publishedOnly || event.published)
+    );
+  }
+
+  async addEvent(data) {
+    const events = await this.getEvents();
+    const now = Date.now();
+    const event = {
+      id: `${slugify(data?.title) || 'event'}-${now.toString(36)}`,
+      ...normalizeEvent(data),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    events.push(event);
+    await this.saveEvents(events);
+    console.log(`Created event ${event.id} on ${event.date}`);
+    return event;
+  }
+
+  async updateEvent(eventId, data) {
+    const events = await this.getEvents();
+    const event = events.find(entry => entry.id === eventId);
+    if (!event) {
+      throw eventError(`Event not found: ${eventId}`, 404);
+    }
+
+    Object.assign(event, normalizeEvent({ ...event, ...data }), { updatedAt: Date.now() });
+    await this.saveEvents(events);
+    return event;
+  }
+
+  async deleteEvent(eventId) {
+    const events = await this.getEvents();
+    const remaining = events.filter(entry => entry.id !== eventId);
+    if (remaining.length === events.length) {
+      throw eventError(`Event not found: ${eventId}`, 404);
+    }
+    await this.saveEvents(remaining);
+    return eventId;
+  }
+
+  // Render the published events of the coming days for the system prompt
+  formatForPrompt(events) {
+    if (events.length === 0) {
+      return "- Aucun événement spécial n'est programmé pour le moment: le lounge ouvre chaque soir à partir de 20h avec de la musique. Ne donne jamais de date, de DJ ou de prix d'entrée qui ne figure pas ici.";
+    }
+
+    return events.map(event => {
+      const description = event.description ? ` ${event.description}` : '';
+      return `- ${formatEventDate(event)}: ${EVENT_TYPES[event.type]} "${event.title}", ${formatCoverCharge(event)}.${description}`;
+    }).join('\n');
+  }
+
+  async getPromptEvents(now = new Date()) {
+    const from = getServiceDay(now).date;
+    const to = getServiceDay(new Date(now.getTime() + PROMPT_EVENT_DAYS * 24 * 60 * 60 * 1000)).date;
+    return this.formatForPrompt(await this.listEvents({ from, to, publishedOnly: true }));
+  }
+}
@@ -0,0 +1,181 @@
+// handoffRules.js - Rules that hand a conversation to the staff automatically (angry customer,
+// question repeated several times, AI unsure of its answer), configurable from the dashboard
+import { KNOWLEDGE_GAP_PHRASES, normalizeMessageText } from './intentClassifier.js';
+
+// KV key holding the rules set from the dashboard
+export const HANDOFF_RULES_KEY = 'handoff_rules';
+
+// handledBy value of a conversation handed over by the rules, until an agent takes it over
+export const AUTO_HANDOFF_AGENT = 'auto-handoff';
+
+// How many automatic handoffs are kept in the log of a conversation
+export const MAX_HANDOFF_LOG = 20;
+
+// Shorter messages ("oui", "1 poulet svp") are sent again and again in normal chats and never count as a
+// repeated question, nor do messages labelled as orders
+export const MIN_REPEATED_QUESTION_WORDS = 3;
+
+export const HANDOFF_RULE_LABELS = {
+  angryCustomer: 'Angry customer',
+  repeatedQuestion: 'Repeated question',
+  aiUncertainty: 'AI uncertainty'
+};
+
+export const DEFAULT_HANDOFF_RULES = {
+  enabled: true,
+  // A message labelled as a complaint with at least this confidence
+  angryCustomer: { enabled: true, minConfidence: 0.75 },
+  // The same message sent this many times among the customer's last messages
+  repeatedQuestion: { enabled: true, repeats: 3, withinMessages: 10 },
+  // The AI answer contains one of these phrases
+  aiUncertainty: { enabled: true, phrases: KNOWLEDGE_GAP_PHRASES },
+  // What the customer is told when the conversation is handed over
+  message: {
+    fr: "Je transmets votre demande à un membre de notre équipe, qui va vous répondre ici dans quelques instants.",
+    en: "I'm passing your request to a member of our team, who will reply here shortly."
+  }
+};
+
+// Create an error carrying the HTTP status the API should answer with
+export function handoffError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function numberInRange(value, label, min, max) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw handoffError(`${label} must be a number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+// Validate rules sent from the dashboard. Missing sections and fields keep their default value.
+export function normalizeHandoffRules(data) {
+  const angry = { ...DEFAULT_HANDOFF_RULES.angryCustomer, ...data?.angryCustomer };
+  const repeated = { ...DEFAULT_HANDOFF_RULES.repeatedQuestion, ...data?.repeatedQuestion };
+  const uncertainty = { ...DEFAULT_HANDOFF_RULES.aiUncertainty, ...data?.aiUncertainty };
+  const message = { ...DEFAULT_HANDOFF_RULES.message, ...data?.message };
+
+  if (!Array.isArray(uncertainty.phrases)) {
+    throw handoffError('AI uncertainty phrases must be a list');
+  }
+  const phrases = [...new Set(uncertainty.phrases.map(phrase => String(phrase || '').trim().toLowerCase()).filter(Boolean))];
+
+  const repeats = Math.round(numberInRange(repeated.repeats, 'Repeated question count', 2, 10));
+  const withinMessages = Math.round(numberInRange(repeated.withinMessages, 'Repeated question window', repeats, 30));
+
+  const customerMessage = (language) => {
+    const text = String(message[language] || '').trim();
+    if (text.length > 500) {
+      throw handoffError('Handoff message must be 500 characters or fewer');
+    }
+    return text || DEFAULT_HANDOFF_RULES.message[language];
+  };
+
+  return {
+    enabled: data?.enabled !== false,
+    angryCustomer: {
+      enabled: angry.enabled !== false,
+      minConfidence: numberInRange(angry.minConfidence, 'Angry customer confidence', 0, 1)
+    },
+    repeatedQuestion: { enabled: repeated.enabled !== false, repeats, withinMessages },
+    aiUncertainty: { enabled: uncertainty.enabled !== false, phrases },
+    message: { fr: customerMessage('fr'), en: customerMessage('en') }
+  };
+}
+
+// Words of a message, without accents and punctuation
+function messageWords(text) {
+  return normalizeMessageText(text).match(/[a-z0-9']+/g) || [];
+}
+
+// Two messages ask the same thing when they share most of their words
+function isSameQuestion(words, otherWords) {
+  if (words.join(' ') === otherWords.join(' ')) return true;
+  const set = new Set(words);
+  const otherSet = new Set(otherWords);
+  const shared = [...set].filter(word => otherSet.has(word)).length;
+  return shared / new Set([...set, ...otherSet]).size >= 0.8;
+}
+
+// Find the first rule matching a customer message. history is the conversation before the message,
+// since the time the AI last took it back. Returns { rule, reason } or null.
+export function evaluateHandoffRules(rules, { content, intent, aiResponse = '', history = [] }) {
+  if (!rules.enabled) return null;
+
+  const { angryCustomer, repeatedQuestion, aiUncertainty } = rules;
+  if (angryCustomer.enabled && intent?.intent === 'complaint' && intent.confidence >= angryCustomer.minConfidence) {
+    return {
+      rule: 'angryCustomer',
+      reason: `Complaint detected (${Math.round(intent.confidence * 100)}% confidence)`
+    };
+  }
+
+  const words = messageWords(content);
+  if (repeatedQuestion.enabled && !['smalltalk', 'order'].includes(intent?.intent)
+    && new Set(words).size >= MIN_REPEATED_QUESTION_WORDS) {
+    const sameMessages = history
+      .filter(message => message.role === 'user')
+      .slice(-(repeatedQuestion.withinMessages - 1))
+      .filter(message => message.intent !== 'order' && isSameQuestion(words, messageWords(message.content)))
+      .length + 1;
+    if (sameMessages >= repeatedQuestion.repeats) {
+      return {
+        rule: 'repeatedQuestion',
+        reason: `Customer sent the same message ${sameMessages} times`
+      };
+    }
+  }
+
+  const response = normalizeMessageText(aiResponse);
+  const phrase = aiUncertainty.enabled && aiUncertainty.phrases.find(entry => response.includes(normalizeMessageText(entry)));
+  if (phrase) {
+    return {
+      rule: 'aiUncertainty',
+      reason: `AI answer shows uncertainty ("${phrase}")`
+    };
+  }
+
+  return null;
+}
+
+export class HandoffRules {
+  constructor(kvNamespace) {
+    if (!kvNamespace) {
+      throw new Error('KV namespace is required for HandoffRules');
+    }
+    this.kv = kvNamespace;
+  }
+
+  async getRules() {
+    const stored = await this.kv.get(HANDOFF_RULES_KEY, 'json');
+    return {
+      ...normalizeHandoffRules(stored || DEFAULT_HANDOFF_RULES),
+      updatedAt: stored?.updatedAt || null
+    };
+  }
+
+  // Save the rules; sections left out of data keep their current settings
+  async saveRules(data) {
+    const current = await this.getRules();
+    const merged = { ...current, ...data };
+    for (const section of ['angryCustomer', 'repeatedQuestion', 'aiUncertainty', 'message']) {
+      merged[section] = { ...current[section], ...data?.[section] };
+    }
+
+    const rules = {
+      ...normalizeHandoffRules(merged),
+      updatedAt: Date.now()
+    };
+    await this.kv.put(HANDOFF_RULES_KEY, JSON.stringify(rules));
+    return rules;
+  }
+
+  // Go back to the default rules
+  async resetRules() {
+    await this.kv.delete(HANDOFF_RULES_KEY);
+    return await this.getRules();
+  }
+}
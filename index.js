@@ -5,6 +5,65 @@ import { MediaUploader } from './mediaUploader.js';
 import { MenuManager } from './menuManager.js'; 
 import { DashboardAPI } from './dashboardApi.js';
 import { EmailService } from './emailService.js';
+import { DriverManager, parseDriverCommand } from './driverManager.js';
+
+// Delivery drivers answer their assignments with commands like "PICKED 12" or "DELIVERED 12".
+// Those messages move the order forward instead of reaching the AI. Returns null for any other message.
+async function handleDriverCommand(request, env, handler) {
+    let payload;
+    try {
+        payload = await request.clone().json();
+    } catch (error) {
+        return null;
+    }
+
+    const message = payload?.entry?.[0]?.changes?.[0]?.value?.messages?.[0];
+    if (!message || message.type !== 'text') return null;
+
+    const command = parseDriverCommand(message.text?.body);
+    if (!command) return null;
+
+    const driverManager = new DriverManager(env.CHAT_HISTORY);
+    const driver = await driverManager.findDriver(message.from);
+    if (!driver) return null;
+
+    console.log(`Driver command from ${driver.name} (${driver.phone}):`, message.text.body);
+    const { order, reply } = await driverManager.handleCommand(driver, command);
+    await handler.sendWhatsAppMessage(driver.phone, { type: 'text', content: reply });
+
+    // Let the customer know their order is on its way
+    if (order) {
+        const dashboardAPI = new DashboardAPI(env);
+        await dashboardAPI.notifyOrderCustomer(driverManager.orderManager, order);
+    }
+
+    return new Response('OK', { status: 200 });
+}
+
+// Customers share their delivery position as a WhatsApp location message. It goes straight to the AI,
+// which resolves the delivery zone, and the reply is sent once it is ready. Returns null for any other message.
+async function handleLocationMessage(request, handler, restaurantAI, ctx) {
+    let payload;
+    try {
+        payload = await request.clone().json();
+    } catch (error) {
+        return null;
+    }
+
+    const message = payload?.entry?.[0]?.changes?.[0]?.value?.messages?.[0];
+    if (!message || message.type !== 'location' || !message.location) return null;
+
+    console.log(`Location message from ${message.from}:`, message.location);
+    const reply = (async () => {
+        const response = await restaurantAI.handleMessage(message.from, 'location', message.location);
+        if (response?.type === 'text') {
+            await handler.sendWhatsAppMessage(message.from, response);
+        }
+    })().catch(error => console.error('Error handling location message:', error));
+    ctx.waitUntil(reply);
+
+    return new Response('OK', { status: 200 });
+}
 
 export default {
     async fetch(request, env, ctx) {
@@ -111,11 +170,12 @@ export default {
             // Set MenuManager in WhatsAppHandler
             handler.menuManager = menuManager;
             
-            // Create RestaurantAI with both Deepseek and Resend API keys
+            // Create RestaurantAI with the Deepseek and Resend API keys and the LLM provider settings
             const restaurantAI = new RestaurantAI(
                 env.DEEPSEEK_API_KEY, 
                 env.CHAT_HISTORY,
-                env.RESEND_API_KEY  // Pass Resend API key for email notifications
+                env.RESEND_API_KEY,  // Pass Resend API key for email notifications
+                env
             );
 
             // Set RestaurantAI in handler
@@ -251,8 +311,17 @@ export default {
             switch (request.method) {
                 case 'GET':
                     return await handler.verifyWebhook(request);
-                case 'POST':
+                case 'POST': {
+                    const driverResponse = await handleDriverCommand(request, env, handler);
+                    if (driverResponse) {
+                        return driverResponse;
+                    }
+                    const locationResponse = await handleLocationMessage(request, handler, restaurantAI, ctx);
+                    if (locationResponse) {
+                        return locationResponse;
+                    }
                     return await handler.handleWebhook(request, ctx);
+                }
                 default:
                     return new Response('Method not allowed', { 
                         status: 405,
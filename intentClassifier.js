@@ -0,0 +1,200 @@
+// intentClassifier.js - Label each customer message (order, complaint, human_request, question, smalltalk)
+// with a confidence score, using the LLM when available and deterministic rules otherwise
+export const INTENTS = ['order', 'complaint', 'human_request', 'question', 'smalltalk'];
+
+// Minimum confidence for a label to create a notification; between the two the alert is not urgent
+export const URGENT_CONFIDENCE = 0.6;
+export const NOTIFY_CONFIDENCE = 0.4;
+
+// Rules used when the LLM is disabled or fails, checked in order. The first match wins.
+// Patterns are written without accents: messages are matched once their accents are removed.
+const INTENT_RULES = [
+  {
+    intent: 'human_request',
+    confidence: 0.85,
+    patterns: [
+      /\b(parler|discuter)\s+(au|aux|(a|avec)\s+(un|une|le|la|l'))\s*(humain|personne|responsable|gerant|manager|serveur|serveuse)\b/,
+      /\b(parler|discuter)\s+(a|avec)\s+quelqu'un\b/,
+      /\bvraie?\s+personne\b/,
+      /\b(un|une)\s+(humain|agent|conseiller|conseillere)\b/,
+      /\b(talk|speak)\s+to\s+(a|an|the)?\s*(human|person|manager|agent|staff|someone|somebody)\b/,
+      /\breal person\b/,
+      /\b(appelez|rappelez)[- ]moi\b/,
+      /\bcall me\b/
+    ]
+  },
+  {
+    intent: 'complaint',
+    confidence: 0.75,
+    patterns: [
+      /\b(pas content|mecontent|inadmissible|inacceptable|scandale|scandaleux|honte|arnaque|plainte|reclamation)\b/,
+      /\b(rembourse[rz]?|remboursement)\b/,
+      /\b(toujours pas|jamais)\s+(recu|arrivee?|livree?)\b/,
+      /\b(c'est|c'etait|etait|est)\s+(froid|mauvais|immangeable|degoutant|nul|cru|brule)\b/,
+      /\b(en retard|trop long|ca fait \d+ ?(min|minutes|heures?))\b/,
+      /\b(complain|complaint|refund|unacceptable|disgusting|terrible|awful|never arrived|still waiting|cold food|is cold|was cold)\b/
+    ]
+  },
+  {
+    intent: 'human_request',
+    confidence: 0.6,
+    patterns: [
+      /\b(aidez[- ]moi|besoin d'aide|help me|need help)\b/
+    ]
+  },
+  {
+    intent: 'order',
+    confidence: 0.65,
+    patterns: [
+      /\b(commander|je commande|passer (une )?commande|je (veux|voudrais|prends|prendrai)|mettez[- ]moi|livre[rz]?[- ]moi|a emporter)\b/,
+      /\b(i('d| would)? like to order|i want to order|i('ll| will) (have|take)|can i (get|have|order))\b/,
+      /\b\d+\s*x?\s*(poulet|pizza|burger|hamburger|spaghetti|poisson|frites|wings|salade|portion)/
+    ]
+  },
+  {
+    intent: 'question',
+    confidence: 0.6,
+    patterns: [
+      /\?\s*$/,
+      /^(comment|quand|ou|quel|quelle|quels|quelles|combien|est-ce que|est ce que|pourquoi|avez-vous|vous avez|y a-t-il|il y a)\b/,
+      /^(how|when|where|what|which|why|do you|is there|are you|can you)\b/,
+      /\b(quand|combien|pourquoi|how much|when)\s*[!.]*$/
+    ]
+  },
+  {
+    intent: 'smalltalk',
+    confidence: 0.8,
+    patterns: [
+      /^(bonjour|bonsoir|salut|coucou|hello|hi|hey|merci( beaucoup)?|thanks?( you)?|ok|okay|d'accord|super|parfait|cool|top|au revoir|bye|bonne (nuit|journee|soiree))[\s!.,]*$/
+    ]
+  }
+];
+
+// Lowercase a message and remove its accents so it can be matched against accent-free patterns
+export function normalizeMessageText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[’`]/g, "'")
+    .trim()
+    .toLowerCase();
+}
+
+// Classify a message with the deterministic rules
+export function classifyWithRules(text) {
+  const normalized = normalizeMessageText(text);
+  for (const rule of INTENT_RULES) {
+    if (rule.patterns.some(pattern => pattern.test(normalized))) {
+      return { intent: rule.intent, confidence: rule.confidence, source: 'rules' };
+    }
+  }
+  return { intent: 'smalltalk', confidence: 0.3, source: 'rules' };
+}
+
+// Read the {"intent", "confidence"} JSON the model answers with (null when it is not usable)
+export function parseIntentReply(reply) {
+  const match = String(reply || '').match(/\{[\s\S]*\}/);
+  if (!match) return null;
+
+  try {
+    const data = JSON.parse(match[0]);
+    const confidence = Number(data.confidence);
+    if (!INTENTS.includes(data.intent) || !Number.isFinite(confidence)) {
+      return null;
+    }
+    return { intent: data.intent, confidence: Math.min(1, Math.max(0, confidence)), source: 'llm' };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Phrases by which the assistant admits it does not know the answer
+export const KNOWLEDGE_GAP_PHRASES = [
+  'je ne sais pas', "je n'ai pas cette information", 'je ne suis pas sûr', 'je ne peux pas vous répondre',
+  "i don't know", "i don't have that information", "i'm not sure", "i can't answer"
+];
+
+// Build the staff notification a labelled message calls for, or null when none is needed
+export function buildIntentNotification(userId, content, label, aiResponse = '') {
+  const excerpt = `"${content.substring(0, 50)}${content.length > 50 ? '...' : ''}"`;
+  const base = { userId, lastMessage: content, intent: label.intent, confidence: label.confidence };
+
+  if ((label.intent === 'human_request' || label.intent === 'complaint') && label.confidence >= NOTIFY_CONFIDENCE) {
+    const urgent = label.confidence >= URGENT_CONFIDENCE;
+    const title = label.intent === 'complaint' ? 'Customer Complaint' : 'Customer Asked for a Human';
+    return {
+      type: 'help_needed',
+      title: urgent ? title : `Possible ${title}`,
+      body: `Customer ${userId} (${label.intent}, ${Math.round(label.confidence * 100)}%): ${excerpt}`,
+      urgent,
+      ...base
+    };
+  }
+
+  const lowerResponse = String(aiResponse || '').toLowerCase();
+  if (label.intent === 'question' && KNOWLEDGE_GAP_PHRASES.some(phrase => lowerResponse.includes(phrase))) {
+    return {
+      type: 'help_needed',
+      title: 'AI Knowledge Gap',
+      body: `Customer ${userId} asked something the AI could not answer: ${excerpt}`,
+      urgent: label.confidence >= URGENT_CONFIDENCE,
+      aiResponse,
+      ...base
+    };
+  }
+
+  return null;
+}
+
+const CLASSIFIER_PROMPT = `Tu classes les messages WhatsApp reçus par le restaurant Complexe LeSims.
+Catégories:
+- order: le client commande, modifie ou confirme une commande de plats ou boissons
+- complaint: le client se plaint (retard, plat froid ou mauvais, erreur, remboursement)
+- human_request: le client veut parler à une personne de l'équipe ou être rappelé
+- question: le client pose une question (menu, prix, horaires, livraison, réservations, événements)
+- smalltalk: salutations, remerciements, politesse, messages sans demande
+Réponds uniquement avec du JSON: {"intent": "<catégorie>", "confidence": <nombre entre 0 et 1>}`;
+
+export class IntentClassifier {
+  // llmProviders is optional: without it (or with useLLM false) only the rules are used
+  constructor(llmProviders = null, { useLLM = true } = {}) {
+    this.llmProviders = llmProviders;
+    this.useLLM = useLLM && Boolean(llmProviders);
+  }
+
+  // Label a message. context is the recent conversation ({role, content}), used by the LLM only.
+  // Never throws: any LLM failure falls back to the rules.
+  async classify(text, context = []) {
+    if (this.useLLM) {
+      try {
+        const label = await this.classifyWithLLM(text, context);
+        if (label) return label;
+      } catch (error) {
+        console.error('Intent classification with the LLM failed, using rules:', error);
+      }
+    }
+    return classifyWithRules(text);
+  }
+
+  // One attempt per configured provider, without the retry delays used for customer answers
+  async classifyWithLLM(text, context) {
+    const recent = context.slice(-4)
+      .map(message => `${message.role === 'user' ? 'Client' : 'Restaurant'}: ${String(message.content || '').substring(0, 300)}`)
+      .join('\n');
+    const messages = [
+      { role: 'system', content: CLASSIFIER_PROMPT },
+      { role: 'user', content: `${recent ? `Conversation récente:\n${recent}\n\n` : ''}Message à classer:\n${text}` }
+    ];
+
+    for (const provider of await this.llmProviders.getProviders()) {
+      try {
+        const label = parseIntentReply(await provider.complete(messages));
+        if (label) return label;
+        console.log(`Intent reply from ${provider.name} could not be parsed`);
+      } catch (error) {
+        console.error(`Intent classification with ${provider.name} failed:`, error);
+      }
+    }
+    return null;
+  }
+}
@@ -69,6 +69,23 @@
       }
     },
     
+    // Get AI-drafted replies for the agent handling a conversation (never sent automatically)
+    async suggestReplies(userId) {
+      return this.request(`/api/conversation/suggest?userId=${encodeURIComponent(userId)}`, 'POST', {});
+    },
+    
+    // Clear the flag set when the AI quoted wrong prices in a conversation
+    async markPriceReviewed(userId) {
+      return this.request(`/api/conversation/price-review?userId=${encodeURIComponent(userId)}`, 'POST', {
+        agentId: window.dashboardState.agentId
+      });
+    },
+    
+    // Daily counters of the last days (price incidents...)
+    async getAnalytics(days = 7) {
+      return this.request(`/api/analytics?days=${days}`);
+    },
+    
     // Send a message as an agent
     async sendMessage(userId, message) {
       window.logToConsole(`Sending message to ${userId}: "${message}" from agent ${window.dashboardState.agentId}`);
@@ -0,0 +1,284 @@
+// calendar.js - Week calendar of table and event reservations and game bookings, with staff actions
+(function() {
+  'use strict';
+
+  // Escape reservation text before inserting it into the DOM
+  const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+  // Format a Date as the YYYY-MM-DD service date used by the API
+  const toDateString = (date) => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+
+  // Monday of the week containing a date
+  const startOfWeek = (date) => {
+    const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+    return monday;
+  };
+
+  const STATUS_STYLES = {
+    'pending': 'bg-yellow-800 text-yellow-200',
+    'confirmed': 'bg-green-800 text-green-200',
+    'declined': 'bg-red-900 text-red-200',
+    'cancelled': 'bg-gray-700 text-gray-300'
+  };
+
+  // Reservation Calendar Module
+  window.reservationCalendar = {
+    // Properties
+    initialized: false,
+    isOpen: false,
+    weekStart: null,
+    reservations: [],
+    leisureBookings: [],
+    areas: {},
+
+    // Initialize the module
+    initialize() {
+      if (this.initialized) return;
+      window.logToConsole('Initializing reservation calendar module');
+
+      this.weekStart = startOfWeek(new Date());
+      this.setupEventListeners();
+      this.initialized = true;
+
+      window.logToConsole('Reservation calendar module initialized');
+    },
+
+    // Set up event listeners
+    setupEventListeners() {
+      document.getElementById('reservations-btn')?.addEventListener('click', () => this.open());
+      document.getElementById('calendar-close-btn')?.addEventListener('click', () => this.close());
+      document.getElementById('calendar-refresh-btn')?.addEventListener('click', () => this.loadReservations());
+      document.getElementById('calendar-prev-btn')?.addEventListener('click', () => this.moveWeek(-1));
+      document.getElementById('calendar-next-btn')?.addEventListener('click', () => this.moveWeek(1));
+      document.getElementById('calendar-today-btn')?.addEventListener('click', () => {
+        this.weekStart = startOfWeek(new Date());
+        this.loadReservations();
+      });
+
+      // Confirm / decline buttons on reservation cards
+      document.getElementById('calendar-days')?.addEventListener('click', (e) => {
+        const button = e.target.closest('.reservation-status-btn');
+        if (button) {
+          this.updateStatus(button.dataset.reservationId, button.dataset.status, button);
+        }
+
+        const cancelButton = e.target.closest('.leisure-cancel-btn');
+        if (cancelButton) {
+          this.cancelLeisureBooking(cancelButton.dataset.bookingId, cancelButton);
+        }
+      });
+
+      // Close the calendar when the dashboard disconnects
+      window.addEventListener('dashboard:connectionChanged', (e) => {
+        if (!e.detail.connected) {
+          this.close();
+        }
+      });
+    },
+
+    // Open the calendar on the current week
+    async open() {
+      if (!window.dashboardState.connected) {
+        window.logToConsole('Must be connected to view reservations', true);
+        return;
+      }
+
+      this.isOpen = true;
+      document.getElementById('reservation-calendar')?.classList.remove('hidden');
+      await this.loadReservations();
+    },
+
+    close() {
+      if (!this.isOpen) return;
+      this.isOpen = false;
+      document.getElementById('reservation-calendar')?.classList.add('hidden');
+    },
+
+    // Show the previous (-1) or next (1) week
+    moveWeek(direction) {
+      this.weekStart.setDate(this.weekStart.getDate() + direction * 7);
+      this.loadReservations();
+    },
+
+    // The 7 service dates of the displayed week
+    getWeekDays() {
+      return Array.from({ length: 7 }, (_, index) => {
+        const day = new Date(this.weekStart);
+        day.setDate(day.getDate() + index);
+        return day;
+      });
+    },
+
+    // Load the reservations and game bookings of the displayed week
+    async loadReservations() {
+      const days = this.getWeekDays();
+      const from = toDateString(days[0]);
+      const to = toDateString(days[6]);
+
+      try {
+        const [response, leisureResponse] = await Promise.all([
+          window.api.request(`/api/reservations?from=${from}&to=${to}`),
+          window.api.request(`/api/leisure/bookings?from=${from}&to=${to}&status=booked`)
+        ]);
+        this.reservations = response.reservations || [];
+        this.leisureBookings = leisureResponse.bookings || [];
+        this.areas = response.areas || {};
+        this.render();
+      } catch (error) {
+        window.logToConsole(`Failed to load reservations: ${error.message}`, true);
+      }
+    },
+
+    // Render a single reservation card
+    renderReservation(reservation) {
+      const area = this.areas[reservation.area]?.name || reservation.area;
+      const pending = reservation.status === 'pending';
+
+      return `
+        <div class="bg-gray-800 rounded-md p-2 mb-2 text-sm">
+          <div class="flex justify-between items-center">
+            <span class="font-bold text-white">${escapeHtml(reservation.time)}</span>
+            <span class="px-2 py-0.5 rounded-full text-xs ${STATUS_STYLES[reservation.status] || ''}">${escapeHtml(reservation.status)}</span>
+          </div>
+          <div class="text-white mt-1">
+            <i class="fas fa-users mr-1 text-gray-400"></i>${reservation.partySize} · ${escapeHtml(area)}
+          </div>
+          ${reservation.occasion ? `<div class="text-purple-300">${escapeHtml(reservation.occasion)}</div>` : ''}
+          <div class="text-gray-400 text-xs mt-1">#${reservation.number} · ${escapeHtml(reservation.customerName || reservation.userId)}</div>
+          ${reservation.notes ? `<div class="text-gray-400 text-xs italic">${escapeHtml(reservation.notes)}</div>` : ''}
+          ${pending ? `
+            <div class="flex space-x-1 mt-2">
+              <button class="reservation-status-btn btn-primary flex-1 py-1 rounded-md text-xs" data-reservation-id="${escapeHtml(reservation.id)}" data-status="confirmed">
+                <i class="fas fa-check mr-1"></i> Confirm
+              </button>
+              <button class="reservation-status-btn btn-secondary flex-1 py-1 rounded-md text-xs" data-reservation-id="${escapeHtml(reservation.id)}" data-status="declined">
+                <i class="fas fa-times mr-1"></i> Decline
+              </button>
+            </div>
+          ` : ''}
+        </div>
+      `;
+    },
+
+    // Render a billiard, babyfoot or board game booking
+    renderLeisureBooking(booking) {
+      const end = new Date(booking.endsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+      return `
+        <div class="bg-gray-800 border-l-4 border-teal-600 rounded-md p-2 mb-2 text-sm">
+          <div class="flex justify-between items-center">
+            <span class="font-bold text-white">${escapeHtml(booking.time)} - ${escapeHtml(end)}</span>
+            <i class="fas fa-dice text-teal-400"></i>
+          </div>
+          <div class="text-white mt-1">${escapeHtml(booking.resourceName)}${booking.players ? ` · ${booking.players} players` : ''}</div>
+          <div class="text-gray-400 text-xs mt-1">#${booking.number} · ${escapeHtml(booking.customerName || booking.userId)}</div>
+          <button class="leisure-cancel-btn btn-secondary w-full py-1 mt-2 rounded-md text-xs" data-booking-id="${escapeHtml(booking.id)}">
+            <i class="fas fa-ban mr-1"></i> Cancel
+          </button>
+        </div>
+      `;
+    },
+
+    // Render the week, one column per day
+    render() {
+      const container = document.getElementById('calendar-days');
+      if (!container) return;
+
+      const days = this.getWeekDays();
+      const today = toDateString(new Date());
+      document.getElementById('calendar-week-label').textContent =
+        `${days[0].toLocaleDateString([], { day: 'numeric', month: 'short' })} - ${days[6].toLocaleDateString([], { day: 'numeric', month: 'short' })}`;
+
+      container.innerHTML = days.map(day => {
+        const date = toDateString(day);
+        const entries = [
+          ...this.reservations.filter(reservation => reservation.date === date)
+            .map(reservation => ({ startsAt: reservation.startsAt, html: this.renderReservation(reservation) })),
+          ...this.leisureBookings.filter(booking => booking.date === date)
+            .map(booking => ({ startsAt: booking.startsAt, html: this.renderLeisureBooking(booking) }))
+        ].sort((a, b) => a.startsAt - b.startsAt);
+
+        return `
+          <div class="card p-2 flex flex-col min-h-[12rem] ${date === today ? 'border border-purple-500' : ''}">
+            <div class="text-center text-sm font-semibold text-gray-300 mb-2">
+              ${escapeHtml(day.toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' }))}
+            </div>
+            ${entries.length > 0
+              ? entries.map(entry => entry.html).join('')
+              : '<div class="text-gray-600 text-center text-xs mt-4">No bookings</div>'}
+          </div>
+        `;
+      }).join('');
+    },
+
+    // Confirm or decline a reservation; the customer is told on WhatsApp by the API
+    async updateStatus(reservationId, status, button) {
+      const reservation = this.reservations.find(entry => entry.id === reservationId);
+      if (!reservation) return;
+
+      let note = '';
+      if (status === 'declined') {
+        note = window.prompt('Reason sent to the customer (optional):', '');
+        if (note === null) return;
+      }
+
+      button.disabled = true;
+      try {
+        window.logToConsole(`Moving reservation #${reservation.number} to ${status}`);
+        const response = await window.api.request(
+          `/api/reservations/status?reservationId=${encodeURIComponent(reservationId)}`,
+          'PUT',
+          { status, note, agentId: window.dashboardState.agentId || 'dashboard' }
+        );
+
+        Object.assign(reservation, response.reservation);
+        if (!response.customerNotified) {
+          window.logToConsole(`Reservation #${reservation.number} updated but the customer could not be notified`, true);
+        }
+        this.render();
+      } catch (error) {
+        window.logToConsole(`Failed to move reservation #${reservation.number} to ${status}: ${error.message}`, true);
+        button.disabled = false;
+      }
+    },
+
+    // Cancel a game booking; the customer is told on WhatsApp by the API
+    async cancelLeisureBooking(bookingId, button) {
+      const booking = this.leisureBookings.find(entry => entry.id === bookingId);
+      if (!booking) return;
+
+      const note = window.prompt(`Cancel ${booking.resourceName} at ${booking.time}? Reason sent to the customer (optional):`, '');
+      if (note === null) return;
+
+      button.disabled = true;
+      try {
+        window.logToConsole(`Cancelling game booking #${booking.number}`);
+        await window.api.request(
+          `/api/leisure/bookings/cancel?bookingId=${encodeURIComponent(bookingId)}`,
+          'PUT',
+          { note, agentId: window.dashboardState.agentId || 'dashboard' }
+        );
+
+        this.leisureBookings = this.leisureBookings.filter(entry => entry.id !== bookingId);
+        this.render();
+      } catch (error) {
+        window.logToConsole(`Failed to cancel game booking #${booking.number}: ${error.message}`, true);
+        button.disabled = false;
+      }
+    }
+  };
+
+  // Initialize when the document is ready
+  document.addEventListener('DOMContentLoaded', function() {
+    window.reservationCalendar.initialize();
+  });
+})();
@@ -0,0 +1,240 @@
+// events.js - Lounge events (DJ nights, themed parties): edit the catalog and send flyers to customers
+(function() {
+  'use strict';
+
+  // Escape event text before inserting it into the DOM
+  const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+  // Today's date as YYYY-MM-DD, used to hide past events
+  const today = () => {
+    const date = new Date();
+    return [
+      date.getFullYear(),
+      String(date.getMonth() + 1).padStart(2, '0'),
+      String(date.getDate()).padStart(2, '0')
+    ].join('-');
+  };
+
+  // Events Manager Module
+  window.eventsManager = {
+    // Properties
+    initialized: false,
+    isOpen: false,
+    events: [],
+    types: {},
+
+    // Initialize the module
+    initialize() {
+      if (this.initialized) return;
+      window.logToConsole('Initializing events manager module');
+
+      this.setupEventListeners();
+      this.initialized = true;
+
+      window.logToConsole('Events manager module initialized');
+    },
+
+    // Set up event listeners
+    setupEventListeners() {
+      document.getElementById('events-btn')?.addEventListener('click', () => this.open());
+      document.getElementById('events-close-btn')?.addEventListener('click', () => this.close());
+      document.getElementById('events-refresh-btn')?.addEventListener('click', () => this.loadEvents());
+      document.getElementById('event-form-reset-btn')?.addEventListener('click', () => this.fillForm(null));
+      document.getElementById('event-form')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.saveEvent();
+      });
+
+      // Edit / delete / send flyer buttons on event cards
+      document.getElementById('events-list')?.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-event-action]');
+        if (!button) return;
+
+        const event = this.events.find(entry => entry.id === button.dataset.eventId);
+        if (!event) return;
+
+        if (button.dataset.eventAction === 'edit') this.fillForm(event);
+        if (button.dataset.eventAction === 'delete') this.deleteEvent(event, button);
+        if (button.dataset.eventAction === 'send') this.sendFlyer(event, button);
+      });
+
+      // Close the manager when the dashboard disconnects
+      window.addEventListener('dashboard:connectionChanged', (e) => {
+        if (!e.detail.connected) {
+          this.close();
+        }
+      });
+    },
+
+    async open() {
+      if (!window.dashboardState.connected) {
+        window.logToConsole('Must be connected to manage events', true);
+        return;
+      }
+
+      this.isOpen = true;
+      document.getElementById('events-manager')?.classList.remove('hidden');
+      await this.loadEvents();
+    },
+
+    close() {
+      if (!this.isOpen) return;
+      this.isOpen = false;
+      document.getElementById('events-manager')?.classList.add('hidden');
+    },
+
+    // Load upcoming events
+    async loadEvents() {
+      try {
+        const response = await window.api.request(`/api/events?from=${today()}`);
+        this.events = response.events || [];
+        this.types = response.types || {};
+        this.renderTypeOptions();
+        this.render();
+      } catch (error) {
+        window.logToConsole(`Failed to load events: ${error.message}`, true);
+      }
+    },
+
+    renderTypeOptions() {
+      const select = document.getElementById('event-type');
+      if (!select || select.options.length > 0) return;
+      select.innerHTML = Object.entries(this.types)
+        .map(([value, label]) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`)
+        .join('');
+    },
+
+    // Render a single event card
+    renderEvent(event) {
+      const date = new Date(`${event.date}T12:00:00`).toLocaleDateString([], { weekday: 'long', day: 'numeric', month: 'long' });
+      const hours = event.endTime ? `${event.startTime} - ${event.endTime}` : event.startTime;
+      const cover = event.coverCharge > 0 ? `${event.coverCharge} FCFA` : 'Free entry';
+
+      return `
+        <div class="card p-3 flex space-x-3 ${event.published ? '' : 'opacity-60'}">
+          ${event.flyerUrl
+            ? `<img src="${escapeHtml(event.flyerUrl)}" alt="" class="w-20 h-28 object-cover rounded-md flex-shrink-0">`
+            : '<div class="w-20 h-28 rounded-md bg-gray-800 flex items-center justify-center text-gray-600 flex-shrink-0"><i class="fas fa-image"></i></div>'}
+          <div class="flex-1 min-w-0">
+            <div class="flex justify-between items-start">
+              <div class="font-bold text-white">${escapeHtml(event.title)}</div>
+              <span class="px-2 py-0.5 rounded-full text-xs bg-purple-800 text-purple-200">${escapeHtml(this.types[event.type] || event.type)}</span>
+            </div>
+            <div class="text-sm text-gray-300 mt-1">
+              <i class="fas fa-clock mr-1 text-gray-400"></i>${escapeHtml(date)} · ${escapeHtml(hours)} · ${escapeHtml(cover)}
+            </div>
+            ${event.description ? `<div class="text-sm text-gray-400 mt-1">${escapeHtml(event.description)}</div>` : ''}
+            ${event.published ? '' : '<div class="text-xs text-yellow-400 mt-1">Not published</div>'}
+            <div class="flex space-x-1 mt-2">
+              <button class="btn-primary px-2 py-1 rounded-md text-xs" data-event-action="send" data-event-id="${escapeHtml(event.id)}" ${event.flyerUrl ? '' : 'disabled'}>
+                <i class="fab fa-whatsapp mr-1"></i> Send flyer
+              </button>
+              <button class="btn-secondary px-2 py-1 rounded-md text-xs" data-event-action="edit" data-event-id="${escapeHtml(event.id)}">
+                <i class="fas fa-edit mr-1"></i> Edit
+              </button>
+              <button class="btn-secondary px-2 py-1 rounded-md text-xs" data-event-action="delete" data-event-id="${escapeHtml(event.id)}">
+                <i class="fas fa-trash mr-1"></i> Delete
+              </button>
+            </div>
+          </div>
+        </div>
+      `;
+    },
+
+    render() {
+      const container = document.getElementById('events-list');
+      if (!container) return;
+
+      container.innerHTML = this.events.length > 0
+        ? this.events.map(event => this.renderEvent(event)).join('')
+        : '<div class="text-gray-500 text-center mt-8">No upcoming events</div>';
+    },
+
+    // Fill the form with an event to edit, or clear it for a new one
+    fillForm(event) {
+      document.getElementById('event-form-title').textContent = event ? `Edit "${event.title}"` : 'New event';
+      document.getElementById('event-id').value = event?.id || '';
+      document.getElementById('event-title').value = event?.title || '';
+      document.getElementById('event-type').value = event?.type || 'dj-night';
+      document.getElementById('event-date').value = event?.date || '';
+      document.getElementById('event-start').value = event?.startTime || '';
+      document.getElementById('event-end').value = event?.endTime || '';
+      document.getElementById('event-cover').value = event?.coverCharge ?? 0;
+      document.getElementById('event-flyer').value = event?.flyerUrl || '';
+      document.getElementById('event-description').value = event?.description || '';
+      document.getElementById('event-published').checked = event ? event.published : true;
+    },
+
+    // Create or update the event in the form
+    async saveEvent() {
+      const eventId = document.getElementById('event-id').value;
+      const data = {
+        title: document.getElementById('event-title').value,
+        type: document.getElementById('event-type').value,
+        date: document.getElementById('event-date').value,
+        startTime: document.getElementById('event-start').value,
+        endTime: document.getElementById('event-end').value || null,
+        coverCharge: Number(document.getElementById('event-cover').value || 0),
+        flyerUrl: document.getElementById('event-flyer').value,
+        description: document.getElementById('event-description').value,
+        published: document.getElementById('event-published').checked
+      };
+
+      try {
+        if (eventId) {
+          await window.api.request(`/api/events?eventId=${encodeURIComponent(eventId)}`, 'PUT', data);
+        } else {
+          await window.api.request('/api/events', 'POST', data);
+        }
+        window.logToConsole(`Event "${data.title}" saved`);
+        this.fillForm(null);
+        await this.loadEvents();
+      } catch (error) {
+        window.logToConsole(`Failed to save event: ${error.message}`, true);
+      }
+    },
+
+    async deleteEvent(event, button) {
+      if (!window.confirm(`Delete "${event.title}"?`)) return;
+
+      button.disabled = true;
+      try {
+        await window.api.request(`/api/events?eventId=${encodeURIComponent(event.id)}`, 'DELETE');
+        this.events = this.events.filter(entry => entry.id !== event.id);
+        this.render();
+      } catch (error) {
+        window.logToConsole(`Failed to delete event "${event.title}": ${error.message}`, true);
+        button.disabled = false;
+      }
+    },
+
+    // Send the flyer to the selected conversation, or to a number typed by the agent
+    async sendFlyer(event, button) {
+      const userId = window.prompt(`Send the "${event.title}" flyer to (WhatsApp number):`, window.dashboardState.selectedUserId || '');
+      if (!userId) return;
+
+      button.disabled = true;
+      try {
+        await window.api.request(
+          `/api/events/send?eventId=${encodeURIComponent(event.id)}`,
+          'POST',
+          { userId: userId.trim(), agentId: window.dashboardState.agentId || 'dashboard' }
+        );
+        window.logToConsole(`Flyer "${event.title}" sent to ${userId}`);
+      } catch (error) {
+        window.logToConsole(`Failed to send flyer "${event.title}": ${error.message}`, true);
+      } finally {
+        button.disabled = false;
+      }
+    }
+  };
+
+  // Initialize when the document is ready
+  document.addEventListener('DOMContentLoaded', function() {
+    window.eventsManager.initialize();
+  });
+})();
@@ -0,0 +1,129 @@
+// handoff-settings.js - Rules handing conversations to the staff automatically (angry customer,
+// repeated question, AI uncertainty) and the message the customer gets when it happens
+(function() {
+  'use strict';
+
+  // Handoff Settings Module
+  window.handoffSettings = {
+    // Properties
+    initialized: false,
+    rules: null,
+
+    // Initialize the module
+    initialize() {
+      if (this.initialized) return;
+      window.logToConsole('Initializing handoff settings module');
+
+      this.setupEventListeners();
+      this.initialized = true;
+
+      window.logToConsole('Handoff settings module initialized');
+    },
+
+    // Set up event listeners
+    setupEventListeners() {
+      document.getElementById('handoff-settings-btn')?.addEventListener('click', () => this.openSettingsModal());
+      document.getElementById('close-handoff-settings')?.addEventListener('click', () => this.closeSettingsModal());
+      document.getElementById('save-handoff-settings')?.addEventListener('click', () => this.saveRules());
+      document.getElementById('reset-handoff-settings')?.addEventListener('click', () => this.resetRules());
+
+      // Close modal on backdrop click
+      document.getElementById('handoff-settings-modal')?.addEventListener('click', (e) => {
+        if (e.target.id === 'handoff-settings-modal') {
+          this.closeSettingsModal();
+        }
+      });
+    },
+
+    async openSettingsModal() {
+      if (!window.dashboardState.connected) {
+        window.logToConsole('Must be connected to edit handoff rules', true);
+        return;
+      }
+
+      document.getElementById('handoff-settings-modal')?.classList.remove('hidden');
+      await this.loadRules();
+    },
+
+    closeSettingsModal() {
+      document.getElementById('handoff-settings-modal')?.classList.add('hidden');
+    },
+
+    async loadRules() {
+      try {
+        const response = await window.api.request('/api/handoff/rules');
+        this.fillForm(response.rules);
+      } catch (error) {
+        window.logToConsole(`Failed to load handoff rules: ${error.message}`, true);
+      }
+    },
+
+    fillForm(rules) {
+      this.rules = rules;
+      document.getElementById('handoff-enabled').checked = rules.enabled;
+      document.getElementById('handoff-angry-enabled').checked = rules.angryCustomer.enabled;
+      document.getElementById('handoff-angry-confidence').value = rules.angryCustomer.minConfidence;
+      document.getElementById('handoff-repeated-enabled').checked = rules.repeatedQuestion.enabled;
+      document.getElementById('handoff-repeated-count').value = rules.repeatedQuestion.repeats;
+      document.getElementById('handoff-repeated-window').value = rules.repeatedQuestion.withinMessages;
+      document.getElementById('handoff-uncertainty-enabled').checked = rules.aiUncertainty.enabled;
+      document.getElementById('handoff-uncertainty-phrases').value = rules.aiUncertainty.phrases.join('\n');
+      document.getElementById('handoff-message-fr').value = rules.message.fr;
+      document.getElementById('handoff-message-en').value = rules.message.en;
+    },
+
+    readForm() {
+      return {
+        enabled: document.getElementById('handoff-enabled').checked,
+        angryCustomer: {
+          enabled: document.getElementById('handoff-angry-enabled').checked,
+          minConfidence: Number(document.getElementById('handoff-angry-confidence').value)
+        },
+        repeatedQuestion: {
+          enabled: document.getElementById('handoff-repeated-enabled').checked,
+          repeats: Number(document.getElementById('handoff-repeated-count').value),
+          withinMessages: Number(document.getElementById('handoff-repeated-window').value)
+        },
+        aiUncertainty: {
+          enabled: document.getElementById('handoff-uncertainty-enabled').checked,
+          phrases: document.getElementById('handoff-uncertainty-phrases').value
+            .split('\n')
+            .map(phrase => phrase.trim())
+            .filter(Boolean)
+        },
+        message: {
+          fr: document.getElementById('handoff-message-fr').value,
+          en: document.getElementById('handoff-message-en').value
+        }
+      };
+    },
+
+    async saveRules() {
+      try {
+        const response = await window.api.request('/api/handoff/rules', 'PUT', this.readForm());
+        this.fillForm(response.rules);
+        window.logToConsole('Handoff rules saved');
+        this.closeSettingsModal();
+      } catch (error) {
+        window.logToConsole(`Failed to save handoff rules: ${error.message}`, true);
+      }
+    },
+
+    async resetRules() {
+      if (!window.confirm('Reset the handoff rules to their defaults?')) return;
+
+      try {
+        const response = await window.api.request('/api/handoff/rules', 'DELETE');
+        this.fillForm(response.rules);
+        window.logToConsole('Handoff rules reset to defaults');
+      } catch (error) {
+        window.logToConsole(`Failed to reset handoff rules: ${error.message}`, true);
+      }
+    }
+  };
+
+  // Initialize when the document is ready
+  document.addEventListener('DOMContentLoaded', function() {
+    window.handoffSettings.initialize();
+  });
+})();
@@ -0,0 +1,305 @@
+// kitchen-display.js - Full-screen kitchen view of confirmed and preparing orders
+(function() {
+  'use strict';
+
+  // How often the ticket list is refreshed from the API
+  const POLL_INTERVAL = 10000;
+
+  // Elapsed minutes after which a ticket is shown as late
+  const WARNING_MINUTES = 20;
+  const LATE_MINUTES = 40;
+
+  // Escape order text before inserting it into the DOM
+  const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+  // Format elapsed milliseconds as mm:ss (or h:mm:ss)
+  const formatElapsed = (ms) => {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return hours > 0
+      ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+      : `${minutes}:${seconds}`;
+  };
+
+  // Kitchen Display Module
+  window.kitchenDisplay = {
+    // Properties
+    initialized: false,
+    isOpen: false,
+    orders: [],
+    knownOrderIds: null,
+    pollTimer: null,
+    clockTimer: null,
+    newTicketSound: null,
+
+    // Initialize the module
+    initialize() {
+      if (this.initialized) return;
+      window.logToConsole('Initializing kitchen display module');
+
+      this.newTicketSound = new Audio('./notification-sounds/order-confirmed.mp3');
+      this.setupEventListeners();
+      this.initialized = true;
+
+      window.logToConsole('Kitchen display module initialized');
+    },
+
+    // Set up event listeners
+    setupEventListeners() {
+      document.getElementById('kitchen-display-btn')?.addEventListener('click', () => this.open());
+      document.getElementById('kitchen-close-btn')?.addEventListener('click', () => this.close());
+      document.getElementById('kitchen-refresh-btn')?.addEventListener('click', () => this.loadOrders());
+
+      // One-tap status buttons on tickets
+      document.getElementById('kitchen-tickets')?.addEventListener('click', (e) => {
+        const button = e.target.closest('.kitchen-status-btn');
+        if (button) {
+          this.updateStatus(button.dataset.orderId, button.dataset.status, button);
+        }
+      });
+
+      // A kitchen tablet can open the dashboard directly on this view with ?view=kitchen
+      window.addEventListener('dashboard:connected', () => {
+        const url = new URL(window.location);
+        if (url.searchParams.get('view') === 'kitchen') {
+          this.open(false);
+        }
+      });
+
+      // Stop polling when the dashboard disconnects
+      window.addEventListener('dashboard:connectionChanged', (e) => {
+        if (!e.detail.connected) {
+          this.close();
+        }
+      });
+
+      // Handle navigation (browser back button)
+      window.addEventListener('popstate', () => {
+        if (this.isOpen && new URL(window.location).searchParams.get('view') !== 'kitchen') {
+          this.close(false);
+        }
+      });
+    },
+
+    // Open the kitchen screen and start polling
+    async open(updateHistory = true) {
+      if (!window.dashboardState.connected) {
+        window.logToConsole('Must be connected to open the kitchen display', true);
+        return;
+      }
+      if (this.isOpen) return;
+
+      this.isOpen = true;
+      this.knownOrderIds = null;
+      document.getElementById('kitchen-display')?.classList.remove('hidden');
+
+      if (updateHistory) {
+        const url = new URL(window.location);
+        url.searchParams.set('view', 'kitchen');
+        window.history.pushState({ view: 'kitchen' }, '', url.toString());
+      }
+
+      await this.loadOrders();
+      this.pollTimer = setInterval(() => this.loadOrders(), POLL_INTERVAL);
+      this.clockTimer = setInterval(() => this.updateTimers(), 1000);
+    },
+
+    // Close the kitchen screen and stop polling
+    close(updateHistory = true) {
+      if (!this.isOpen) return;
+      this.isOpen = false;
+
+      clearInterval(this.pollTimer);
+      clearInterval(this.clockTimer);
+      this.pollTimer = null;
+      this.clockTimer = null;
+
+      document.getElementById('kitchen-display')?.classList.add('hidden');
+
+      if (updateHistory) {
+        const url = new URL(window.location);
+        url.searchParams.delete('view');
+        window.history.pushState({}, '', url.toString());
+      }
+    },
+
+    // Load confirmed and preparing orders, oldest first
+    async loadOrders() {
+      try {
+        const response = await window.api.request('/api/orders?status=confirmed,preparing');
+        const orders = (response.orders || []).sort((a, b) =>
+          (a.confirmedAt || a.createdAt) - (b.confirmedAt || b.createdAt)
+        );
+
+        this.announceNewTickets(orders);
+        this.orders = orders;
+        this.render();
+      } catch (error) {
+        window.logToConsole(`Failed to load kitchen orders: ${error.message}`, true);
+      }
+    },
+
+    // Play the order sound when tickets appear that were not on screen before
+    announceNewTickets(orders) {
+      const ids = new Set(orders.map(order => order.id));
+
+      // The first load only fills the list of known tickets
+      if (this.knownOrderIds) {
+        const newOrders = orders.filter(order => !this.knownOrderIds.has(order.id));
+        if (newOrders.length > 0) {
+          window.logToConsole(`${newOrders.length} new kitchen ticket(s): ${newOrders.map(order => `#${order.number}`).join(', ')}`);
+          this.playNewTicketSound();
+        }
+      }
+
+      this.knownOrderIds = ids;
+    },
+
+    playNewTicketSound() {
+      if (window.notificationSystem && window.notificationSystem.soundsEnabled === false) return;
+
+      try {
+        this.newTicketSound.currentTime = 0;
+        const playPromise = this.newTicketSound.play();
+        if (playPromise !== undefined) {
+          playPromise.catch(error => window.logToConsole(`Could not play kitchen sound: ${error.message}`, true));
+        }
+      } catch (error) {
+        window.logToConsole(`Could not play kitchen sound: ${error.message}`, true);
+      }
+    },
+
+    // Render one line of a ticket
+    renderLine(line) {
+      const extras = [];
+      if (line.extraSides > 0) extras.push(`+${line.extraSides} side${line.extraSides > 1 ? 's' : ''}`);
+      if (line.extraCheese) extras.push('+ cheese');
+
+      return `
+        <li class="py-1 border-b border-gray-700 last:border-0">
+          <span class="font-bold text-white">${line.quantity} x</span>
+          <span class="text-white">${escapeHtml(line.name)}</span>
+          ${line.variant ? `<span class="text-purple-300">(${escapeHtml(line.variant)})</span>` : ''}
+          ${extras.length > 0 ? `<div class="text-sm text-yellow-300">${escapeHtml(extras.join(', '))}</div>` : ''}
+          ${line.notes ? `<div class="text-sm text-gray-400 italic">${escapeHtml(line.notes)}</div>` : ''}
+        </li>
+      `;
+    },
+
+    // Render a single ticket
+    renderTicket(order) {
+      const preparing = order.status === 'preparing';
+
+      return `
+        <div class="kitchen-ticket card p-4 flex flex-col" data-order-id="${escapeHtml(order.id)}">
+          <div class="flex justify-between items-center mb-2">
+            <span class="text-2xl font-bold text-white">#${order.number}</span>
+            <span class="kitchen-timer font-mono text-xl" data-since="${order.confirmedAt || order.createdAt}"></span>
+          </div>
+          <div class="flex items-center space-x-2 mb-3 text-xs">
+            <span class="px-2 py-1 rounded-full ${preparing ? 'bg-blue-800 text-blue-200' : 'bg-gray-700 text-gray-200'}">
+              ${preparing ? 'Preparing' : 'New'}
+            </span>
+            <span class="px-2 py-1 rounded-full ${order.fulfillment === 'delivery' ? 'bg-purple-800 text-purple-200' : 'bg-green-800 text-green-200'}">
+              <i class="fas ${order.fulfillment === 'delivery' ? 'fa-motorcycle' : 'fa-shopping-bag'} mr-1"></i>
+              ${order.fulfillment === 'delivery' ? 'Delivery' : 'Pickup'}
+            </span>
+            ${order.scheduledFor ? `
+              <span class="px-2 py-1 rounded-full bg-yellow-800 text-yellow-200">
+                <i class="fas fa-clock mr-1"></i>
+                For ${new Date(order.scheduledFor).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+              </span>
+            ` : ''}
+          </div>
+          <ul class="flex-1 mb-3">
+            ${order.items.map(line => this.renderLine(line)).join('')}
+          </ul>
+          ${order.notes ? `<div class="text-sm text-gray-400 italic mb-3">${escapeHtml(order.notes)}</div>` : ''}
+          <div class="flex space-x-2">
+            ${preparing ? '' : `
+              <button class="kitchen-status-btn btn-secondary flex-1 py-3 rounded-md" data-order-id="${escapeHtml(order.id)}" data-status="preparing">
+                <i class="fas fa-fire mr-1"></i> Start
+              </button>
+            `}
+            <button class="kitchen-status-btn btn-primary flex-1 py-3 rounded-md" data-order-id="${escapeHtml(order.id)}" data-status="ready">
+              <i class="fas fa-check mr-1"></i> Ready
+            </button>
+          </div>
+        </div>
+      `;
+    },
+
+    // Render all tickets
+    render() {
+      const container = document.getElementById('kitchen-tickets');
+      if (!container) return;
+
+      document.getElementById('kitchen-ticket-count').textContent = this.orders.length;
+
+      if (this.orders.length === 0) {
+        container.innerHTML = `
+          <div class="col-span-full text-gray-500 text-center p-20">
+            <i class="fas fa-concierge-bell mb-2 text-4xl opacity-30"></i>
+            <p>No orders waiting</p>
+          </div>
+        `;
+        return;
+      }
+
+      container.innerHTML = this.orders.map(order => this.renderTicket(order)).join('');
+      this.updateTimers();
+    },
+
+    // Refresh the elapsed-time timers without re-rendering the tickets
+    updateTimers() {
+      const now = Date.now();
+      document.querySelectorAll('#kitchen-tickets .kitchen-timer').forEach(timer => {
+        const elapsed = now - Number(timer.dataset.since);
+        const minutes = elapsed / 60000;
+
+        timer.textContent = formatElapsed(elapsed);
+        timer.classList.toggle('text-green-400', minutes < WARNING_MINUTES);
+        timer.classList.toggle('text-yellow-400', minutes >= WARNING_MINUTES && minutes < LATE_MINUTES);
+        timer.classList.toggle('text-red-500', minutes >= LATE_MINUTES);
+      });
+    },
+
+    // Move an order to a new status from a ticket button
+    async updateStatus(orderId, status, button) {
+      const order = this.orders.find(entry => entry.id === orderId);
+      if (!order) return;
+
+      button.disabled = true;
+      try {
+        window.logToConsole(`Kitchen: moving order #${order.number} to ${status}`);
+        const agentId = window.dashboardState.agentId || 'kitchen';
+        await window.api.request(
+          `/api/orders/status?orderId=${encodeURIComponent(orderId)}`,
+          'PUT',
+          { status, agentId }
+        );
+
+        if (status === 'ready') {
+          this.orders = this.orders.filter(entry => entry.id !== orderId);
+        } else {
+          order.status = status;
+        }
+        this.render();
+      } catch (error) {
+        window.logToConsole(`Failed to move order #${order.number} to ${status}: ${error.message}`, true);
+        button.disabled = false;
+      }
+    }
+  };
+
+  // Initialize when the document is ready
+  document.addEventListener('DOMContentLoaded', function() {
+    window.kitchenDisplay.initialize();
+  });
+})();
@@ -0,0 +1,227 @@
+// knowledge-base.js - Standard answers and house policies the AI looks up for each customer message:
+// edit the entries and check which ones a message retrieves
+(function() {
+  'use strict';
+
+  // Escape entry text before inserting it into the DOM
+  const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+  // Knowledge Manager Module
+  window.knowledgeManager = {
+    // Properties
+    initialized: false,
+    isOpen: false,
+    entries: [],
+    categories: {},
+
+    // Initialize the module
+    initialize() {
+      if (this.initialized) return;
+      window.logToConsole('Initializing knowledge manager module');
+
+      this.setupEventListeners();
+      this.initialized = true;
+
+      window.logToConsole('Knowledge manager module initialized');
+    },
+
+    // Set up event listeners
+    setupEventListeners() {
+      document.getElementById('knowledge-btn')?.addEventListener('click', () => this.open());
+      document.getElementById('knowledge-close-btn')?.addEventListener('click', () => this.close());
+      document.getElementById('knowledge-refresh-btn')?.addEventListener('click', () => this.loadEntries());
+      document.getElementById('knowledge-reset-btn')?.addEventListener('click', () => this.resetEntries());
+      document.getElementById('knowledge-form-reset-btn')?.addEventListener('click', () => this.fillForm(null));
+      document.getElementById('knowledge-form')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.saveEntry();
+      });
+      document.getElementById('knowledge-search-form')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.search();
+      });
+
+      // Edit / delete buttons on entry cards
+      document.getElementById('knowledge-list')?.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-knowledge-action]');
+        if (!button) return;
+
+        const entry = this.entries.find(candidate => candidate.id === button.dataset.entryId);
+        if (!entry) return;
+
+        if (button.dataset.knowledgeAction === 'edit') this.fillForm(entry);
+        if (button.dataset.knowledgeAction === 'delete') this.deleteEntry(entry, button);
+      });
+
+      // Close the manager when the dashboard disconnects
+      window.addEventListener('dashboard:connectionChanged', (e) => {
+        if (!e.detail.connected) {
+          this.close();
+        }
+      });
+    },
+
+    async open() {
+      if (!window.dashboardState.connected) {
+        window.logToConsole('Must be connected to manage the knowledge base', true);
+        return;
+      }
+
+      this.isOpen = true;
+      document.getElementById('knowledge-manager')?.classList.remove('hidden');
+      await this.loadEntries();
+    },
+
+    close() {
+      if (!this.isOpen) return;
+      this.isOpen = false;
+      document.getElementById('knowledge-manager')?.classList.add('hidden');
+    },
+
+    async loadEntries() {
+      try {
+        const response = await window.api.request('/api/knowledge');
+        this.entries = response.entries || [];
+        this.categories = response.categories || {};
+        this.renderCategoryOptions();
+        this.render();
+      } catch (error) {
+        window.logToConsole(`Failed to load the knowledge base: ${error.message}`, true);
+      }
+    },
+
+    renderCategoryOptions() {
+      const select = document.getElementById('knowledge-category');
+      if (!select || select.options.length > 0) return;
+      select.innerHTML = Object.entries(this.categories)
+        .map(([value, label]) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`)
+        .join('');
+    },
+
+    // Render a single entry card
+    renderEntry(entry) {
+      return `
+        <div class="card p-3">
+          <div class="flex justify-between items-start">
+            <div class="font-bold text-white">${escapeHtml(entry.question)}</div>
+            <span class="px-2 py-0.5 rounded-full text-xs bg-purple-800 text-purple-200">${escapeHtml(this.categories[entry.category] || entry.category)}</span>
+          </div>
+          <div class="text-sm text-gray-300 mt-1 whitespace-pre-wrap">${escapeHtml(entry.answer)}</div>
+          ${entry.keywords?.length ? `<div class="text-xs text-gray-500 mt-1"><i class="fas fa-tags mr-1"></i>${escapeHtml(entry.keywords.join(', '))}</div>` : ''}
+          <div class="flex space-x-1 mt-2">
+            <button class="btn-secondary px-2 py-1 rounded-md text-xs" data-knowledge-action="edit" data-entry-id="${escapeHtml(entry.id)}">
+              <i class="fas fa-edit mr-1"></i> Edit
+            </button>
+            <button class="btn-secondary px-2 py-1 rounded-md text-xs" data-knowledge-action="delete" data-entry-id="${escapeHtml(entry.id)}">
+              <i class="fas fa-trash mr-1"></i> Delete
+            </button>
+          </div>
+        </div>
+      `;
+    },
+
+    render() {
+      const container = document.getElementById('knowledge-list');
+      if (!container) return;
+
+      container.innerHTML = this.entries.length > 0
+        ? this.entries.map(entry => this.renderEntry(entry)).join('')
+        : '<div class="text-gray-500 text-center mt-8">No entries yet</div>';
+    },
+
+    // Fill the form with an entry to edit, or clear it for a new one
+    fillForm(entry) {
+      document.getElementById('knowledge-form-title').textContent = entry ? `Edit "${entry.question}"` : 'New entry';
+      document.getElementById('knowledge-id').value = entry?.id || '';
+      document.getElementById('knowledge-category').value = entry?.category || 'faq';
+      document.getElementById('knowledge-question').value = entry?.question || '';
+      document.getElementById('knowledge-answer').value = entry?.answer || '';
+      document.getElementById('knowledge-keywords').value = (entry?.keywords || []).join(', ');
+    },
+
+    // Create or update the entry in the form
+    async saveEntry() {
+      const entryId = document.getElementById('knowledge-id').value;
+      const data = {
+        category: document.getElementById('knowledge-category').value,
+        question: document.getElementById('knowledge-question').value,
+        answer: document.getElementById('knowledge-answer').value,
+        keywords: document.getElementById('knowledge-keywords').value
+      };
+
+      try {
+        if (entryId) {
+          await window.api.request(`/api/knowledge?entryId=${encodeURIComponent(entryId)}`, 'PUT', data);
+        } else {
+          await window.api.request('/api/knowledge', 'POST', data);
+        }
+        window.logToConsole(`Knowledge base entry "${data.question}" saved`);
+        this.fillForm(null);
+        await this.loadEntries();
+      } catch (error) {
+        window.logToConsole(`Failed to save knowledge base entry: ${error.message}`, true);
+      }
+    },
+
+    async deleteEntry(entry, button) {
+      if (!window.confirm(`Delete "${entry.question}"?`)) return;
+
+      button.disabled = true;
+      try {
+        await window.api.request(`/api/knowledge?entryId=${encodeURIComponent(entry.id)}`, 'DELETE');
+        this.entries = this.entries.filter(candidate => candidate.id !== entry.id);
+        this.render();
+      } catch (error) {
+        window.logToConsole(`Failed to delete "${entry.question}": ${error.message}`, true);
+        button.disabled = false;
+      }
+    },
+
+    async resetEntries() {
+      if (!window.confirm('Replace every entry with the built-in answers and policies?')) return;
+
+      try {
+        const response = await window.api.request('/api/knowledge/reset', 'POST');
+        this.entries = response.entries || [];
+        this.fillForm(null);
+        this.render();
+        window.logToConsole('Knowledge base reset to defaults');
+      } catch (error) {
+        window.logToConsole(`Failed to reset the knowledge base: ${error.message}`, true);
+      }
+    },
+
+    // Show the entries the AI would receive with a customer message
+    async search() {
+      const query = document.getElementById('knowledge-search-input').value.trim();
+      const container = document.getElementById('knowledge-search-results');
+      if (!query || !container) return;
+
+      try {
+        const response = await window.api.request(`/api/knowledge/search?q=${encodeURIComponent(query)}`);
+        container.innerHTML = response.results.length > 0
+          ? response.results.map(({ entry, score }) => `
+              <div class="p-2 rounded-md bg-gray-900 text-sm">
+                <div class="flex justify-between text-white">
+                  <span>${escapeHtml(entry.question)}</span>
+                  <span class="text-xs text-gray-500">${score.toFixed(1)}</span>
+                </div>
+                ${entry.source === 'prompt' ? '<div class="text-xs text-gray-500">From the AI Persona standard answers</div>' : ''}
+              </div>
+            `).join('')
+          : '<div class="text-sm text-gray-500">No entry matches this message.</div>';
+      } catch (error) {
+        window.logToConsole(`Knowledge base search failed: ${error.message}`, true);
+      }
+    }
+  };
+
+  // Initialize when the document is ready
+  document.addEventListener('DOMContentLoaded', function() {
+    window.knowledgeManager.initialize();
+  });
+})();
@@ -0,0 +1,480 @@
+// menu-editor.js - Menu catalog editor (prices, category order, availability)
+(function() {
+  'use strict';
+
+  // Check if we are in a mobile environment
+  const isMobile = () => window.innerWidth < 768;
+
+  // Escape catalog text before inserting it into the DOM
+  const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+  // Weekday buttons, Monday first (day values follow Date.getDay(), 0 = Sunday)
+  const WEEKDAYS = [
+    { day: 1, label: 'M' },
+    { day: 2, label: 'T' },
+    { day: 3, label: 'W' },
+    { day: 4, label: 'T' },
+    { day: 5, label: 'F' },
+    { day: 6, label: 'S' },
+    { day: 0, label: 'S' }
+  ];
+
+  // Menu Editor Module
+  window.menuEditor = {
+    // Properties
+    initialized: false,
+    catalog: null,
+    isOpen: false,
+    draggedCategoryId: null,
+
+    // Initialize the module
+    initialize() {
+      if (this.initialized) return;
+      window.logToConsole('Initializing menu editor module');
+
+      this.setupEventListeners();
+      this.initialized = true;
+
+      window.logToConsole('Menu editor module initialized');
+    },
+
+    // Set up event listeners
+    setupEventListeners() {
+      // Button next to the conversation list
+      document.getElementById('menu-editor-btn')?.addEventListener('click', () => this.open());
+
+      // Desktop panel controls
+      document.getElementById('menu-editor-close-btn')?.addEventListener('click', () => this.close());
+      document.getElementById('menu-editor-refresh-btn')?.addEventListener('click', () => this.loadCatalog());
+
+      // Mobile panel controls
+      document.getElementById('mobile-menu-back-btn')?.addEventListener('click', () => this.close());
+      document.getElementById('mobile-menu-refresh-btn')?.addEventListener('click', () => this.loadCatalog());
+
+      // Delegate edits from both containers
+      ['menu-editor-content', 'mobile-menu-content'].forEach(id => {
+        const container = document.getElementById(id);
+        if (!container) return;
+
+        container.addEventListener('change', (e) => this.handleChange(e));
+        container.addEventListener('click', (e) => this.handleClick(e));
+        container.addEventListener('keydown', (e) => {
+          if (e.key === 'Enter' && e.target.classList.contains('menu-price-input')) {
+            e.target.blur();
+          }
+        });
+        this.setupDragAndDrop(container);
+      });
+
+      // Close the editor when the dashboard disconnects
+      window.addEventListener('dashboard:connectionChanged', (e) => {
+        if (!e.detail.connected) {
+          this.close();
+        }
+      });
+
+      // Handle navigation (browser back button) on mobile
+      window.addEventListener('popstate', () => {
+        if (isMobile() && document.getElementById('mobile-menu-view')?.classList.contains('active')) {
+          this.close(false);
+        }
+      });
+    },
+
+    // Get the container matching the current layout
+    getContainer() {
+      return document.getElementById(isMobile() ? 'mobile-menu-content' : 'menu-editor-content');
+    },
+
+    // Open the editor (full-screen view on mobile, card on desktop)
+    async open() {
+      if (!window.dashboardState.connected) {
+        window.logToConsole('Must be connected to edit the menu', true);
+        return;
+      }
+
+      this.isOpen = true;
+
+      if (isMobile()) {
+        document.getElementById('mobile-menu-view')?.classList.add('active');
+
+        // Push a history entry so the back button closes the editor
+        const url = new URL(window.location);
+        url.searchParams.set('view', 'menu');
+        window.history.pushState({ view: 'menu' }, '', url.toString());
+      } else {
+        document.getElementById('menu-editor')?.classList.remove('hidden');
+      }
+
+      await this.loadCatalog();
+    },
+
+    // Close the editor
+    close(updateHistory = true) {
+      if (!this.isOpen) return;
+      this.isOpen = false;
+
+      document.getElementById('menu-editor')?.classList.add('hidden');
+
+      const mobileView = document.getElementById('mobile-menu-view');
+      if (mobileView?.classList.contains('active')) {
+        mobileView.classList.remove('active');
+
+        if (updateHistory) {
+          const url = new URL(window.location);
+          url.searchParams.delete('view');
+          window.history.pushState({}, '', url.toString());
+        }
+      }
+    },
+
+    // Load the catalog from the API and render it
+    async loadCatalog() {
+      const container = this.getContainer();
+      if (!container) return;
+
+      container.innerHTML = `
+        <div class="text-gray-500 text-center p-8">
+          <div class="loader mx-auto mb-2"></div>
+          <p>Loading menu...</p>
+        </div>
+      `;
+
+      try {
+        window.logToConsole('Loading menu catalog from API');
+        const response = await window.api.request('/api/menu');
+        this.catalog = response.catalog;
+        this.render();
+      } catch (error) {
+        window.logToConsole(`Failed to load menu catalog: ${error.message}`, true);
+        container.innerHTML = `
+          <div class="text-red-400 text-center p-8">
+            <i class="fas fa-triangle-exclamation mb-2 text-2xl opacity-50"></i>
+            <p>Could not load the menu</p>
+          </div>
+        `;
+      }
+    },
+
+    // Render price inputs for an item (one per size variant, or a single price)
+    renderPriceInputs(item) {
+      const input = (variantName, price) => `
+        <label class="flex items-center space-x-1 text-xs text-gray-400">
+          ${variantName !== null ? `<span>${escapeHtml(variantName)}</span>` : ''}
+          <input type="number" min="0" step="50" inputmode="numeric"
+                 class="menu-price-input w-24 bg-gray-700 text-white border border-gray-600 rounded p-1 text-sm"
+                 data-item-id="${escapeHtml(item.id)}"
+                 ${variantName !== null ? `data-variant="${escapeHtml(variantName)}"` : ''}
+                 value="${price ?? ''}">
+        </label>
+      `;
+
+      if (Array.isArray(item.variants) && item.variants.length > 0) {
+        return item.variants.map(variant => input(variant.name, variant.price)).join('');
+      }
+
+      return input(null, item.price);
+    },
+
+    // Render the weekday schedule selector of an item (no day selected = every day)
+    renderDaySelector(item) {
+      const days = Array.isArray(item.availableDays) ? item.availableDays : [];
+
+      return `
+        <div class="flex items-center space-x-1" title="Days this item is served (none selected = every day)">
+          ${WEEKDAYS.map(({ day, label }) => `
+            <button type="button"
+                    class="menu-day-btn h-6 w-6 rounded text-xs ${days.includes(day) ? 'bg-purple-600 text-white' : 'bg-gray-700 text-gray-400'}"
+                    data-item-id="${escapeHtml(item.id)}" data-day="${day}">${label}</button>
+          `).join('')}
+        </div>
+      `;
+    },
+
+    // Render a single item row
+    renderItem(item) {
+      const soldOut = item.unavailableReason === 'sold_out';
+      const available = item.availableToday !== false;
+
+      return `
+        <div class="menu-item flex flex-col sm:flex-row sm:items-center justify-between gap-2 p-2 rounded-md bg-gray-800 ${available ? '' : 'opacity-60'}" data-item-id="${escapeHtml(item.id)}">
+          <div class="flex-1 min-w-0">
+            <div class="text-sm text-white">
+              ${escapeHtml(item.name)}
+              ${item.unavailableReason === 'schedule' ? '<span class="ml-1 text-xs text-yellow-400">Not served today</span>' : ''}
+              ${soldOut ? '<span class="ml-1 text-xs text-red-400">Sold out</span>' : ''}
+            </div>
+            ${item.description ? `<div class="text-xs text-gray-400 truncate">${escapeHtml(item.description)}</div>` : ''}
+          </div>
+          <div class="flex flex-wrap items-center gap-2">
+            ${this.renderPriceInputs(item)}
+            <label class="flex items-center space-x-1 text-xs text-gray-300 cursor-pointer">
+              <input type="checkbox" class="menu-available-toggle" data-item-id="${escapeHtml(item.id)}" ${soldOut ? '' : 'checked'}>
+              <span>Available today</span>
+            </label>
+            ${this.renderDaySelector(item)}
+          </div>
+        </div>
+      `;
+    },
+
+    // Render the whole catalog
+    render() {
+      const container = this.getContainer();
+      if (!container || !this.catalog) return;
+
+      const categories = this.catalog.categories || [];
+      if (categories.length === 0) {
+        container.innerHTML = `
+          <div class="text-gray-500 text-center p-8">
+            <i class="fas fa-utensils mb-2 text-2xl opacity-30"></i>
+            <p>The menu is empty</p>
+          </div>
+        `;
+        return;
+      }
+
+      container.innerHTML = categories.map((category, index) => `
+        <div class="menu-category p-3 mb-3 rounded-lg border border-gray-700 bg-gray-900" data-category-id="${escapeHtml(category.id)}">
+          <div class="flex items-center justify-between mb-2">
+            <div class="flex items-center min-w-0">
+              <i class="fas fa-grip-vertical menu-drag-handle text-gray-500 mr-2 cursor-move" title="Drag to reorder"></i>
+              <h4 class="font-semibold text-purple-300 truncate">${escapeHtml(category.name)}</h4>
+              <span class="ml-2 text-xs text-gray-500">${category.items.length}</span>
+            </div>
+            <div class="flex space-x-1">
+              <button class="menu-move-btn btn-secondary h-7 w-7 rounded-md text-xs" data-direction="up" ${index === 0 ? 'disabled' : ''}>
+                <i class="fas fa-arrow-up"></i>
+              </button>
+              <button class="menu-move-btn btn-secondary h-7 w-7 rounded-md text-xs" data-direction="down" ${index === categories.length - 1 ? 'disabled' : ''}>
+                <i class="fas fa-arrow-down"></i>
+              </button>
+            </div>
+          </div>
+          <div class="space-y-2">
+            ${category.items.map(item => this.renderItem(item)).join('')}
+          </div>
+        </div>
+      `).join('');
+    },
+
+    // Find an item in the loaded catalog
+    findItem(itemId) {
+      for (const category of this.catalog?.categories || []) {
+        const item = category.items.find(entry => entry.id === itemId);
+        if (item) return item;
+      }
+      return null;
+    },
+
+    // Handle price input and availability changes
+    async handleChange(e) {
+      const target = e.target;
+
+      if (target.classList.contains('menu-price-input')) {
+        await this.savePrice(target);
+      } else if (target.classList.contains('menu-available-toggle')) {
+        await this.saveAvailability(target);
+      }
+    },
+
+    // Handle reorder and weekday button clicks
+    async handleClick(e) {
+      const dayBtn = e.target.closest('.menu-day-btn');
+      if (dayBtn) {
+        await this.toggleDay(dayBtn.dataset.itemId, Number(dayBtn.dataset.day));
+        return;
+      }
+
+      const moveBtn = e.target.closest('.menu-move-btn');
+      if (!moveBtn) return;
+
+      const categoryId = moveBtn.closest('.menu-category')?.dataset.categoryId;
+      const ids = this.catalog.categories.map(category => category.id);
+      const index = ids.indexOf(categoryId);
+      const newIndex = moveBtn.dataset.direction === 'up' ? index - 1 : index + 1;
+
+      if (index < 0 || newIndex < 0 || newIndex >= ids.length) return;
+
+      ids.splice(index, 1);
+      ids.splice(newIndex, 0, categoryId);
+      await this.saveCategoryOrder(ids);
+    },
+
+    // Show a short visual confirmation (or error) on an input
+    flashInput(input, success) {
+      const className = success ? 'border-green-500' : 'border-red-500';
+      input.classList.remove('border-gray-600');
+      input.classList.add(className);
+      setTimeout(() => {
+        input.classList.remove(className);
+        input.classList.add('border-gray-600');
+      }, 1500);
+    },
+
+    // Save the prices of an item after an inline edit
+    async savePrice(input) {
+      const itemId = input.dataset.itemId;
+      const item = this.findItem(itemId);
+      if (!item) return;
+
+      const value = Number(input.value);
+      if (input.value === '' || !Number.isFinite(value) || value < 0) {
+        window.logToConsole(`Invalid price for ${item.name}: ${input.value}`, true);
+        this.flashInput(input, false);
+        this.render();
+        return;
+      }
+
+      // Collect every price input of this item so variants are saved together
+      const inputs = this.getContainer().querySelectorAll(`.menu-price-input[data-item-id="${CSS.escape(itemId)}"]`);
+      const body = Array.isArray(item.variants) && item.variants.length > 0
+        ? { variants: Array.from(inputs).map(el => ({ name: el.dataset.variant, price: Number(el.value) })) }
+        : { price: value };
+
+      try {
+        window.logToConsole(`Updating price of ${item.name}: ${JSON.stringify(body)}`);
+        const result = await window.api.request(
+          `/api/menu/items/price?itemId=${encodeURIComponent(itemId)}`,
+          'PUT',
+          body
+        );
+        Object.assign(item, result.item);
+        this.flashInput(input, true);
+      } catch (error) {
+        window.logToConsole(`Failed to update price of ${item.name}: ${error.message}`, true);
+        this.flashInput(input, false);
+        this.render();
+      }
+    },
+
+    // Save the "available today" toggle of an item
+    async saveAvailability(checkbox) {
+      const itemId = checkbox.dataset.itemId;
+      const item = this.findItem(itemId);
+      if (!item) return;
+
+      try {
+        window.logToConsole(`Setting availability of ${item.name} to ${checkbox.checked}`);
+        const result = await window.api.request(
+          `/api/menu/items?itemId=${encodeURIComponent(itemId)}`,
+          'PUT',
+          { available: checkbox.checked }
+        );
+        Object.assign(item, result.item);
+      } catch (error) {
+        window.logToConsole(`Failed to update availability of ${item.name}: ${error.message}`, true);
+      }
+
+      this.render();
+    },
+
+    // Add or remove a weekday from the schedule of an item
+    async toggleDay(itemId, day) {
+      const item = this.findItem(itemId);
+      if (!item) return;
+
+      const current = Array.isArray(item.availableDays) ? item.availableDays : [];
+      const availableDays = current.includes(day)
+        ? current.filter(entry => entry !== day)
+        : [...current, day];
+
+      try {
+        window.logToConsole(`Setting serving days of ${item.name} to ${availableDays.join(', ') || 'every day'}`);
+        const result = await window.api.request(
+          `/api/menu/items?itemId=${encodeURIComponent(itemId)}`,
+          'PUT',
+          { availableDays }
+        );
+        Object.assign(item, result.item);
+      } catch (error) {
+        window.logToConsole(`Failed to update serving days of ${item.name}: ${error.message}`, true);
+      }
+
+      this.render();
+    },
+
+    // Save a new category order
+    async saveCategoryOrder(categoryIds) {
+      try {
+        window.logToConsole(`Reordering menu categories: ${categoryIds.join(', ')}`);
+        const result = await window.api.request(
+          '/api/menu/categories/reorder',
+          'PUT',
+          { categoryIds }
+        );
+        this.catalog = result.catalog;
+      } catch (error) {
+        window.logToConsole(`Failed to reorder categories: ${error.message}`, true);
+      }
+
+      this.render();
+    },
+
+    // Drag-and-drop reordering of categories (drag handle only, so inputs stay editable)
+    setupDragAndDrop(container) {
+      container.addEventListener('mousedown', (e) => {
+        const handle = e.target.closest('.menu-drag-handle');
+        if (handle) {
+          handle.closest('.menu-category').draggable = true;
+        }
+      });
+
+      container.addEventListener('dragstart', (e) => {
+        const category = e.target.closest('.menu-category');
+        if (!category) return;
+
+        this.draggedCategoryId = category.dataset.categoryId;
+        category.classList.add('opacity-50');
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', this.draggedCategoryId);
+      });
+
+      container.addEventListener('dragover', (e) => {
+        if (!this.draggedCategoryId) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+      });
+
+      container.addEventListener('drop', async (e) => {
+        const target = e.target.closest('.menu-category');
+        if (!this.draggedCategoryId || !target) return;
+        e.preventDefault();
+
+        const draggedId = this.draggedCategoryId;
+        const targetId = target.dataset.categoryId;
+        this.draggedCategoryId = null;
+        if (draggedId === targetId) {
+          this.render();
+          return;
+        }
+
+        // Insert before or after the target depending on the drop position
+        const rect = target.getBoundingClientRect();
+        const after = e.clientY > rect.top + rect.height / 2;
+        const ids = this.catalog.categories.map(category => category.id).filter(id => id !== draggedId);
+        ids.splice(ids.indexOf(targetId) + (after ? 1 : 0), 0, draggedId);
+
+        await this.saveCategoryOrder(ids);
+      });
+
+      container.addEventListener('dragend', (e) => {
+        const category = e.target.closest('.menu-category');
+        if (category) {
+          category.draggable = false;
+          category.classList.remove('opacity-50');
+        }
+        this.draggedCategoryId = null;
+      });
+    }
+  };
+
+  // Initialize when the document is ready
+  document.addEventListener('DOMContentLoaded', function() {
+    window.menuEditor.initialize();
+  });
+})();
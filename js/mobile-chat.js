@@ -87,6 +87,15 @@
                   <i class="fas fa-paper-plane"></i>
                 </button>
               </form>
+              <div id="mobile-reply-suggestions" class="mt-2 hidden">
+                <div class="flex justify-between items-center mb-1">
+                  <span class="text-xs text-gray-400"><i class="fas fa-magic mr-1"></i> Suggested replies</span>
+                  <button id="mobile-refresh-suggestions-btn" type="button" class="text-xs text-purple-300">
+                    <i class="fas fa-sync-alt"></i>
+                  </button>
+                </div>
+                <div id="mobile-reply-suggestions-list" class="flex flex-wrap gap-2"></div>
+              </div>
             </div>
           </div>
         `;
@@ -230,6 +239,13 @@
         this.handleSendMessage();
       });
       
+      // Draft new reply suggestions for the open conversation
+      document.getElementById('mobile-refresh-suggestions-btn')?.addEventListener('click', () => {
+        if (!this.activeUserId) return;
+        delete window.ui.suggestionCache[this.activeUserId];
+        this.refreshChat();
+      });
+      
       // Message input auto-resize
       document.getElementById('mobile-message')?.addEventListener('input', (e) => {
         const input = e.target;
@@ -357,8 +373,28 @@
         // Update status and controls based on conversation metadata
         this.updateConversationStatus(data.metadata);
         
-        // Display messages
+        // Display messages, after the summary of the older ones when an agent handles the conversation
         this.displayMessages(data.messages);
+        if (data.metadata?.status === 'human-handled' && data.summary) {
+          const container = document.getElementById('mobile-conversation-messages');
+          container.prepend(window.ui.createSummaryElement(data.summary));
+        }
+        if (data.metadata?.priceReview?.pending) {
+          document.getElementById('mobile-conversation-messages')
+            .prepend(window.ui.createPriceReviewElement(this.activeUserId, data.metadata.priceReview));
+        }
+        
+        // Offer AI-drafted replies when this agent is answering the customer
+        const suggestionTargets = {
+          container: document.getElementById('mobile-reply-suggestions'),
+          list: document.getElementById('mobile-reply-suggestions-list'),
+          input: document.getElementById('mobile-message')
+        };
+        if (data.metadata?.status === 'human-handled' && data.metadata.handledBy === window.dashboardState.agentId) {
+          window.ui.showReplySuggestions(this.activeUserId, data.messages, suggestionTargets);
+        } else {
+          suggestionTargets.container?.classList.add('hidden');
+        }
         
         // Restore refresh button
         refreshBtn.innerHTML = '<i class="fas fa-sync-alt"></i>';
@@ -380,12 +416,17 @@
       // Determine status
       const isHumanHandled = metadata && metadata.status === 'human-handled';
       const isHandledByThisAgent = isHumanHandled && metadata.handledBy === window.dashboardState.agentId;
+      const isAwaitingAgent = isHumanHandled && metadata.handledBy === 'auto-handoff';
+      const lastHandoff = metadata?.handoffs?.[metadata.handoffs.length - 1];
       
       // Update status badge
       if (statusElement) {
         if (isHandledByThisAgent) {
           statusElement.textContent = 'You are handling this';
           statusElement.className = 'text-xs px-2 py-0.5 rounded-full bg-green-800 text-white';
+        } else if (isAwaitingAgent) {
+          statusElement.textContent = `Waiting for an agent: ${lastHandoff?.reason || 'handed over automatically'}`;
+          statusElement.className = 'text-xs px-2 py-0.5 rounded-full bg-red-800 text-white';
         } else if (isHumanHandled) {
           statusElement.textContent = `Agent: ${metadata.handledBy || 'unknown'}`;
           statusElement.className = 'text-xs px-2 py-0.5 rounded-full bg-purple-800 text-white';
@@ -403,6 +444,13 @@
         messageInput.disabled = false;
         messageInput.placeholder = 'Type a message...';
         sendButton.disabled = false;
+      } else if (isAwaitingAgent) {
+        // Handed over by the rules: any agent can take it
+        takeOverBtn.classList.remove('hidden');
+        handBackBtn.classList.add('hidden');
+        messageInput.disabled = true;
+        messageInput.placeholder = 'Take over to answer the customer';
+        sendButton.disabled = true;
       } else if (isHumanHandled) {
         // Another agent is handling it
         takeOverBtn.classList.add('hidden');
@@ -468,6 +516,7 @@
             <div class="text-xs text-gray-500 flex ${isUser ? 'justify-end' : 'justify-start'} w-full px-1">
               ${timestamp}
               ${message.sentBy ? `<span class="ml-1 opacity-70">· ${message.sentBy}</span>` : ''}
+              ${message.intent ? `<span class="ml-1 opacity-70" title="${Math.round((message.intentConfidence || 0) * 100)}%">· ${message.intent.replace('_', ' ')}</span>` : ''}
             </div>
           </div>
         `;
@@ -478,6 +478,10 @@
             icon = 'question-circle';
             bgClass = 'bg-red-800';
             break;
+          case 'reservation_request':
+            icon = 'calendar-alt';
+            bgClass = 'bg-yellow-800';
+            break;
           case 'system':
             icon = 'info-circle';
             bgClass = 'bg-blue-800';
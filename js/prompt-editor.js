@@ -0,0 +1,206 @@
+// prompt-editor.js - Edit the AI persona, business information and standard answers, with version
+// history, diffs and rollback
+(function() {
+  'use strict';
+
+  // Escape prompt text before inserting it into the DOM
+  const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+  const DIFF_LINE_CLASSES = {
+    added: 'bg-green-900 text-green-200',
+    removed: 'bg-red-900 text-red-200',
+    same: 'text-gray-400'
+  };
+  const DIFF_LINE_PREFIXES = { added: '+', removed: '-', same: ' ' };
+
+  // Prompt Editor Module
+  window.promptEditor = {
+    // Properties
+    initialized: false,
+    sections: {},
+    current: null,
+    versions: [],
+
+    // Initialize the module
+    initialize() {
+      if (this.initialized) return;
+      window.logToConsole('Initializing prompt editor module');
+
+      this.setupEventListeners();
+      this.initialized = true;
+
+      window.logToConsole('Prompt editor module initialized');
+    },
+
+    // Set up event listeners
+    setupEventListeners() {
+      document.getElementById('prompt-editor-btn')?.addEventListener('click', () => this.open());
+      document.getElementById('close-prompt-editor')?.addEventListener('click', () => this.close());
+      document.getElementById('save-prompt-editor')?.addEventListener('click', () => this.save());
+      document.getElementById('close-prompt-diff')?.addEventListener('click', () => {
+        document.getElementById('prompt-diff')?.classList.add('hidden');
+      });
+
+      // Close modal on backdrop click
+      document.getElementById('prompt-editor-modal')?.addEventListener('click', (e) => {
+        if (e.target.id === 'prompt-editor-modal') {
+          this.close();
+        }
+      });
+
+      // Diff / restore buttons in the history
+      document.getElementById('prompt-versions-list')?.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-prompt-action]');
+        if (!button) return;
+
+        const version = Number(button.dataset.version);
+        if (button.dataset.promptAction === 'diff') this.showDiff(version);
+        if (button.dataset.promptAction === 'restore') this.restore(version, button);
+      });
+    },
+
+    async open() {
+      if (!window.dashboardState.connected) {
+        window.logToConsole('Must be connected to edit the AI persona', true);
+        return;
+      }
+
+      document.getElementById('prompt-editor-modal')?.classList.remove('hidden');
+      document.getElementById('prompt-diff')?.classList.add('hidden');
+      await this.load();
+    },
+
+    close() {
+      document.getElementById('prompt-editor-modal')?.classList.add('hidden');
+    },
+
+    // Load the current version and the history
+    async load() {
+      try {
+        const [currentResponse, versionsResponse] = await Promise.all([
+          window.api.request('/api/prompts'),
+          window.api.request('/api/prompts/versions')
+        ]);
+        this.sections = currentResponse.sections || {};
+        this.current = currentResponse.current;
+        this.versions = versionsResponse.versions || [];
+        this.renderEditor();
+        this.renderVersions();
+      } catch (error) {
+        window.logToConsole(`Failed to load prompt templates: ${error.message}`, true);
+      }
+    },
+
+    describeVersion(version) {
+      const date = version.createdAt ? new Date(version.createdAt).toLocaleString() : 'built-in';
+      return `Version ${version.version} · ${date} · ${version.author}`;
+    },
+
+    renderEditor() {
+      document.getElementById('prompt-editor-current').textContent = `Editing ${this.describeVersion(this.current)}`;
+      document.getElementById('prompt-editor-note').value = '';
+      document.getElementById('prompt-editor-sections').innerHTML = Object.entries(this.sections).map(([section, label]) => `
+        <div>
+          <label for="prompt-section-${section}" class="block text-sm font-medium text-white mb-1">${escapeHtml(label)}</label>
+          <textarea id="prompt-section-${section}" data-section="${section}" rows="${section === 'persona' ? 5 : 10}"
+                    class="w-full bg-gray-700 text-white border border-gray-600 rounded p-2 text-sm">${escapeHtml(this.current.templates[section])}</textarea>
+        </div>
+      `).join('');
+    },
+
+    renderVersions() {
+      const container = document.getElementById('prompt-versions-list');
+      if (!container) return;
+
+      container.innerHTML = this.versions.map(version => `
+        <div class="p-3 rounded-md bg-gray-900 ${version.current ? 'border border-purple-600' : ''}">
+          <div class="flex justify-between items-center text-sm text-white">
+            <span>Version ${version.version}</span>
+            ${version.current ? '<span class="px-2 py-0.5 rounded-full text-xs bg-purple-800 text-purple-200">Current</span>' : ''}
+          </div>
+          <div class="text-xs text-gray-400 mt-1">${escapeHtml(version.createdAt ? new Date(version.createdAt).toLocaleString() : 'Built-in')} · ${escapeHtml(version.author)}</div>
+          ${version.note ? `<div class="text-xs text-gray-300 mt-1">${escapeHtml(version.note)}</div>` : ''}
+          ${version.current ? '' : `
+            <div class="flex space-x-1 mt-2">
+              <button class="btn-secondary px-2 py-1 rounded-md text-xs" data-prompt-action="diff" data-version="${version.version}">
+                <i class="fas fa-code-compare mr-1"></i> Diff
+              </button>
+              <button class="btn-secondary px-2 py-1 rounded-md text-xs" data-prompt-action="restore" data-version="${version.version}">
+                <i class="fas fa-undo mr-1"></i> Restore
+              </button>
+            </div>
+          `}
+        </div>
+      `).join('');
+    },
+
+    // Save the edited texts as a new version
+    async save() {
+      const templates = {};
+      document.querySelectorAll('#prompt-editor-sections [data-section]').forEach(textarea => {
+        templates[textarea.dataset.section] = textarea.value;
+      });
+
+      try {
+        const response = await window.api.request('/api/prompts', 'PUT', {
+          templates,
+          note: document.getElementById('prompt-editor-note').value,
+          author: window.dashboardState.agentId || 'dashboard'
+        });
+        window.logToConsole(`Prompt templates saved as version ${response.current.version}`);
+        await this.load();
+      } catch (error) {
+        window.logToConsole(`Failed to save prompt templates: ${error.message}`, true);
+      }
+    },
+
+    // Show what changed between a version and the current one
+    async showDiff(version) {
+      try {
+        const response = await window.api.request(`/api/prompts/diff?from=${version}`);
+        const { diff } = response;
+        document.getElementById('prompt-diff-title').textContent = `Changes from version ${diff.from} to version ${diff.to}`;
+        document.getElementById('prompt-diff-content').innerHTML = Object.entries(diff.sections).map(([section, sectionDiff]) => `
+          <div>
+            <div class="text-sm font-sans font-medium text-white mb-1">${escapeHtml(this.sections[section] || section)}</div>
+            ${sectionDiff.changed
+              ? `<div class="rounded-md overflow-hidden border border-gray-700">${sectionDiff.lines.map(line => `
+                  <div class="px-2 whitespace-pre-wrap ${DIFF_LINE_CLASSES[line.type]}">${DIFF_LINE_PREFIXES[line.type]} ${escapeHtml(line.text)}</div>
+                `).join('')}</div>`
+              : '<div class="text-gray-500 font-sans">No changes</div>'}
+          </div>
+        `).join('');
+        document.getElementById('prompt-diff')?.classList.remove('hidden');
+      } catch (error) {
+        window.logToConsole(`Failed to load prompt diff: ${error.message}`, true);
+      }
+    },
+
+    // Bring back an earlier version (saved as a new version)
+    async restore(version, button) {
+      if (!window.confirm(`Restore version ${version}? The AI will use it for its next answers.`)) return;
+
+      button.disabled = true;
+      try {
+        const response = await window.api.request(`/api/prompts/rollback?version=${version}`, 'POST', {
+          author: window.dashboardState.agentId || 'dashboard'
+        });
+        window.logToConsole(`Version ${version} restored as version ${response.current.version}`);
+        document.getElementById('prompt-diff')?.classList.add('hidden');
+        await this.load();
+      } catch (error) {
+        window.logToConsole(`Failed to restore version ${version}: ${error.message}`, true);
+        button.disabled = false;
+      }
+    }
+  };
+
+  // Initialize when the document is ready
+  document.addEventListener('DOMContentLoaded', function() {
+    window.promptEditor.initialize();
+  });
+})();
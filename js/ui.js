@@ -201,6 +201,7 @@
         totalConversations: document.getElementById('total-conversations'),
         humanHandled: document.getElementById('human-handled'),
         aiHandled: document.getElementById('ai-handled'),
+        priceIncidents: document.getElementById('price-incidents'),
         conversationDetail: document.getElementById('conversation-detail'),
         userId: document.getElementById('user-id'),
         conversationMessages: document.getElementById('conversation-messages'),
@@ -262,6 +263,13 @@
         this.elements.handBackBtn.addEventListener('click', this.handleHandBackClick.bind(this));
       }
       
+      // Draft new reply suggestions for the selected conversation
+      document.getElementById('refresh-suggestions-btn')?.addEventListener('click', () => {
+        if (!window.dashboardState.selectedUserId) return;
+        delete this.suggestionCache[window.dashboardState.selectedUserId];
+        this.refreshConversationDetail();
+      });
+      
       // Refresh conversation button
       if (this.elements.refreshConversationBtn) {
         this.elements.refreshConversationBtn.addEventListener('click', this.handleRefreshConversationClick.bind(this));
@@ -571,6 +579,8 @@
           window.dashboardState.conversations.filter(c => c.status === 'ai-handled').length
         );
         
+        this.refreshPriceIncidents();
+        
         // Clear and rebuild the list
         if (this.elements.conversationList) {
           this.elements.conversationList.innerHTML = '';
@@ -599,7 +609,10 @@
             
             // Status badge
             let statusBadgeClass, statusText;
-            if (conversation.status === 'human-handled') {
+            if (conversation.status === 'human-handled' && conversation.handledBy === 'auto-handoff') {
+              statusBadgeClass = 'human';
+              statusText = 'awaiting agent';
+            } else if (conversation.status === 'human-handled') {
               statusBadgeClass = 'human';
               statusText = 'human-handled';
             } else {
@@ -611,7 +624,10 @@
               <div class="flex flex-col space-y-2">
                 <div class="flex justify-between items-center">
                   <div class="font-medium text-purple-300">${conversation.userId}</div>
-                  <span class="status-badge ${statusBadgeClass}">${statusText}</span>
+                  <div class="flex space-x-1">
+                    ${conversation.priceReview ? '<span class="status-badge price-review">price check</span>' : ''}
+                    <span class="status-badge ${statusBadgeClass}">${statusText}</span>
+                  </div>
                 </div>
                 <div class="text-sm text-gray-400 truncate">
                   ${conversation.lastRole === 'user' ? '👤 ' : '🤖 '}
@@ -685,6 +701,152 @@
       if (this.elements.aiHandled) {
         this.elements.aiHandled.textContent = '0';
       }
+      
+      if (this.elements.priceIncidents) {
+        this.elements.priceIncidents.textContent = '0';
+      }
+    },
+    
+    // Count of AI replies with a wrong price over the last 7 days
+    async refreshPriceIncidents() {
+      if (!this.elements.priceIncidents) return;
+      
+      try {
+        const analytics = await window.api.getAnalytics(7);
+        const totals = analytics.totals || {};
+        this.animateCounter(
+          this.elements.priceIncidents,
+          parseInt(this.elements.priceIncidents.textContent),
+          totals.price_incidents || 0
+        );
+        this.elements.priceIncidents.parentElement.title = ['price_corrected', 'price_regenerated', 'price_annotated']
+          .map(metric => `${analytics.metrics[metric]}: ${totals[metric] || 0}`)
+          .join('\n');
+      } catch (error) {
+        window.logToConsole(`Failed to load analytics: ${error.message}`, true);
+      }
+    },
+    
+    // Warning shown while the AI's wrong prices in a conversation have not been reviewed
+    createPriceReviewElement(userId, priceReview, onReviewed) {
+      const actions = {
+        corrected: 'corrected automatically',
+        regenerated: 'reply regenerated',
+        annotated: 'exact prices added to the reply'
+      };
+      const reviewDiv = document.createElement('div');
+      reviewDiv.className = 'mx-2 mb-4 p-3 rounded-lg bg-gray-800 border border-yellow-700 text-sm';
+      reviewDiv.innerHTML = `
+        <div class="flex justify-between items-center mb-1">
+          <div class="text-xs text-yellow-300 font-semibold">
+            <i class="fas fa-exclamation-triangle mr-1"></i> The AI quoted wrong prices
+          </div>
+          <button class="btn-secondary px-2 py-1 rounded-md text-xs">
+            <i class="fas fa-check mr-1"></i> Mark reviewed
+          </button>
+        </div>
+        <ul class="text-gray-300 space-y-1"></ul>
+      `;
+      
+      const list = reviewDiv.querySelector('ul');
+      priceReview.incidents.slice(-3).forEach(incident => {
+        incident.issues.forEach(issue => {
+          const item = document.createElement('li');
+          const expected = issue.expected !== null ? ` instead of ${issue.expected}` : '';
+          item.textContent = `${new Date(incident.at).toLocaleString()} - ${issue.item}${issue.size ? ` (${issue.size})` : ''}: ${issue.quoted}${expected}, ${actions[incident.action]}`;
+          list.appendChild(item);
+        });
+      });
+      
+      const button = reviewDiv.querySelector('button');
+      button.addEventListener('click', async () => {
+        button.disabled = true;
+        try {
+          await window.api.markPriceReviewed(userId);
+          reviewDiv.remove();
+          onReviewed?.();
+        } catch (error) {
+          window.logToConsole(`Failed to mark prices as reviewed: ${error.message}`, true);
+          button.disabled = false;
+        }
+      });
+      return reviewDiv;
+    },
+    
+    // Box showing the rolling summary of the messages older than the visible ones
+    createSummaryElement(summary) {
+      const summaryDiv = document.createElement('div');
+      summaryDiv.className = 'mx-2 mb-4 p-3 rounded-lg bg-gray-800 border border-gray-700 text-sm';
+      summaryDiv.innerHTML = `
+        <div class="text-xs text-purple-300 font-semibold mb-1">
+          <i class="fas fa-scroll mr-1"></i> Summary of ${summary.messageCount} earlier messages
+        </div>
+        <div class="text-gray-300 whitespace-pre-line"></div>
+      `;
+      summaryDiv.querySelector('.whitespace-pre-line').textContent = summary.text;
+      return summaryDiv;
+    },
+    
+    // AI-drafted replies per conversation: { lastTimestamp, suggestions } (suggestions is null while loading)
+    suggestionCache: {},
+    
+    // Show reply suggestions under a composer. They are drafted again only when the customer has written
+    // since the last ones, and hidden when the last message is not from the customer.
+    async showReplySuggestions(userId, messages, { container, list, input }) {
+      const lastMessage = messages?.[messages.length - 1];
+      if (!container || !list || !lastMessage || lastMessage.role !== 'user') {
+        container?.classList.add('hidden');
+        return;
+      }
+      
+      container.classList.remove('hidden');
+      container.dataset.userId = userId;
+      
+      let entry = this.suggestionCache[userId];
+      if (!entry || entry.lastTimestamp !== lastMessage.timestamp) {
+        entry = { lastTimestamp: lastMessage.timestamp, suggestions: null };
+        this.suggestionCache[userId] = entry;
+        this.renderReplySuggestions(list, entry.suggestions, input);
+        
+        try {
+          const result = await window.api.suggestReplies(userId);
+          entry.suggestions = result.suggestions || [];
+        } catch (error) {
+          window.logToConsole(`Failed to draft reply suggestions: ${error.message}`, true);
+          entry.suggestions = [];
+        }
+        
+        // The agent may have opened another conversation in the meantime
+        if (container.dataset.userId !== userId || this.suggestionCache[userId] !== entry) return;
+      }
+      
+      this.renderReplySuggestions(list, entry.suggestions, input);
+    },
+    
+    // Render suggestions as chips; clicking one puts it in the composer for the agent to edit and send
+    renderReplySuggestions(list, suggestions, input) {
+      if (suggestions === null) {
+        list.innerHTML = '<div class="loader"></div>';
+        return;
+      }
+      if (suggestions.length === 0) {
+        list.innerHTML = '<span class="text-xs text-gray-500">No suggestions available</span>';
+        return;
+      }
+      
+      list.innerHTML = '';
+      suggestions.forEach(text => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'text-left text-xs bg-gray-800 hover:bg-gray-700 text-gray-200 border border-gray-700 rounded-lg px-3 py-1';
+        chip.textContent = text;
+        chip.addEventListener('click', () => {
+          input.value = text;
+          input.dispatchEvent(new Event('input'));
+          input.focus();
+        });
+        list.appendChild(chip);
+      });
     },
     
     // Handler for take over button click
@@ -1011,6 +1173,9 @@
         // Update UI based on conversation status
         const isHumanHandled = data.metadata && data.metadata.status === 'human-handled';
         const isHandledByThisAgent = isHumanHandled && data.metadata.handledBy === window.dashboardState.agentId;
+        // Handed over by the automatic rules: waiting for any agent to take over
+        const isAwaitingAgent = isHumanHandled && data.metadata.handledBy === 'auto-handoff';
+        const lastHandoff = data.metadata?.handoffs?.[data.metadata.handoffs.length - 1];
         
         window.logToConsole(`Conversation status: ${isHumanHandled ? 'human-handled' : 'ai-handled'}, Handler: ${data.metadata?.handledBy || 'none'}, This agent: ${window.dashboardState.agentId}`);
         
@@ -1020,6 +1185,9 @@
           if (isHandledByThisAgent) {
             statusDisplay.textContent = 'You are handling this';
             statusDisplay.className = 'text-xs px-2 py-0.5 rounded-full bg-green-800 text-white';
+          } else if (isAwaitingAgent) {
+            statusDisplay.textContent = `Waiting for an agent: ${lastHandoff?.reason || 'handed over automatically'}`;
+            statusDisplay.className = 'text-xs px-2 py-0.5 rounded-full bg-red-800 text-white';
           } else if (isHumanHandled) {
             statusDisplay.textContent = `Agent: ${data.metadata.handledBy || 'unknown'}`;
             statusDisplay.className = 'text-xs px-2 py-0.5 rounded-full bg-purple-800 text-white';
@@ -1038,6 +1206,14 @@
           this.elements.messageInput.disabled = false;
           this.elements.messageInput.placeholder = 'Type a message...';
           this.elements.sendMessageForm.querySelector('button[type="submit"]').disabled = false;
+        } else if (isAwaitingAgent) {
+          // Handed over by the rules: any agent can take it
+          window.logToConsole(`Conversation handed over automatically: ${lastHandoff?.reason || 'no reason logged'}`);
+          this.elements.takeOverBtn.classList.remove('hidden');
+          this.elements.handBackBtn.classList.add('hidden');
+          this.elements.messageInput.disabled = true;
+          this.elements.messageInput.placeholder = 'Take over to answer the customer';
+          this.elements.sendMessageForm.querySelector('button[type="submit"]').disabled = true;
         } else if (isHumanHandled) {
           // Another agent is handling it
           window.logToConsole(`Another agent (${data.metadata.handledBy}) is handling the conversation`);
@@ -1056,10 +1232,33 @@
           this.elements.sendMessageForm.querySelector('button[type="submit"]').disabled = true;
         }
         
+        // Offer AI-drafted replies when this agent is answering the customer
+        const suggestionTargets = {
+          container: document.getElementById('reply-suggestions'),
+          list: document.getElementById('reply-suggestions-list'),
+          input: this.elements.messageInput
+        };
+        if (isHandledByThisAgent) {
+          this.showReplySuggestions(window.dashboardState.selectedUserId, data.messages, suggestionTargets);
+        } else {
+          suggestionTargets.container?.classList.add('hidden');
+        }
+        
         // Clear and rebuild the message list
         if (this.elements.conversationMessages) {
           this.elements.conversationMessages.innerHTML = '';
           
+          if (data.metadata?.priceReview?.pending) {
+            this.elements.conversationMessages.appendChild(
+              this.createPriceReviewElement(window.dashboardState.selectedUserId, data.metadata.priceReview, () => this.refreshConversationList())
+            );
+          }
+          
+          // Agents handling the conversation get the summary of the older messages first
+          if (isHumanHandled && data.summary) {
+            this.elements.conversationMessages.appendChild(this.createSummaryElement(data.summary));
+          }
+          
           // Add each message
           if (data.messages && Array.isArray(data.messages)) {
             data.messages.forEach(message => {
@@ -1091,6 +1290,7 @@
                   <div class="text-xs text-gray-500 flex ${isUser ? 'justify-end' : 'justify-start'} w-full px-1">
                     ${timestamp}
                     ${message.sentBy ? `<span class="ml-1 opacity-70">· ${message.sentBy}</span>` : ''}
+                    ${message.intent ? `<span class="ml-1 opacity-70" title="${Math.round((message.intentConfidence || 0) * 100)}%">· ${message.intent.replace('_', ' ')}</span>` : ''}
                   </div>
                 </div>
               `;
@@ -0,0 +1,306 @@
+// knowledgeBase.js - Questions, answers and house policies (allergies, payment, discounts...) the AI looks up
+// with a local BM25 keyword index, so only the entries relevant to a message are sent to the model
+import { slugify } from './menuCatalog.js';
+import { normalizeMessageText } from './intentClassifier.js';
+import { PromptTemplates } from './promptTemplates.js';
+
+// KV key holding the entries edited from the dashboard
+export const KNOWLEDGE_BASE_KEY = 'knowledge_base';
+
+export const MAX_KNOWLEDGE_ENTRIES = 300;
+
+// How many entries are sent to the model with a customer message
+export const KNOWLEDGE_RESULTS = 4;
+
+export const KNOWLEDGE_CATEGORIES = {
+  faq: 'Question & answer',
+  policy: 'Policy'
+};
+
+// Entries used until a manager edits the knowledge base
+export const DEFAULT_KNOWLEDGE_ENTRIES = [
+  {
+    id: 'allergies',
+    category: 'policy',
+    question: 'Allergies alimentaires',
+    answer: 'Informez-nous de vos allergies alimentaires au moment de la commande.',
+    keywords: ['allergie', 'allergy', 'allergic', 'arachide', 'intolérance', 'ingrédient']
+  },
+  {
+    id: 'gluten-free',
+    category: 'policy',
+    question: 'Options sans gluten',
+    answer: 'Options sans gluten disponibles.',
+    keywords: ['gluten', 'gluten-free', 'coeliaque', 'celiac']
+  },
+  {
+    id: 'vegetarian',
+    category: 'policy',
+    question: 'Plats végétariens',
+    answer: 'Possibilité de plats végétariens sur demande.',
+    keywords: ['végétarien', 'vegetarian', 'vegan', 'végétalien', 'sans viande', 'meat']
+  },
+  {
+    id: 'payment',
+    category: 'policy',
+    question: 'Moyens de paiement',
+    answer: 'Nous acceptons les paiements en espèces et par Orange Money. Les commandes peuvent être payées à la livraison.',
+    keywords: ['payer', 'paiement', 'payment', 'pay', 'espèces', 'cash', 'orange money', 'om', 'momo', 'carte']
+  },
+  {
+    id: 'bulk-discounts',
+    category: 'policy',
+    question: 'Réductions pour les commandes en gros',
+    answer: 'Nous offrons des réductions pour les commandes en gros.',
+    keywords: ['réduction', 'remise', 'promo', 'discount', 'bulk', 'gros', 'grande quantité', 'traiteur']
+  },
+  {
+    id: 'reservations',
+    category: 'policy',
+    question: 'Réservations',
+    answer: "Réservations de tables, de groupe et d'événements acceptées directement par message.",
+    keywords: ['réserver', 'réservation', 'book', 'booking', 'reservation', 'table']
+  },
+  {
+    id: 'groups-events',
+    category: 'policy',
+    question: 'Groupes, événements et anniversaires',
+    answer: "Nous accueillons les groupes pour des événements spéciaux et des fêtes d'anniversaire.",
+    keywords: ['groupe', 'anniversaire', 'fête', 'birthday', 'party', 'group', 'événement', 'event']
+  },
+  {
+    id: 'about',
+    category: 'faq',
+    question: "Qu'est-ce que le Complexe LeSims?",
+    answer: 'Le complexe LeSims "all in one" fait de la restauration et propose des jeux de loisirs tels que le billard, le ludo, le jeu de dames, les échecs, les cartes et le babyfoot. Le soir, notre lounge accueille des soirées DJ et des soirées à thème.',
+    keywords: ['complexe', 'lesims', 'loisirs', 'jeux', 'billard', 'ludo', 'échecs', 'babyfoot', 'lounge', 'about']
+  },
+  {
+    id: 'cuisine',
+    category: 'faq',
+    question: 'Quel genre de cuisine servez-vous?',
+    answer: "Complexe LeSims est un restaurant familial qui propose une variété de plats africains et occidentaux. Nous servons des plats frais et délicieux à des prix abordables, avec une équipe dévouée à offrir un service d'exception.",
+    keywords: ['cuisine', 'plats', 'africain', 'occidental', 'restaurant', 'familial', 'food']
+  }
+];
+
+// Words too common to tell entries apart
+const STOP_WORDS = new Set([
+  'le', 'la', 'les', 'un', 'une', 'des', 'de', 'du', 'et', 'ou', 'au', 'aux', 'en', 'pour', 'par', 'sur', 'avec',
+  'je', 'tu', 'il', 'elle', 'nous', 'vous', 'ils', 'on', 'me', 'te', 'se', 'mon', 'ma', 'mes', 'ton', 'ta', 'tes',
+  'votre', 'vos', 'notre', 'nos', 'est', 'sont', 'ai', 'as', 'avez', 'ce', 'cet', 'cette', 'ces', 'ca', 'qui',
+  'que', 'quoi', 'ne', 'pas', 'bonjour', 'bonsoir', 'svp', 'merci', 'oui', 'non', 'the', 'an', 'of',
+  'to', 'for', 'is', 'are', 'do', 'does', 'can', 'you', 'we', 'it', 'in', 'on', 'and', 'or', 'my', 'your', 'hello', 'hi'
+]);
+
+// Lowercase words without accents, stop words or plural s
+export function tokenize(text) {
+  return normalizeMessageText(text)
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(word => (word.length > 3 && word.endsWith('s') ? word.slice(0, -1) : word));
+}
+
+// Okapi BM25 over a small set of documents, rebuilt whenever the entries are searched
+export class BM25Index {
+  constructor(documents, getText, { k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.documents = documents.map(document => {
+      const terms = new Map();
+      const tokens = tokenize(getText(document));
+      tokens.forEach(token => terms.set(token, (terms.get(token) || 0) + 1));
+      return { document, terms, length: tokens.length };
+    });
+
+    this.averageLength = this.documents.reduce((sum, entry) => sum + entry.length, 0) / (this.documents.length || 1);
+    this.documentFrequency = new Map();
+    for (const { terms } of this.documents) {
+      terms.forEach((count, term) => this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1));
+    }
+  }
+
+  idf(term) {
+    const frequency = this.documentFrequency.get(term) || 0;
+    return Math.log(1 + (this.documents.length - frequency + 0.5) / (frequency + 0.5));
+  }
+
+  // Best matching documents first: [{ document, score }], only those sharing a word with the query
+  search(query, limit = KNOWLEDGE_RESULTS) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) return [];
+
+    return this.documents
+      .map(({ document, terms, length }) => {
+        const score = queryTerms.reduce((sum, term) => {
+          const count = terms.get(term) || 0;
+          if (count === 0) return sum;
+          const norm = this.k1 * (1 - this.b + this.b * length / (this.averageLength || 1));
+          return sum + this.idf(term) * count * (this.k1 + 1) / (count + norm);
+        }, 0);
+        return { document, score };
+      })
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+// Words an entry is found by: the question and keywords count twice as much as the answer
+function entrySearchText(entry) {
+  const title = `${entry.question} ${(entry.keywords || []).join(' ')}`;
+  return `${title} ${title} ${entry.answer}`;
+}
+
+// Create an error carrying the HTTP status the API should answer with
+export function knowledgeError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Validate an entry sent from the dashboard
+export function normalizeKnowledgeEntry(data) {
+  const question = String(data?.question || '').trim();
+  if (!question) {
+    throw knowledgeError('Question or title is required');
+  }
+  if (question.length > 300) {
+    throw knowledgeError('Question or title must be 300 characters or fewer');
+  }
+
+  const answer = String(data.answer || '').trim();
+  if (!answer) {
+    throw knowledgeError('Answer is required');
+  }
+  if (answer.length > 2000) {
+    throw knowledgeError('Answer must be 2000 characters or fewer');
+  }
+
+  const keywords = Array.isArray(data.keywords) ? data.keywords : String(data.keywords || '').split(',');
+  return {
+    category: KNOWLEDGE_CATEGORIES[data.category] ? data.category : 'faq',
+    question,
+    answer,
+    keywords: [...new Set(keywords.map(keyword => String(keyword).trim().toLowerCase()).filter(Boolean))]
+      .slice(0, 20)
+      .map(keyword => keyword.substring(0, 50))
+  };
+}
+
+// Q/R pairs of the standard answers edited with the prompt templates, searched with the other entries
+export function parseStandardAnswers(text) {
+  return String(text || '')
+    .split(/\n\s*\n/)
+    .map(block => block.trim())
+    .filter(Boolean)
+    .map((block, index) => {
+      const pair = block.match(/^Q\s*:\s*([\s\S]*?)\n\s*R\s*:\s*([\s\S]*)$/i);
+      return {
+        id: `standard-${index + 1}`,
+        category: 'faq',
+        question: pair ? pair[1].trim() : block.split('\n')[0],
+        answer: pair ? pair[2].trim() : block,
+        keywords: [],
+        source: 'prompt'
+      };
+    });
+}
+
+// Entries as sent to the model
+export function formatKnowledgeForPrompt(entries) {
+  if (entries.length === 0) {
+    return "- Aucune information de la base ne correspond à ce message.";
+  }
+  return entries.map(entry => entry.category === 'policy'
+    ? `- ${entry.question}: ${entry.answer}`
+    : `Q: ${entry.question}\nR: ${entry.answer}`
+  ).join('\n');
+}
+
+export class KnowledgeBase {
+  constructor(kvNamespace) {
+    if (!kvNamespace) {
+      throw new Error('KV namespace is required for KnowledgeBase');
+    }
+    this.kv = kvNamespace;
+    this.promptTemplates = new PromptTemplates(kvNamespace);
+  }
+
+  async getEntries() {
+    const data = await this.kv.get(KNOWLEDGE_BASE_KEY, 'json');
+    return data?.entries || DEFAULT_KNOWLEDGE_ENTRIES.map(entry => ({ ...entry }));
+  }
+
+  async saveEntries(entries) {
+    await this.kv.put(KNOWLEDGE_BASE_KEY, JSON.stringify({ entries, updatedAt: Date.now() }));
+    return entries;
+  }
+
+  async addEntry(data) {
+    const entries = await this.getEntries();
+    if (entries.length >= MAX_KNOWLEDGE_ENTRIES) {
+      throw knowledgeError(`The knowledge base is limited to ${MAX_KNOWLEDGE_ENTRIES} entries`);
+    }
+
+    const normalized = normalizeKnowledgeEntry(data);
+    const now = Date.now();
+    const entry = {
+      id: `${slugify(normalized.question).substring(0, 40) || 'entry'}-${now.toString(36)}`,
+      ...normalized,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    entries.push(entry);
+    await this.saveEntries(entries);
+    console.log(`Created knowledge base entry ${entry.id}`);
+    return entry;
+  }
+
+  async updateEntry(entryId, data) {
+    const entries = await this.getEntries();
+    const entry = entries.find(candidate => candidate.id === entryId);
+    if (!entry) {
+      throw knowledgeError(`Knowledge base entry not found: ${entryId}`, 404);
+    }
+
+    Object.assign(entry, normalizeKnowledgeEntry({ ...entry, ...data }), { updatedAt: Date.now() });
+    await this.saveEntries(entries);
+    return entry;
+  }
+
+  async deleteEntry(entryId) {
+    const entries = await this.getEntries();
+    const remaining = entries.filter(candidate => candidate.id !== entryId);
+    if (remaining.length === entries.length) {
+      throw knowledgeError(`Knowledge base entry not found: ${entryId}`, 404);
+    }
+    await this.saveEntries(remaining);
+    return entryId;
+  }
+
+  // Go back to the built-in entries
+  async resetEntries() {
+    await this.kv.delete(KNOWLEDGE_BASE_KEY);
+    return await this.getEntries();
+  }
+
+  // Knowledge base entries followed by the standard answers of the current prompt templates
+  async getSearchableEntries() {
+    const entries = await this.getEntries();
+    try {
+      const templates = await this.promptTemplates.getTemplates();
+      return [...entries, ...parseStandardAnswers(templates.faq)];
+    } catch (error) {
+      console.error('Error loading standard answers for the knowledge base:', error);
+      return entries;
+    }
+  }
+
+  // Entries most relevant to a customer message, best first: [{ entry, score }]
+  async search(query, limit = KNOWLEDGE_RESULTS) {
+    const index = new BM25Index(await this.getSearchableEntries(), entrySearchText);
+    return index.search(query, limit).map(({ document, score }) => ({ entry: document, score }));
+  }
+}
@@ -0,0 +1,13 @@
+// kvKeys.js - List every KV key under a prefix (one list call returns at most 1000 keys)
+
+// Follow the list cursor until KV reports the listing complete
+export async function listAllKeys(kvNamespace, prefix) {
+  const keys = [];
+  let cursor;
+  do {
+    const page = await kvNamespace.list(cursor ? { prefix, cursor } : { prefix });
+    keys.push(...page.keys);
+    cursor = page.list_complete === false ? page.cursor : null;
+  } while (cursor);
+  return keys;
+}
@@ -0,0 +1,345 @@
+// leisureBookings.js - Billiard, babyfoot and board game tables booked by time slot
+import { slugify } from './menuCatalog.js';
+import { Schedule, getScheduleStatus, getServiceDay, serviceTimeToTimestamp, formatLocalTime, SERVICE_DAY_START_HOUR } from './schedule.js';
+import { ReservationManager, normalizeBookingTime } from './reservationManager.js';
+import { listAllKeys } from './kvKeys.js';
+
+// KV key holding the bookable resources and KV key prefix for booking records
+export const LEISURE_RESOURCES_KEY = 'leisure_resources';
+export const LEISURE_BOOKING_KEY_PREFIX = 'leisure_booking:';
+
+// Bookings are kept for 90 days
+export const LEISURE_BOOKING_TTL = 60 * 60 * 24 * 90;
+
+// Kinds of resources customers can book
+export const LEISURE_TYPES = {
+  'billard': 'Billard',
+  'babyfoot': 'Babyfoot',
+  'jeux': 'Jeux de société (ludo, dames, échecs, cartes)'
+};
+
+// Bookings start on a 30 minute grid and last from 30 minutes to 3 hours
+export const LEISURE_SLOT_MINUTES = 30;
+export const LEISURE_DEFAULT_DURATION_MINUTES = 60;
+export const LEISURE_MAX_DURATION_MINUTES = 180;
+
+export const LEISURE_BOOKING_STATUSES = ['booked', 'cancelled'];
+
+// Create an error carrying the HTTP status the API should answer with
+export function leisureError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Default resources, seeded into KV the first time they are requested
+export function buildDefaultResources() {
+  return {
+    updatedAt: Date.now(),
+    resources: [
+      { id: 'billard-1', name: 'Billard 1', type: 'billard' },
+      { id: 'billard-2', name: 'Billard 2', type: 'billard' },
+      { id: 'babyfoot', name: 'Babyfoot', type: 'babyfoot' },
+      { id: 'jeux-1', name: 'Table de jeux 1', type: 'jeux' }
+    ]
+  };
+}
+
+// Validate the resource list sent from the dashboard
+export function normalizeResources(data) {
+  if (!data || !Array.isArray(data.resources)) {
+    throw leisureError('A list of resources is required');
+  }
+
+  const usedIds = new Set();
+  const resources = data.resources.map(resource => {
+    const name = String(resource?.name || '').trim();
+    if (!name) {
+      throw leisureError('Resource name is required');
+    }
+    if (!LEISURE_TYPES[resource.type]) {
+      throw leisureError(`Resource type must be one of: ${Object.keys(LEISURE_TYPES).join(', ')}`);
+    }
+
+    const id = resource.id ? slugify(resource.id) : slugify(name);
+    if (usedIds.has(id)) {
+      throw leisureError(`Duplicate resource: ${name}`, 409);
+    }
+    usedIds.add(id);
+
+    return { id, name, type: resource.type };
+  });
+
+  return { resources };
+}
+
+// Short French description of a booking ("Billard 1, le 24/10 de 21h00 à 22h00")
+export function formatLeisureBookingSummary(booking) {
+  return `${booking.resourceName}, le ${booking.date.split('-').reverse().slice(0, 2).join('/')} de ${formatLocalTime(booking.startsAt)} à ${formatLocalTime(booking.endsAt)}`;
+}
+
+// Messages sent to the customer when staff cancel a booking
+const CANCELLATION_MESSAGES = {
+  fr: (booking) => `Votre réservation n°${booking.number} (${formatLeisureBookingSummary(booking)}) a été annulée.${booking.cancelNote ? ` ${booking.cancelNote}` : ''}`,
+  en: (booking) => `Your booking #${booking.number} (${booking.resourceName}, ${formatLocalTime(booking.startsAt)} - ${formatLocalTime(booking.endsAt)}) has been cancelled.${booking.cancelNote ? ` ${booking.cancelNote}` : ''}`
+};
+
+export function formatLeisureCancellation(booking, language = 'fr') {
+  return (CANCELLATION_MESSAGES[language] || CANCELLATION_MESSAGES.fr)(booking);
+}
+
+// Why no table could be booked, as explained to the customer, with the next free slots if any
+export function formatLeisureUnavailable(data, availability) {
+  const label = LEISURE_TYPES[data.type] || data.type;
+  const reasons = {
+    'past': 'Cet horaire est déjà passé.',
+    'no_resource': `« ${label} » n'est pas disponible à la réservation pour le moment.`,
+    'closed': 'Le complexe est fermé sur ce créneau.',
+    'taken': `Désolé, tout est déjà réservé pour « ${label} » sur ce créneau.`
+  };
+
+  const alternatives = availability.alternatives.length > 0
+    ? ` Créneaux libres: ${availability.alternatives.map(startsAt => formatLocalTime(startsAt)).join(', ')}.`
+    : '';
+  return `${reasons[availability.reason] || 'Ce créneau n\'est pas disponible.'}${alternatives}`;
+}
+
+export class LeisureBookings {
+  constructor(kvNamespace) {
+    if (!kvNamespace) {
+      throw new Error('KV namespace is required for LeisureBookings');
+    }
+    this.kv = kvNamespace;
+    this.schedule = new Schedule(kvNamespace);
+    this.reservationManager = new ReservationManager(kvNamespace);
+  }
+
+  async getResources() {
+    const config = await this.kv.get(LEISURE_RESOURCES_KEY, 'json');
+    if (config) {
+      return config;
+    }
+
+    console.log('No leisure resources found in KV, seeding default resources');
+    const defaults = buildDefaultResources();
+    await this.kv.put(LEISURE_RESOURCES_KEY, JSON.stringify(defaults));
+    return defaults;
+  }
+
+  async saveResources(data) {
+    const config = {
+      ...normalizeResources(data),
+      updatedAt: Date.now()
+    };
+    await this.kv.put(LEISURE_RESOURCES_KEY, JSON.stringify(config));
+    return config;
+  }
+
+  async getBooking(bookingId) {
+    const booking = await this.kv.get(`${LEISURE_BOOKING_KEY_PREFIX}${bookingId}`, 'json');
+    if (!booking) {
+      throw leisureError(`Leisure booking not found: ${bookingId}`, 404);
+    }
+    return booking;
+  }
+
+  async saveBooking(booking) {
+    booking.updatedAt = Date.now();
+    await this.kv.put(
+      `${LEISURE_BOOKING_KEY_PREFIX}${booking.id}`,
+      JSON.stringify(booking),
+      { expirationTtl: LEISURE_BOOKING_TTL }
+    );
+    return booking;
+  }
+
+  // List bookings by start time. from/to are YYYY-MM-DD service dates (inclusive).
+  async listBookings({ userId, status, from, to, resourceId } = {}) {
+    const statuses = status ? [].concat(status) : null;
+    const keys = await listAllKeys(this.kv, LEISURE_BOOKING_KEY_PREFIX);
+    const bookings = [];
+
+    for (const key of keys) {
+      const booking = await this.kv.get(key.name, 'json');
+      if (!booking) continue;
+      if (userId && booking.userId !== userId) continue;
+      if (statuses && !statuses.includes(booking.status)) continue;
+      if (resourceId && booking.resourceId !== resourceId) continue;
+      if (from && booking.date < from) continue;
+      if (to && booking.date > to) continue;
+      bookings.push(booking);
+    }
+
+    return bookings.sort((a, b) => a.startsAt - b.startsAt);
+  }
+
+  // Validate a booking written by the model
+  normalizeBookingData(data) {
+    if (!LEISURE_TYPES[data?.type]) {
+      throw leisureError(`Leisure type must be one of: ${Object.keys(LEISURE_TYPES).join(', ')}`);
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(data.date || ''))) {
+      throw leisureError('Booking date must be formatted as YYYY-MM-DD');
+    }
+
+    const time = normalizeBookingTime(data.time);
+    if (!time || Number(time.split(':')[1]) % LEISURE_SLOT_MINUTES !== 0) {
+      throw leisureError(`Booking time must be formatted as HH:MM on a ${LEISURE_SLOT_MINUTES} minute slot`);
+    }
+
+    const requestedDuration = parseInt(data.durationMinutes, 10) || LEISURE_DEFAULT_DURATION_MINUTES;
+    const durationMinutes = Math.min(
+      LEISURE_MAX_DURATION_MINUTES,
+      Math.max(LEISURE_SLOT_MINUTES, Math.ceil(requestedDuration / LEISURE_SLOT_MINUTES) * LEISURE_SLOT_MINUTES)
+    );
+
+    const startsAt = serviceTimeToTimestamp(data.date, time);
+    return {
+      type: data.type,
+      date: data.date,
+      time,
+      durationMinutes,
+      players: Math.max(0, parseInt(data.players, 10) || 0),
+      customerName: String(data.customerName || '').trim(),
+      startsAt,
+      endsAt: startsAt + durationMinutes * 60 * 1000
+    };
+  }
+
+  // Check that a resource has no booking overlapping [startsAt, endsAt)
+  isFree(bookings, resourceId, startsAt, endsAt) {
+    return !bookings.some(booking =>
+      booking.resourceId === resourceId && booking.startsAt < endsAt && startsAt < booking.endsAt
+    );
+  }
+
+  // Check that a time range falls inside opening hours
+  isWithinOpeningHours(schedule, startsAt, endsAt) {
+    return getScheduleStatus(schedule, new Date(startsAt)).isOpen &&
+      getScheduleStatus(schedule, new Date(endsAt - 60 * 1000)).isOpen;
+  }
+
+  // Find a free resource of a type for a booking, and up to 3 other free start times that day when there is none.
+  // excludeId leaves out the booking being moved.
+  async checkAvailability(data, { excludeId = null, now = new Date() } = {}) {
+    if (data.startsAt <= now.getTime()) {
+      return { available: false, reason: 'past', alternatives: [] };
+    }
+
+    const { resources } = await this.getResources();
+    const candidates = resources.filter(resource => resource.type === data.type);
+    if (candidates.length === 0) {
+      return { available: false, reason: 'no_resource', alternatives: [] };
+    }
+
+    const bookings = (await this.listBookings({ status: 'booked', from: data.date, to: data.date }))
+      .filter(booking => booking.id !== excludeId);
+    const findFree = (startsAt, endsAt) =>
+      candidates.find(resource => this.isFree(bookings, resource.id, startsAt, endsAt)) || null;
+
+    const schedule = await this.schedule.getSchedule();
+    const open = this.isWithinOpeningHours(schedule, data.startsAt, data.endsAt);
+    const resource = open ? findFree(data.startsAt, data.endsAt) : null;
+    if (resource) {
+      return { available: true, reason: null, resource, alternatives: [] };
+    }
+
+    // Look for the next free slots of the same length later that day
+    const alternatives = [];
+    const slotMs = LEISURE_SLOT_MINUTES * 60 * 1000;
+    const durationMs = data.endsAt - data.startsAt;
+    const dayEnd = serviceTimeToTimestamp(data.date, `${String(SERVICE_DAY_START_HOUR).padStart(2, '0')}:00`, true);
+    for (let startsAt = data.startsAt + slotMs; startsAt + durationMs <= dayEnd && alternatives.length < 3; startsAt += slotMs) {
+      if (startsAt <= now.getTime()) continue;
+      if (!this.isWithinOpeningHours(schedule, startsAt, startsAt + durationMs)) continue;
+      if (findFree(startsAt, startsAt + durationMs)) {
+        alternatives.push(startsAt);
+      }
+    }
+
+    return { available: false, reason: open ? 'taken' : 'closed', alternatives };
+  }
+
+  // Book the slot the model attached to a reply. The customer's current booking of the same kind is moved
+  // instead of booking a second table. Returns { booking, availability, created, unchanged };
+  // booking is null when no table is free.
+  async saveFromReply(userId, data, currentBookingId = null) {
+    const bookingData = this.normalizeBookingData(data);
+
+    let current = null;
+    if (currentBookingId) {
+      current = await this.kv.get(`${LEISURE_BOOKING_KEY_PREFIX}${currentBookingId}`, 'json');
+      if (current && (current.status !== 'booked' || current.type !== bookingData.type)) {
+        current = null;
+      }
+    }
+
+    if (current && current.startsAt === bookingData.startsAt && current.endsAt === bookingData.endsAt) {
+      return { booking: current, availability: null, created: false, unchanged: true };
+    }
+
+    // KV has no transactions: the check and the write are close enough together at our volume
+    const availability = await this.checkAvailability(bookingData, { excludeId: current?.id });
+    if (!availability.available) {
+      return { booking: null, availability, created: false, unchanged: false };
+    }
+
+    const resourceFields = { resourceId: availability.resource.id, resourceName: availability.resource.name };
+
+    if (current) {
+      Object.assign(current, bookingData, resourceFields);
+      await this.saveBooking(current);
+      console.log(`Moved leisure booking #${current.number} (${current.id}) for user ${userId} to ${current.date} ${current.time}`);
+      return { booking: current, availability, created: false, unchanged: false };
+    }
+
+    const now = Date.now();
+    const booking = {
+      id: `${now}-${Math.random().toString(36).substring(2, 10)}`,
+      // Bookings share the reservation number sequence so customers only deal with one kind of number
+      number: await this.reservationManager.nextReservationNumber(),
+      userId,
+      status: 'booked',
+      ...bookingData,
+      ...resourceFields,
+      createdAt: now
+    };
+    await this.saveBooking(booking);
+
+    console.log(`Booked ${booking.resourceName} (#${booking.number}) for user ${userId} on ${booking.date} at ${booking.time}`);
+    return { booking, availability, created: true, unchanged: false };
+  }
+
+  // Cancel a booking from the dashboard
+  async cancelBooking(bookingId, { by = 'system', note = '' } = {}) {
+    const booking = await this.getBooking(bookingId);
+    if (booking.status !== 'booked') {
+      throw leisureError(`Leisure booking #${booking.number} is already ${booking.status}`, 409);
+    }
+
+    booking.status = 'cancelled';
+    booking.cancelledAt = Date.now();
+    booking.cancelledBy = by;
+    booking.cancelNote = note;
+    await this.saveBooking(booking);
+
+    console.log(`Leisure booking #${booking.number} (${booking.id}) cancelled by ${by}`);
+    return booking;
+  }
+
+  // Resources and the slots already taken today, so the model can answer availability questions
+  async formatForPrompt(now = new Date()) {
+    const { resources } = await this.getResources();
+    const { date } = getServiceDay(now);
+    const bookings = await this.listBookings({ status: 'booked', from: date, to: date });
+
+    const lines = resources.map(resource => {
+      const taken = bookings
+        .filter(booking => booking.resourceId === resource.id && booking.endsAt > now.getTime())
+        .map(booking => `${formatLocalTime(booking.startsAt)}-${formatLocalTime(booking.endsAt)}`);
+      return `- ${resource.name} (${resource.type}): ${taken.length > 0 ? `déjà réservé ${taken.join(', ')}` : 'libre'}`;
+    });
+
+    return `Jeux réservables aujourd'hui (${date}), créneaux de ${LEISURE_SLOT_MINUTES} minutes:\n${lines.join('\n')}`;
+  }
+}
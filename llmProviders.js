@@ -0,0 +1,276 @@
+// llmProviders.js - Chat completion providers (DeepSeek, OpenAI-compatible, mock) and their configuration
+// KV key holding the provider configuration set from the dashboard. API keys are never stored there:
+// they always come from the worker environment.
+export const LLM_CONFIG_KEY = 'llm_config';
+
+export const LLM_PROVIDER_TYPES = ['deepseek', 'openai', 'mock'];
+
+// Defaults for each provider type
+export const PROVIDER_DEFAULTS = {
+  'deepseek': { baseUrl: 'https://api.deepseek.com/v1', model: 'deepseek-chat' },
+  'openai': { baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini' },
+  'mock': { baseUrl: '', model: 'mock' }
+};
+
+// Create an error carrying the HTTP status the API should answer with
+export function llmError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Parse an optional number from env or dashboard input (null when empty)
+function optionalNumber(value, label, min, max) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw llmError(`${label} must be a number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+// Validate one provider entry ({provider, model, baseUrl, temperature, maxTokens})
+export function normalizeProviderEntry(data, label = 'Provider') {
+  const provider = String(data?.provider || '').trim().toLowerCase();
+  if (!LLM_PROVIDER_TYPES.includes(provider)) {
+    throw llmError(`${label} must be one of: ${LLM_PROVIDER_TYPES.join(', ')}`);
+  }
+
+  const baseUrl = String(data.baseUrl || PROVIDER_DEFAULTS[provider].baseUrl).trim().replace(/\/+$/, '');
+  if (provider !== 'mock' && !/^https?:\/\/\S+$/i.test(baseUrl)) {
+    throw llmError(`${label} base URL must be an http(s) URL`);
+  }
+
+  const maxTokens = optionalNumber(data.maxTokens, `${label} max tokens`, 1, 32000);
+  return {
+    provider,
+    model: String(data.model || PROVIDER_DEFAULTS[provider].model).trim(),
+    baseUrl,
+    temperature: optionalNumber(data.temperature, `${label} temperature`, 0, 2),
+    maxTokens: maxTokens === null ? null : Math.round(maxTokens)
+  };
+}
+
+// Validate a configuration sent from the dashboard. fallback: null disables the fallback provider.
+export function normalizeLLMConfig(data) {
+  return {
+    primary: normalizeProviderEntry(data?.primary, 'Primary provider'),
+    fallback: data?.fallback ? normalizeProviderEntry(data.fallback, 'Fallback provider') : null
+  };
+}
+
+// Read the provider configuration from the worker environment
+export function readEnvConfig(env = {}) {
+  const entry = (prefix, provider) => provider ? {
+    provider,
+    model: env[`${prefix}_MODEL`],
+    baseUrl: env[`${prefix}_BASE_URL`],
+    temperature: env.LLM_TEMPERATURE,
+    maxTokens: env.LLM_MAX_TOKENS
+  } : null;
+
+  return {
+    primary: entry('LLM', env.LLM_PROVIDER || 'deepseek'),
+    fallback: entry('LLM_FALLBACK', env.LLM_FALLBACK_PROVIDER)
+  };
+}
+
+// The dashboard configuration wins over the environment one when it exists; temperature and max
+// tokens it leaves empty still come from the environment
+export function resolveLLMConfig(env = {}, stored = null) {
+  if (!stored) {
+    return normalizeLLMConfig(readEnvConfig(env));
+  }
+
+  const withEnvDefaults = (entry) => entry && {
+    ...entry,
+    temperature: entry.temperature ?? env.LLM_TEMPERATURE,
+    maxTokens: entry.maxTokens ?? env.LLM_MAX_TOKENS
+  };
+  return normalizeLLMConfig({ primary: withEnvDefaults(stored.primary), fallback: withEnvDefaults(stored.fallback) });
+}
+
+// Environment variable holding the API key of a provider
+export function apiKeyVariable(provider, slot = 'primary') {
+  if (provider === 'deepseek') return 'DEEPSEEK_API_KEY';
+  if (provider === 'openai') return slot === 'fallback' ? 'LLM_FALLBACK_API_KEY' : 'LLM_API_KEY';
+  return null;
+}
+
+// Any endpoint implementing POST {baseUrl}/chat/completions
+export class OpenAICompatibleProvider {
+  constructor({ name = 'openai', baseUrl, apiKey, model, temperature = null, maxTokens = null, extraBody = {} }) {
+    if (!apiKey) {
+      throw llmError(`API key is required for the ${name} provider`, 500);
+    }
+    this.name = name;
+    this.baseUrl = baseUrl;
+    this.apiKey = apiKey;
+    this.model = model;
+    this.temperature = temperature;
+    this.maxTokens = maxTokens;
+    this.extraBody = extraBody;
+  }
+
+  // Send the messages and return the reply text
+  async complete(messages) {
+    return (await this.chat(messages)).content;
+  }
+
+  // Send the messages, offering the given tools. Returns { content, toolCalls } where toolCalls lists
+  // the functions the model wants to run ({ id, name, arguments } with arguments as a JSON string).
+  async chat(messages, { tools = null } = {}) {
+    const body = { model: this.model, messages, ...this.extraBody };
+    if (this.temperature !== null) body.temperature = this.temperature;
+    if (this.maxTokens !== null) body.max_tokens = this.maxTokens;
+    if (tools && tools.length > 0) {
+      body.tools = tools;
+      body.tool_choice = 'auto';
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(`${this.name} API request failed: ${response.status} ${errorData.error?.message || response.statusText}`);
+    }
+
+    const data = await response.json();
+    const message = data.choices?.[0]?.message;
+    const toolCalls = (message?.tool_calls || []).map(toolCall => ({
+      id: toolCall.id,
+      name: toolCall.function?.name,
+      arguments: toolCall.function?.arguments || '{}'
+    }));
+    if (typeof message?.content !== 'string' && toolCalls.length === 0) {
+      throw new Error(`${this.name} API returned no message content`);
+    }
+    return { content: message.content || '', toolCalls };
+  }
+}
+
+export class DeepSeekProvider extends OpenAICompatibleProvider {
+  constructor(options) {
+    super({
+      ...PROVIDER_DEFAULTS.deepseek,
+      ...options,
+      name: 'deepseek',
+      // Keep answering in French unless the customer writes in English
+      extraBody: { language: 'fr' }
+    });
+  }
+}
+
+// Offline provider for tests and local development: answers with a fixed text, a function of the
+// messages (which may also return { content, toolCalls }), or an echo of the last user message
+export class MockProvider {
+  constructor({ reply = null, model = 'mock' } = {}) {
+    this.name = 'mock';
+    this.model = model;
+    this.reply = reply;
+    this.calls = [];
+  }
+
+  async complete(messages) {
+    return (await this.chat(messages)).content;
+  }
+
+  async chat(messages, { tools = null } = {}) {
+    this.calls.push({ messages: [...messages], tools });
+    let reply = this.reply;
+    if (typeof reply === 'function') {
+      reply = await reply(messages, tools);
+    }
+    if (reply && typeof reply === 'object') {
+      return { content: reply.content || '', toolCalls: reply.toolCalls || [] };
+    }
+    if (reply) {
+      return { content: reply, toolCalls: [] };
+    }
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+    return { content: `[mock] ${lastUserMessage?.content || ''}`, toolCalls: [] };
+  }
+}
+
+// Build the provider instance for a normalized configuration entry
+export function createProvider(entry, env = {}, slot = 'primary') {
+  if (entry.provider === 'mock') {
+    return new MockProvider({ reply: env.LLM_MOCK_REPLY || null, model: entry.model });
+  }
+
+  const options = {
+    baseUrl: entry.baseUrl,
+    model: entry.model,
+    temperature: entry.temperature,
+    maxTokens: entry.maxTokens,
+    apiKey: env[apiKeyVariable(entry.provider, slot)]
+  };
+  return entry.provider === 'deepseek'
+    ? new DeepSeekProvider(options)
+    : new OpenAICompatibleProvider({ ...options, name: 'openai' });
+}
+
+export class LLMProviders {
+  constructor(kvNamespace, env = {}) {
+    if (!kvNamespace) {
+      throw new Error('KV namespace is required for LLMProviders');
+    }
+    this.kv = kvNamespace;
+    this.env = env;
+  }
+
+  async getConfig() {
+    const stored = await this.kv.get(LLM_CONFIG_KEY, 'json');
+    return {
+      ...resolveLLMConfig(this.env, stored),
+      source: stored ? 'kv' : 'env',
+      updatedAt: stored?.updatedAt || null
+    };
+  }
+
+  async saveConfig(data) {
+    const config = {
+      ...normalizeLLMConfig(data),
+      updatedAt: Date.now()
+    };
+    await this.kv.put(LLM_CONFIG_KEY, JSON.stringify(config));
+    return await this.getConfig();
+  }
+
+  // Forget the dashboard configuration and go back to the environment one
+  async resetConfig() {
+    await this.kv.delete(LLM_CONFIG_KEY);
+    return await this.getConfig();
+  }
+
+  // Which of the configured providers have their API key set in the environment
+  describeKeys(config) {
+    const describe = (entry, slot) => {
+      const variable = entry && apiKeyVariable(entry.provider, slot);
+      return entry ? { variable, present: !variable || Boolean(this.env[variable]) } : null;
+    };
+    return { primary: describe(config.primary, 'primary'), fallback: describe(config.fallback, 'fallback') };
+  }
+
+  // Providers to try in order: the primary one, then the fallback when configured
+  async getProviders() {
+    const config = await this.getConfig();
+    const providers = [createProvider(config.primary, this.env, 'primary')];
+
+    if (config.fallback) {
+      try {
+        providers.push(createProvider(config.fallback, this.env, 'fallback'));
+      } catch (error) {
+        console.error('Fallback LLM provider is misconfigured, continuing without it:', error);
+      }
+    }
+    return providers;
+  }
+}
@@ -0,0 +1,704 @@
+// menuCatalog.js - Structured menu catalog stored in KV (categories, items, size variants)
+import { getServiceDay, WEEKDAY_NAMES_FR } from './schedule.js';
+
+// KV key holding the whole catalog as a single JSON document
+export const MENU_CATALOG_KEY = 'menu_catalog';
+
+// Build a stable identifier from a display name ("Poulet grillé" -> "poulet-grille")
+export function slugify(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Words of an item name compared when matching a name written by a customer ("spaghettis" counts for "spaghetti")
+function nameTokens(value) {
+  return slugify(value)
+    .split('-')
+    .filter(word => word.length > 1 || /\d/.test(word))
+    .map(word => (word.length > 3 && word.endsWith('s') ? word.slice(0, -1) : word));
+}
+
+// Check whether an item can be ordered during the current service day
+export function getItemAvailability(menuItem, now = new Date()) {
+  const serviceDay = getServiceDay(now);
+
+  if (menuItem.soldOutOn && menuItem.soldOutOn === serviceDay.date) {
+    return { available: false, reason: 'sold_out' };
+  }
+
+  if (Array.isArray(menuItem.availableDays) && menuItem.availableDays.length > 0 &&
+      !menuItem.availableDays.includes(serviceDay.weekday)) {
+    return { available: false, reason: 'schedule' };
+  }
+
+  return { available: true, reason: null };
+}
+
+// Format an amount the way the restaurant quotes prices
+export function formatPrice(amount) {
+  return `${amount} francs CFA`;
+}
+
+// Helpers used to keep the default catalog below readable
+const item = (name, price, description = '') => ({ name, description, price });
+const sized = (name, variants, description = '') => ({
+  name,
+  description,
+  variants: Object.entries(variants).map(([variantName, price]) => ({ name: variantName, price }))
+});
+
+// Initial catalog, seeded into KV the first time it is requested
+const DEFAULT_CATEGORIES = [
+  {
+    name: 'SALADES',
+    items: [
+      item('Trio de légumes', 1000, 'carottes, laitue, chou rouge'),
+      item('Salade de gésiers', 1500, 'poivrons, oignons, gésiers, cornichons, laitue'),
+      item("Cocktail d'avocat oeuf dur", 2000, 'avocat, crevettes, oeuf dur, sauce cocktail'),
+      item('Salade du chef', 2000)
+    ]
+  },
+  {
+    name: 'PÂTES',
+    items: [
+      item('Spaghettis bolognaise', 1500, 'spaghetti avec viande hachée et sauce tomate'),
+      item('Saute viande pommes/plantains', 1500, 'pommes, plantain et viandes sauté à la tomate'),
+      item('Tagliatelle à la carbonara', 2500, 'avec crème fraîche et lardons')
+    ]
+  },
+  {
+    name: 'BURGERS',
+    items: [
+      item('Hamburger', 1500),
+      item('Cheese burger', 2000),
+      item('Chiken burger', 2500),
+      item('Double cheese burger', 3000),
+      item('Burger xxl', 3500)
+    ]
+  },
+  {
+    name: 'KFC FOOD',
+    items: [
+      item('Poulet Royal bacon', 3000, 'Blanc de poulet pané, bacon, fromage'),
+      item('Spicy chiken', 3000, 'Poulet épicé pané'),
+      item('Chiken Wings', 3000, 'Ailes de poulet pané')
+    ]
+  },
+  {
+    name: 'POULET GRILLÉ',
+    items: [
+      sized('Poulet grillé', { '1/4': 2500, '1/2': 4500, 'entier': 9500 })
+    ]
+  },
+  {
+    name: 'POULET AVEC SAUCES',
+    items: [
+      sized('Sauce forestière', { '1/4': 3500, '1/2': 5500, 'entier': 10500 }),
+      sized('Sauce poivre vert', { '1/4': 3000, '1/2': 5000, 'entier': 10000 }),
+      sized('Sauce provinciale', { '1/4': 3000, '1/2': 5000, 'entier': 10000 })
+    ]
+  },
+  {
+    name: 'POULET PANÉ',
+    items: [
+      sized('Poulet pané', { '1/4': 3000, '1/2': 5000, 'entier': 10000 })
+    ]
+  },
+  {
+    name: 'POISSON',
+    items: [
+      item('Poisson friture', 1500, 'plus sauce aux oignons'),
+      item('Maquereau grillé', 2000),
+      item('Bar grillé à la poêle', 2500)
+    ]
+  },
+  {
+    name: 'PORC',
+    items: [
+      item('Côte de porc grillées', 2500),
+      item('Côte de porc à la sauce provinciale', 3000),
+      item('Côte de porc à la sauce forestière', 3500)
+    ]
+  },
+  {
+    name: 'BOEUF',
+    items: [
+      item('Saute viande pommes/plantains', 1000),
+      item('Brochettes de boeuf', 2000),
+      item('Steak grillé sauce au poivre vert', 2500),
+      item('Filet de boeuf sauce marchand de vin', 2500),
+      item('Saucisse de boeuf', 3000),
+      item('Émincés de boeuf aux fines herbes', 2500),
+      item('Émincés de boeuf stroganoff', 3000)
+    ]
+  },
+  {
+    name: 'SPÉCIALITÉS AFRICAINES',
+    items: [
+      item('Ndole SAWA', 2000),
+      sized('Eru', { 'petite portion': 1000, 'grande portion': 1500 }),
+      { ...item('Taro et bouillon', null), availableDays: [6, 0] }
+    ]
+  },
+  {
+    name: 'PIZZA',
+    note: 'Lorsque le client sollicite une pizza avec du fromage, 500 francs CFA sont ajoutés au prix de la pizza',
+    items: [
+      sized('Regina', { 'Moyen': 3500, 'Grand': 5000 }, 'jambon, fromage, champignons, tomates'),
+      sized('Pizza BBQ', { 'Petit': 2500, 'Moyen': 3500, 'Grand': 5000 }),
+      sized('Végétarienne', { 'Petit': 2500, 'Moyen': 3500, 'Grand': 5000 }),
+      sized('Pizza mozzarella', { 'Petit': 2500, 'Moyen': 3500, 'Grand': 5000 }),
+      sized('Pizza sims', { 'Petit': 2500, 'Moyen': 3500, 'Grand': 5000 }),
+      sized('Pizza paysanne', { 'Petit': 2500, 'Moyen': 3500, 'Grand': 5000 }),
+      sized('Pizza dolce vita', { 'Moyen': 3500, 'Grand': 5000 }),
+      sized('Pizza Savoyarde', { 'Moyen': 3500, 'Grand': 5000 })
+    ]
+  },
+  {
+    name: 'SHAWARMA',
+    items: [
+      item('Shawarma viande', 1000),
+      item('Shawarma xxl', 2000)
+    ]
+  },
+  {
+    name: 'DESSERTS',
+    items: [
+      item('Mousse au chocolat', 1500),
+      item('Crêpes sucrées', 1000),
+      item('Fruits de saison', 1000)
+    ]
+  },
+  {
+    name: 'GLACES',
+    items: [
+      item('Cornet', 300),
+      item('Petit pot', 500),
+      item('Pot moyen', 1000),
+      item('Grand pot', 1500)
+    ]
+  },
+  {
+    name: 'JUS DE FRUITS',
+    items: [
+      item("Jus d'orange", 500),
+      item("Jus d'ananas", 500),
+      item('Jus de pastèque', 500),
+      item('Cocktail', 500)
+    ]
+  },
+  {
+    name: 'NOS PACKAGES',
+    items: [
+      item('Package 1', 2500, 'Mini Burger Frite Pomme, Rissoles aux Légumes + Poisson, Un Jus de Fruit'),
+      item('Package 2', 3000, 'Cuisse de Poulet Pané Épicé + Pomme, Tacos Viande + Pomme, Un Jus Cola 0,5ML'),
+      item('Package 3', 2500, "Poisson Sauce Basquaise + Riz, Crêpe Melba, Jus d'Oseille"),
+      item('Package 4', 10000, 'Mix Grille, Une Saucisse, Un 1/4 de Poulet, Une Côte de Porc, 2 Brochettes, Une Pizza Margharita (Pomme + Plantain)'),
+      item('Package 5', 3500, 'Ndomba de Porc + Plantain/Pomme, Cassade de Fruit'),
+      item('Package 6', 4000, "Pizza BBQ, Glace Vanille, Pirogue d'Ananas"),
+      sized('Package 7', {
+        "Gésier Roti à l'Ail + Riz": 1000,
+        'Rôti de Poulet + Frites': 500,
+        'Glace': 1000
+      })
+    ]
+  },
+  {
+    name: 'NOS BOISSONS',
+    items: [
+      item('Moët impérial', 60000),
+      item('Moët nectar', 75000),
+      item('Veuve clicquot', 75000),
+      item('Ruinart brut', 90000),
+      item('Ruinart blanc', 80000),
+      item('Mumm Olympe', 80000),
+      item('Mumm classique', 55000),
+      item('Belair classique', 50000),
+      item('Belair rose', 55000),
+      item('Belair gold', 55000),
+      item('Belair fantôme', 60000),
+      item('Dom Pérignon', 200000),
+      item('Castel ice', 15000),
+      item('JP Chenet', 20000),
+      item('Veuve de vernay', 20000),
+      item('Paul Arras', 15000),
+      item('Pearlent', 20000),
+      item('Consigna', 10000),
+      item('Tour de Canteloup', 7500),
+      item('Bière', 1000),
+      item('Eau', 1000),
+      item('Smouth, Isenbek, Heineken, Booster (Grand modèle)', 1500),
+      item('Vieux moulin', 5000),
+      item('Chi Cha', 3000),
+      item('Grande Guinness', 2000)
+    ]
+  }
+];
+
+// Assign ids to the default categories and items
+export function buildDefaultCatalog() {
+  return {
+    currency: 'FCFA',
+    updatedAt: Date.now(),
+    categories: DEFAULT_CATEGORIES.map(category => {
+      const categoryId = slugify(category.name);
+      return {
+        id: categoryId,
+        name: category.name,
+        note: category.note || '',
+        items: category.items.map(entry => ({
+          id: `${categoryId}-${slugify(entry.name)}`,
+          ...JSON.parse(JSON.stringify(entry))
+        }))
+      };
+    })
+  };
+}
+
+// Create an error carrying the HTTP status the dashboard API should answer with
+export function catalogError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Validate a single price value (null means "price on request")
+function validatePrice(value, label) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const price = Number(value);
+  if (!Number.isFinite(price)) {
+    throw catalogError(`${label} must be a number`);
+  }
+  if (price < 0) {
+    throw catalogError(`${label} cannot be negative`);
+  }
+  return Math.round(price);
+}
+
+// Validate a weekday schedule (empty list means available every day)
+function normalizeAvailableDays(value) {
+  if (value === null || value === undefined) {
+    return [];
+  }
+  if (!Array.isArray(value)) {
+    throw catalogError('availableDays must be a list of weekdays (0 = Sunday)');
+  }
+  const days = [...new Set(value.map(Number))];
+  if (days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+    throw catalogError('availableDays must only contain weekdays from 0 (Sunday) to 6 (Saturday)');
+  }
+  return days.sort((a, b) => a - b);
+}
+
+// Validate and normalize the pricing fields of an item (either price or variants)
+export function normalizePricing(data) {
+  if (Array.isArray(data.variants) && data.variants.length > 0) {
+    const seen = new Set();
+    const variants = data.variants.map((variant, index) => {
+      const name = String(variant.name || '').trim();
+      if (!name) {
+        throw catalogError(`Variant ${index + 1} needs a name`);
+      }
+      const key = slugify(name);
+      if (seen.has(key)) {
+        throw catalogError(`Duplicate variant name: ${name}`);
+      }
+      seen.add(key);
+      const price = validatePrice(variant.price, `Price of variant ${name}`);
+      if (price === null) {
+        throw catalogError(`Variant ${name} needs a price`);
+      }
+      return { name, price };
+    });
+    return { price: undefined, variants };
+  }
+
+  return { price: validatePrice(data.price, 'Price'), variants: undefined };
+}
+
+export class MenuCatalog {
+  constructor(kvNamespace) {
+    if (!kvNamespace) {
+      throw new Error('KV namespace is required for MenuCatalog');
+    }
+    this.kv = kvNamespace;
+  }
+
+  // Load the catalog from KV, seeding the default catalog on first use
+  async getCatalog() {
+    try {
+      const catalog = await this.kv.get(MENU_CATALOG_KEY, 'json');
+      if (catalog && Array.isArray(catalog.categories)) {
+        return catalog;
+      }
+
+      console.log('No menu catalog found in KV, seeding default catalog');
+      const defaultCatalog = buildDefaultCatalog();
+      await this.saveCatalog(defaultCatalog);
+      return defaultCatalog;
+    } catch (error) {
+      console.error('Error getting menu catalog:', error);
+      return buildDefaultCatalog();
+    }
+  }
+
+  // Persist the whole catalog (no expiration - the catalog is permanent data)
+  async saveCatalog(catalog) {
+    const updatedCatalog = {
+      ...catalog,
+      updatedAt: Date.now()
+    };
+    await this.kv.put(MENU_CATALOG_KEY, JSON.stringify(updatedCatalog));
+    return updatedCatalog;
+  }
+
+  // Find a category by id, throwing a 404 error when it does not exist
+  findCategory(catalog, categoryId) {
+    const category = catalog.categories.find(entry => entry.id === categoryId);
+    if (!category) {
+      throw catalogError(`Category not found: ${categoryId}`, 404);
+    }
+    return category;
+  }
+
+  // Find an item (and its category) by id, throwing a 404 error when it does not exist
+  findItem(catalog, itemId) {
+    for (const category of catalog.categories) {
+      const menuItem = category.items.find(entry => entry.id === itemId);
+      if (menuItem) {
+        return { category, item: menuItem };
+      }
+    }
+    throw catalogError(`Item not found: ${itemId}`, 404);
+  }
+
+  // Find an item from a name written by a customer or the model: the item with that exact name, else the
+  // one sharing the most words with it ("bbq" for "Pizza BBQ"). Returns null when nothing matches or when
+  // several items match equally well ("burger"), so the customer can be asked which one they mean.
+  matchItemByName(catalog, name) {
+    const slug = slugify(name);
+    if (!slug) return null;
+
+    const entries = catalog.categories.flatMap(category => category.items.map(menuItem => ({ category, item: menuItem })));
+    const exact = entries.find(entry => slugify(entry.item.name) === slug);
+    if (exact) return exact;
+
+    const nameWords = nameTokens(name);
+    let best = [];
+    let bestScore = 0;
+    for (const entry of entries) {
+      const itemWords = nameTokens(entry.item.name);
+      const contained = nameWords.every(word => itemWords.includes(word)) || itemWords.every(word => nameWords.includes(word));
+      const score = contained ? itemWords.filter(word => nameWords.includes(word)).length : 0;
+      if (score > bestScore) {
+        best = [entry];
+        bestScore = score;
+      } else if (score > 0 && score === bestScore) {
+        best.push(entry);
+      }
+    }
+    return best.length === 1 ? best[0] : null;
+  }
+
+  // Find a size variant of an item from its name ("1/4", "grand", ...)
+  matchVariant(menuItem, variantName) {
+    if (!Array.isArray(menuItem.variants) || menuItem.variants.length === 0) {
+      return null;
+    }
+    const slug = slugify(variantName);
+    return menuItem.variants.find(variant => slugify(variant.name) === slug) ||
+      menuItem.variants.find(variant => slug && slugify(variant.name).includes(slug)) ||
+      null;
+  }
+
+  // Reject a name that is empty or already used by a sibling
+  assertUniqueName(name, siblings, excludeId = null, label = 'Name') {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw catalogError(`${label} is required`);
+    }
+    const key = slugify(trimmed);
+    const duplicate = siblings.some(entry => entry.id !== excludeId && slugify(entry.name) === key);
+    if (duplicate) {
+      throw catalogError(`${label} already exists: ${trimmed}`, 409);
+    }
+    return trimmed;
+  }
+
+  // Generate an id that is not used anywhere in the catalog yet
+  uniqueId(base, usedIds) {
+    let id = base || `entry-${Date.now()}`;
+    let suffix = 2;
+    while (usedIds.has(id)) {
+      id = `${base}-${suffix++}`;
+    }
+    return id;
+  }
+
+  // Apply validated item fields (name, description, note, pricing) onto an item
+  applyItemFields(menuItem, data, siblings) {
+    if (data.name !== undefined) {
+      menuItem.name = this.assertUniqueName(data.name, siblings, menuItem.id, 'Item name');
+    }
+    if (data.description !== undefined) {
+      menuItem.description = String(data.description || '').trim();
+    }
+    if (data.note !== undefined) {
+      menuItem.note = String(data.note || '').trim();
+    }
+    if (data.available !== undefined) {
+      // Marking an item unavailable only lasts for the current service day
+      delete menuItem.available;
+      if (data.available) {
+        delete menuItem.soldOutOn;
+      } else {
+        menuItem.soldOutOn = getServiceDay().date;
+      }
+    }
+    if (data.availableDays !== undefined) {
+      menuItem.availableDays = normalizeAvailableDays(data.availableDays);
+    }
+    if (data.price !== undefined || data.variants !== undefined) {
+      const pricing = normalizePricing(data);
+      if (pricing.variants) {
+        menuItem.variants = pricing.variants;
+        delete menuItem.price;
+      } else {
+        menuItem.price = pricing.price;
+        delete menuItem.variants;
+      }
+    }
+    return menuItem;
+  }
+
+  // Create a new category at the end of the menu
+  async addCategory(data) {
+    const catalog = await this.getCatalog();
+    const name = this.assertUniqueName(data.name, catalog.categories, null, 'Category name');
+    const usedIds = new Set(catalog.categories.map(entry => entry.id));
+
+    const category = {
+      id: this.uniqueId(slugify(name), usedIds),
+      name,
+      note: String(data.note || '').trim(),
+      items: []
+    };
+
+    catalog.categories.push(category);
+    await this.saveCatalog(catalog);
+    return category;
+  }
+
+  // Rename a category or change its note
+  async updateCategory(categoryId, data) {
+    const catalog = await this.getCatalog();
+    const category = this.findCategory(catalog, categoryId);
+
+    if (data.name !== undefined) {
+      category.name = this.assertUniqueName(data.name, catalog.categories, category.id, 'Category name');
+    }
+    if (data.note !== undefined) {
+      category.note = String(data.note || '').trim();
+    }
+
+    await this.saveCatalog(catalog);
+    return category;
+  }
+
+  // Delete a category together with its items
+  async deleteCategory(categoryId) {
+    const catalog = await this.getCatalog();
+    const category = this.findCategory(catalog, categoryId);
+    catalog.categories = catalog.categories.filter(entry => entry.id !== category.id);
+    await this.saveCatalog(catalog);
+    return category;
+  }
+
+  // Add an item to a category
+  async addItem(categoryId, data) {
+    const catalog = await this.getCatalog();
+    const category = this.findCategory(catalog, categoryId);
+    const usedIds = new Set(catalog.categories.flatMap(entry => entry.items.map(menuItem => menuItem.id)));
+    const name = this.assertUniqueName(data.name, category.items, null, 'Item name');
+
+    const menuItem = this.applyItemFields({
+      id: this.uniqueId(`${category.id}-${slugify(name)}`, usedIds),
+      name,
+      description: ''
+    }, { price: null, ...data, name }, category.items);
+
+    category.items.push(menuItem);
+    await this.saveCatalog(catalog);
+    return menuItem;
+  }
+
+  // Update an item's name, description, note, availability or pricing
+  async updateItem(itemId, data) {
+    const catalog = await this.getCatalog();
+    const { category, item: menuItem } = this.findItem(catalog, itemId);
+    this.applyItemFields(menuItem, data, category.items);
+    await this.saveCatalog(catalog);
+    return menuItem;
+  }
+
+  // Change only the pricing of an item (single price or size variants)
+  async updateItemPrice(itemId, data) {
+    if (data.price === undefined && data.variants === undefined) {
+      throw catalogError('A price or a list of variants is required');
+    }
+    return this.updateItem(itemId, { price: data.price, variants: data.variants });
+  }
+
+  // Remove an item from its category
+  async deleteItem(itemId) {
+    const catalog = await this.getCatalog();
+    const { category, item: menuItem } = this.findItem(catalog, itemId);
+    category.items = category.items.filter(entry => entry.id !== menuItem.id);
+    await this.saveCatalog(catalog);
+    return menuItem;
+  }
+
+  // Reorder entries to match a full list of their ids
+  reorderEntries(entries, orderedIds, label) {
+    if (!Array.isArray(orderedIds) || orderedIds.length !== entries.length) {
+      throw catalogError(`The new order must list every ${label} exactly once`);
+    }
+    const byId = new Map(entries.map(entry => [entry.id, entry]));
+    const reordered = orderedIds.map(id => byId.get(id));
+    if (reordered.some(entry => !entry) || new Set(orderedIds).size !== orderedIds.length) {
+      throw catalogError(`The new order must list every ${label} exactly once`);
+    }
+    return reordered;
+  }
+
+  // Change the display order of the categories
+  async reorderCategories(categoryIds) {
+    const catalog = await this.getCatalog();
+    catalog.categories = this.reorderEntries(catalog.categories, categoryIds, 'category');
+    return this.saveCatalog(catalog);
+  }
+
+  // Change the display order of the items inside a category
+  async reorderItems(categoryId, itemIds) {
+    const catalog = await this.getCatalog();
+    const category = this.findCategory(catalog, categoryId);
+    category.items = this.reorderEntries(category.items, itemIds, 'item');
+    await this.saveCatalog(catalog);
+    return category;
+  }
+
+  // Add computed availability fields to an item (used by the dashboard)
+  describeItem(menuItem, now = new Date()) {
+    const availability = getItemAvailability(menuItem, now);
+    return {
+      ...menuItem,
+      availableToday: availability.available,
+      unavailableReason: availability.reason
+    };
+  }
+
+  // Add computed availability fields to every item of the catalog
+  describeCatalog(catalog, now = new Date()) {
+    return {
+      ...catalog,
+      categories: catalog.categories.map(category => ({
+        ...category,
+        items: category.items.map(menuItem => this.describeItem(menuItem, now))
+      }))
+    };
+  }
+
+  // Render a single item as a prompt line
+  formatItem(menuItem) {
+    const label = menuItem.description
+      ? `${menuItem.name} (${menuItem.description})`
+      : menuItem.name;
+
+    let line;
+    if (Array.isArray(menuItem.variants) && menuItem.variants.length > 0) {
+      const prices = menuItem.variants
+        .map(variant => `${variant.name}: ${formatPrice(variant.price)}`)
+        .join(', ');
+      line = `- ${label} (${prices})`;
+    } else if (typeof menuItem.price === 'number') {
+      line = `- ${label}: ${formatPrice(menuItem.price)}`;
+    } else {
+      line = `- ${label}`;
+    }
+
+    if (menuItem.note) {
+      line += ` (${menuItem.note})`;
+    }
+
+    return line;
+  }
+
+  // Describe why an item is unavailable, for the prompt
+  formatUnavailability(menuItem, reason) {
+    if (reason === 'schedule') {
+      const days = menuItem.availableDays.map(day => WEEKDAY_NAMES_FR[day]).join(', ');
+      return `disponible uniquement: ${days}`;
+    }
+    return "épuisé pour aujourd'hui";
+  }
+
+  // Render the catalog as the menu section of the system prompt.
+  // Unavailable items are left out of the menu and listed separately with alternatives.
+  formatForPrompt(catalog, now = new Date()) {
+    const unavailableLines = [];
+
+    const sections = catalog.categories.map(category => {
+      const availableItems = [];
+      const unavailableItems = [];
+
+      category.items.forEach(menuItem => {
+        const availability = getItemAvailability(menuItem, now);
+        if (availability.available) {
+          availableItems.push(menuItem);
+        } else {
+          unavailableItems.push({ menuItem, reason: availability.reason });
+        }
+      });
+
+      unavailableItems.forEach(({ menuItem, reason }) => {
+        const alternatives = availableItems.slice(0, 3).map(entry => entry.name);
+        unavailableLines.push(
+          `- ${menuItem.name} (${this.formatUnavailability(menuItem, reason)})` +
+          (alternatives.length > 0 ? ` -> alternatives: ${alternatives.join(', ')}` : '')
+        );
+      });
+
+      if (availableItems.length === 0) {
+        return null;
+      }
+
+      const lines = [`${category.name}:`];
+      availableItems.forEach(menuItem => lines.push(this.formatItem(menuItem)));
+      if (category.note) {
+        lines.push(`- ${category.note}`);
+      }
+      return lines.join('\n');
+    }).filter(Boolean);
+
+    if (unavailableLines.length > 0) {
+      sections.push([
+        "PLATS INDISPONIBLES AUJOURD'HUI (ne les propose jamais; si le client les demande, explique qu'ils ne sont pas disponibles et propose une des alternatives):",
+        ...unavailableLines
+      ].join('\n'));
+    }
+
+    return sections.join('\n\n');
+  }
+
+  // Convenience: load the catalog and render it for the prompt
+  async getPromptMenu(now = new Date()) {
+    const catalog = await this.getCatalog();
+    return this.formatForPrompt(catalog, now);
+  }
+}
@@ -0,0 +1,331 @@
+// orderManager.js - Orders extracted from conversations, stored as their own KV records
+import { MenuCatalog } from './menuCatalog.js';
+import { priceOrder, DEFAULT_DELIVERY_FEE, SIDE_CATEGORY_IDS } from './pricing.js';
+import { DeliveryZones } from './deliveryZones.js';
+import { listAllKeys } from './kvKeys.js';
+
+// KV key prefix for order records and key of the sequential order number counter
+export const ORDER_KEY_PREFIX = 'order:';
+export const ORDER_COUNTER_KEY = 'order_counter';
+
+// KV key prefix pointing an order number to the id of its order (order_number:12 -> id)
+export const ORDER_NUMBER_KEY_PREFIX = 'order_number:';
+
+// Orders are kept for 90 days
+export const ORDER_TTL = 60 * 60 * 24 * 90;
+
+export const FULFILLMENT_TYPES = ['pickup', 'delivery'];
+
+// Order lifecycle: the statuses an order can move to from each status
+export const ORDER_TRANSITIONS = {
+  'draft': ['confirmed', 'cancelled'],
+  'confirmed': ['preparing', 'ready', 'cancelled'],
+  'preparing': ['ready', 'cancelled'],
+  'ready': ['out-for-delivery', 'delivered', 'cancelled'],
+  'out-for-delivery': ['delivered', 'cancelled'],
+  'delivered': [],
+  'cancelled': []
+};
+
+export const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// Statuses only delivery orders go through (a pickup order goes from ready to delivered)
+export const DELIVERY_ONLY_STATUSES = ['out-for-delivery'];
+
+// Order fields holding the time each milestone was reached
+const STATUS_TIMESTAMP_FIELDS = {
+  'confirmed': 'confirmedAt',
+  'preparing': 'preparingAt',
+  'ready': 'readyAt',
+  'out-for-delivery': 'outForDeliveryAt',
+  'delivered': 'deliveredAt',
+  'cancelled': 'cancelledAt'
+};
+
+export function canTransition(from, to, fulfillment) {
+  if (DELIVERY_ONLY_STATUSES.includes(to) && fulfillment !== 'delivery') {
+    return false;
+  }
+  return (ORDER_TRANSITIONS[from] || []).includes(to);
+}
+
+// Create an error carrying the HTTP status the API should answer with
+export function orderError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Render the line items of an order as short text ("2 x Poulet grillé (1/4) + 1 extra side")
+export function formatOrderLines(order) {
+  return order.items.map(line => {
+    let text = `${line.quantity} x ${line.name}`;
+    if (line.variant) {
+      text += ` (${line.variant})`;
+    }
+    if (line.extraSides > 0) {
+      text += ` + ${line.extraSides} extra side${line.extraSides > 1 ? 's' : ''}`;
+    }
+    if (line.extraCheese) {
+      text += ' + cheese';
+    }
+    if (line.notes) {
+      text += ` [${line.notes}]`;
+    }
+    if (!line.itemId) {
+      text += ' (not on menu)';
+    }
+    return text;
+  });
+}
+
+export class OrderManager {
+  constructor(kvNamespace) {
+    if (!kvNamespace) {
+      throw new Error('KV namespace is required for OrderManager');
+    }
+    this.kv = kvNamespace;
+    this.menuCatalog = new MenuCatalog(kvNamespace);
+    this.deliveryZones = new DeliveryZones(kvNamespace);
+  }
+
+  // Get the next order number (KV has no atomic increment, which is fine at our volume)
+  async nextOrderNumber() {
+    const current = parseInt(await this.kv.get(ORDER_COUNTER_KEY), 10) || 0;
+    const next = current + 1;
+    await this.kv.put(ORDER_COUNTER_KEY, String(next));
+    return next;
+  }
+
+  async getOrder(orderId) {
+    const order = await this.kv.get(`${ORDER_KEY_PREFIX}${orderId}`, 'json');
+    if (!order) {
+      throw orderError(`Order not found: ${orderId}`, 404);
+    }
+    return order;
+  }
+
+  async saveOrder(order) {
+    order.updatedAt = Date.now();
+    await this.kv.put(
+      `${ORDER_KEY_PREFIX}${order.id}`,
+      JSON.stringify(order),
+      { expirationTtl: ORDER_TTL }
+    );
+    return order;
+  }
+
+  // List orders, most recent first.
+  // status can be a single status or a list; since is a timestamp in milliseconds.
+  async listOrders({ userId, status, fulfillment, since, limit } = {}) {
+    const statuses = status ? [].concat(status) : null;
+    const keys = await listAllKeys(this.kv, ORDER_KEY_PREFIX);
+    const orders = [];
+
+    for (const key of keys) {
+      // Order ids start with their creation time, so older orders are skipped without reading them
+      if (since && parseInt(key.name.slice(ORDER_KEY_PREFIX.length), 10) < since) continue;
+      const order = await this.kv.get(key.name, 'json');
+      if (!order) continue;
+      if (userId && order.userId !== userId) continue;
+      if (statuses && !statuses.includes(order.status)) continue;
+      if (fulfillment && order.fulfillment !== fulfillment) continue;
+      if (since && (order.createdAt || 0) < since) continue;
+      orders.push(order);
+    }
+
+    orders.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+    return limit ? orders.slice(0, limit) : orders;
+  }
+
+  // Find an order by the number given to the customer (the most recent one if the counter was reset)
+  async findOrderByNumber(number) {
+    const orderId = await this.kv.get(`${ORDER_NUMBER_KEY_PREFIX}${Number(number)}`);
+    if (orderId) {
+      const order = await this.kv.get(`${ORDER_KEY_PREFIX}${orderId}`, 'json');
+      if (order) return order;
+    }
+
+    // Orders created before numbers were indexed: only the last two days are worth scanning
+    const orders = await this.listOrders({ since: Date.now() - 2 * 24 * 60 * 60 * 1000 });
+    return orders.find(order => order.number === Number(number)) || null;
+  }
+
+  // Move an order to a new status, recording the transition in its history
+  async transitionOrder(orderId, status, { by = 'system', note = '' } = {}) {
+    if (!ORDER_STATUSES.includes(status)) {
+      throw orderError(`Unknown order status: ${status}`);
+    }
+
+    const order = await this.getOrder(orderId);
+    if (!canTransition(order.status, status, order.fulfillment)) {
+      throw orderError(`Invalid transition for order #${order.number}: ${order.status} -> ${status}`, 409);
+    }
+
+    this.recordTransition(order, status, by, note);
+    await this.saveOrder(order);
+
+    console.log(`Order #${order.number} (${order.id}) moved to ${status} by ${by}`);
+    return order;
+  }
+
+  // Remember that the customer received the confirmation receipt, so it is never sent twice
+  async markReceiptSent(order) {
+    order.receiptSentAt = Date.now();
+    return this.saveOrder(order);
+  }
+
+  // Apply a status change to an order object and append it to the history
+  recordTransition(order, status, by, note = '') {
+    const now = Date.now();
+    order.history = order.history || [];
+    order.history.push({ from: order.status || null, to: status, at: now, by, note });
+    order.status = status;
+    if (STATUS_TIMESTAMP_FIELDS[status]) {
+      order[STATUS_TIMESTAMP_FIELDS[status]] = now;
+    }
+  }
+
+  // Validate an order written by the model and resolve its items against the menu catalog.
+  // deliveryLocation is the location the customer shared in the conversation, if any.
+  async normalizeOrderData(data, { deliveryLocation = null } = {}) {
+    if (!data || !Array.isArray(data.items) || data.items.length === 0) {
+      throw orderError('Order must contain at least one item');
+    }
+
+    const catalog = await this.menuCatalog.getCatalog();
+
+    const items = data.items.map(line => {
+      const name = String(line?.name || '').trim();
+      if (!name) {
+        throw orderError('Order items must have a name');
+      }
+
+      const quantity = Math.max(1, parseInt(line.quantity, 10) || 1);
+      const requestedVariant = line.size || line.variant || null;
+
+      const match = this.menuCatalog.matchItemByName(catalog, name);
+      // Drinks, desserts... are not served with sides
+      const extraSides = match && !SIDE_CATEGORY_IDS.includes(match.category.id)
+        ? 0
+        : Math.max(0, parseInt(line.extraSides, 10) || 0);
+      const variant = match && requestedVariant
+        ? this.menuCatalog.matchVariant(match.item, requestedVariant)
+        : null;
+
+      return {
+        itemId: match ? match.item.id : null,
+        name: match ? match.item.name : name,
+        variant: variant ? variant.name : (requestedVariant ? String(requestedVariant) : null),
+        quantity,
+        extraSides,
+        extraCheese: Boolean(line.extraCheese),
+        notes: String(line.notes || '').trim()
+      };
+    });
+
+    const fulfillment = FULFILLMENT_TYPES.includes(data.fulfillment) ? data.fulfillment : 'pickup';
+    const address = fulfillment === 'delivery'
+      ? String(data.address || deliveryLocation?.address || '').trim()
+      : '';
+
+    return {
+      items,
+      fulfillment,
+      address,
+      deliveryLocation: fulfillment === 'delivery' ? deliveryLocation : null,
+      deliveryZone: fulfillment === 'delivery' ? await this.resolveDeliveryZone(address, deliveryLocation) : null,
+      customerName: String(data.customerName || '').trim(),
+      notes: String(data.notes || '').trim()
+    };
+  }
+
+  // Find the delivery zone of an order, from the shared location first, then from the typed address
+  async resolveDeliveryZone(address, deliveryLocation) {
+    try {
+      return await this.deliveryZones.resolve({
+        latitude: deliveryLocation?.latitude,
+        longitude: deliveryLocation?.longitude,
+        address
+      });
+    } catch (error) {
+      console.error('Error resolving delivery zone:', error);
+      return null;
+    }
+  }
+
+  // Compute the totals of an order from the current catalog prices
+  async applyPricing(order) {
+    const catalog = await this.menuCatalog.getCatalog();
+    const zone = order.deliveryZone && !order.deliveryZone.outOfRange ? order.deliveryZone : null;
+    order.pricing = priceOrder(order, catalog, {
+      deliveryFee: zone ? zone.fee : DEFAULT_DELIVERY_FEE,
+      deliveryZone: zone ? zone.name : null,
+      deliveryOutOfRange: Boolean(order.deliveryZone?.outOfRange)
+    });
+    order.total = order.pricing.total;
+    return order;
+  }
+
+  async createOrder(userId, data, status = 'draft', by = 'ai-agent') {
+    const now = Date.now();
+    const order = {
+      id: `${now}-${Math.random().toString(36).substring(2, 10)}`,
+      number: await this.nextOrderNumber(),
+      userId,
+      status: null,
+      ...data,
+      history: [],
+      createdAt: now
+    };
+
+    this.recordTransition(order, 'draft', by);
+    if (status !== 'draft') {
+      this.recordTransition(order, status, by);
+    }
+
+    await this.applyPricing(order);
+    await this.saveOrder(order);
+    await this.kv.put(`${ORDER_NUMBER_KEY_PREFIX}${order.number}`, order.id, { expirationTtl: ORDER_TTL });
+    console.log(`Created order #${order.number} (${order.id}) for user ${userId} with status ${status}`);
+    return order;
+  }
+
+  // Save the order block the model attached to a reply.
+  // A draft is updated in place until it is confirmed; after that a new block starts a new order.
+  async saveFromReply(userId, data, currentOrderId = null, { deliveryLocation = null, scheduledFor = null } = {}) {
+    const orderData = {
+      ...await this.normalizeOrderData(data, { deliveryLocation }),
+      scheduledFor
+    };
+    const status = data.status === 'confirmed' ? 'confirmed' : 'draft';
+
+    let current = null;
+    if (currentOrderId) {
+      current = await this.kv.get(`${ORDER_KEY_PREFIX}${currentOrderId}`, 'json');
+    }
+
+    if (current && current.status !== 'draft') {
+      // The model repeating an already confirmed order must not create a duplicate ticket
+      if (JSON.stringify(current.items) === JSON.stringify(orderData.items)) {
+        return { order: current, confirmed: false, unchanged: true };
+      }
+      current = null;
+    }
+
+    if (!current) {
+      const order = await this.createOrder(userId, orderData, status);
+      return { order, confirmed: status === 'confirmed', unchanged: false };
+    }
+
+    Object.assign(current, orderData);
+    if (status === 'confirmed') {
+      this.recordTransition(current, 'confirmed', 'ai-agent');
+    }
+
+    await this.applyPricing(current);
+    await this.saveOrder(current);
+    console.log(`Updated order #${current.number} (${current.id}) for user ${userId}, status ${current.status}`);
+    return { order: current, confirmed: status === 'confirmed', unchanged: false };
+  }
+}
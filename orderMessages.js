@@ -0,0 +1,181 @@
+// orderMessages.js - WhatsApp messages sent to customers about their orders
+import { formatPrice } from './menuCatalog.js';
+import { formatLocalTime } from './schedule.js';
+import { EXTRA_SIDE_PRICE, EXTRA_CHEESE_PRICE } from './pricing.js';
+
+// Upper bound of the preparation time announced in the prompt (20 to 40 minutes)
+export const ESTIMATED_PREPARATION_MINUTES = 40;
+
+// Estimated time at which a confirmed order will be ready
+export function getEstimatedReadyTime(order) {
+  const preparedAt = (order.confirmedAt || Date.now()) + ESTIMATED_PREPARATION_MINUTES * 60 * 1000;
+  // Pre-scheduled orders are ready for their scheduled time
+  return order.scheduledFor ? Math.max(order.scheduledFor, preparedAt) : preparedAt;
+}
+
+// Build the receipt sent to the customer when an order is confirmed
+export function formatOrderReceipt(order) {
+  const pricing = order.pricing;
+  const lines = [`✅ Commande n°${order.number} confirmée`, ''];
+
+  pricing.lines.forEach(line => {
+    const label = `${line.quantity} x ${line.name}${line.variant ? ` (${line.variant})` : ''}`;
+    if (line.total === null) {
+      lines.push(`• ${label}: prix à confirmer`);
+      return;
+    }
+
+    lines.push(`• ${label}: ${formatPrice(line.quantity * line.unitPrice)}`);
+    if (line.extraSides > 0) {
+      lines.push(`   + ${line.quantity * line.extraSides} complément(s) supplémentaire(s): ${formatPrice(line.quantity * line.extraSides * EXTRA_SIDE_PRICE)}`);
+    }
+    if (line.extraCheese) {
+      lines.push(`   + fromage: ${formatPrice(line.quantity * EXTRA_CHEESE_PRICE)}`);
+    }
+  });
+
+  lines.push('');
+  lines.push(`Sous-total: ${formatPrice(pricing.subtotal + pricing.supplements)}`);
+  if (pricing.packaging > 0) {
+    lines.push(`Emballage: ${formatPrice(pricing.packaging)}`);
+  }
+  if (pricing.deliveryFee > 0) {
+    lines.push(`Livraison: ${formatPrice(pricing.deliveryFee)}`);
+  }
+  lines.push(`*Total: ${formatPrice(pricing.total)}*`);
+  if (!pricing.complete) {
+    lines.push(`(prix à confirmer par notre équipe pour: ${pricing.unpriced.join(', ')})`);
+  }
+
+  lines.push('');
+  if (order.scheduledFor) {
+    lines.push(`🗓️ Commande programmée pour ${formatLocalTime(order.scheduledFor)}.`);
+  }
+  const readyTime = formatLocalTime(getEstimatedReadyTime(order));
+  if (order.fulfillment === 'delivery') {
+    const deliveryTime = order.deliveryZone?.etaMinutes
+      ? `environ ${order.deliveryZone.etaMinutes} minutes`
+      : '30 minutes à 1 heure';
+    lines.push(`🕒 Prête vers ${readyTime}, puis livraison à ${order.address || "l'adresse indiquée"} (${deliveryTime}).`);
+    lines.push('💳 Paiement à la livraison: en espèces ou par Orange Money.');
+  } else {
+    lines.push(`🕒 Prête vers ${readyTime} au Complexe LeSims, Soa Fin Goudron.`);
+    lines.push('💳 Paiement au retrait: en espèces ou par Orange Money.');
+  }
+
+  lines.push('');
+  lines.push('Merci pour votre commande!');
+  return lines.join('\n');
+}
+
+// Order statuses the customer is told about automatically when staff move the order
+export const CUSTOMER_STATUS_UPDATES = ['preparing', 'ready', 'out-for-delivery'];
+
+// Small marker word lists used to tell French from English messages
+const FRENCH_MARKERS = ['je', 'vous', 'le', 'la', 'les', 'est', 'ma', 'mon', 'commande', 'bonjour', 'bonsoir', 'merci', 'oui', 'pour', 'avec', 'prêt', 'prête', "c'est", 'svp', 'combien', 'où', 'quand'];
+const ENGLISH_MARKERS = ['i', 'you', 'the', 'is', 'my', 'order', 'hello', 'hi', 'good', 'thanks', 'thank', 'yes', 'for', 'with', 'ready', 'please', 'how', 'much', 'where', 'when', 'want', 'it'];
+
+// Guess whether a text is French or English (defaults to French, the main language of our customers)
+export function detectLanguage(text) {
+  const words = String(text || '').toLowerCase().match(/[a-zàâäçéèêëîïôöùûüœ']+/g) || [];
+  const french = words.filter(word => FRENCH_MARKERS.includes(word)).length;
+  const english = words.filter(word => ENGLISH_MARKERS.includes(word)).length;
+  return english > french ? 'en' : 'fr';
+}
+
+// Detect the language of a conversation from the customer's recent messages
+export function detectConversationLanguage(history) {
+  const recentUserText = (history || [])
+    .filter(message => message.role === 'user')
+    .slice(-5)
+    .map(message => message.content)
+    .join(' ');
+  return detectLanguage(recentUserText);
+}
+
+// Messages sent when staff move an order forward
+const STATUS_UPDATE_MESSAGES = {
+  fr: {
+    'preparing': (order, time) => `👨‍🍳 Votre commande n°${order.number} est en cours de préparation. Elle sera prête vers ${time}.`,
+    'ready': (order) => order.fulfillment === 'delivery'
+      ? `✅ Votre commande n°${order.number} est prête et partira bientôt en livraison.`
+      : `✅ Votre commande n°${order.number} est prête! Vous pouvez venir la récupérer au Complexe LeSims, Soa Fin Goudron.`,
+    'out-for-delivery': (order) => `🛵 Votre commande n°${order.number} est en route vers ${order.address || 'votre adresse'}. Merci de garder votre téléphone à portée de main.`
+  },
+  en: {
+    'preparing': (order, time) => `👨‍🍳 Your order #${order.number} is being prepared. It will be ready around ${time}.`,
+    'ready': (order) => order.fulfillment === 'delivery'
+      ? `✅ Your order #${order.number} is ready and will leave for delivery shortly.`
+      : `✅ Your order #${order.number} is ready! You can pick it up at Complexe LeSims, Soa Fin Goudron.`,
+    'out-for-delivery': (order) => `🛵 Your order #${order.number} is on its way to ${order.address || 'your address'}. Please keep your phone nearby.`
+  }
+};
+
+// Build the WhatsApp message sent to the customer for a status change (null when there is nothing to say)
+export function formatStatusUpdate(order, language = 'fr') {
+  const messages = STATUS_UPDATE_MESSAGES[language] || STATUS_UPDATE_MESSAGES.fr;
+  const message = messages[order.status];
+  return message ? message(order, formatLocalTime(getEstimatedReadyTime(order))) : null;
+}
+
+// Answers to "c'est prêt?" built from the real order state
+const STATUS_ANSWERS = {
+  fr: {
+    'draft': (order) => `Votre commande n°${order.number} n'est pas encore confirmée. Souhaitez-vous la confirmer?`,
+    'confirmed': (order, time) => `Votre commande n°${order.number} est confirmée et sera bientôt en préparation. Elle devrait être prête vers ${time}.`,
+    'preparing': (order, time) => `Votre commande n°${order.number} est en cours de préparation. Elle devrait être prête vers ${time}. Merci pour votre patience.`,
+    'ready': (order) => order.fulfillment === 'delivery'
+      ? `Votre commande n°${order.number} est prête et va bientôt partir en livraison.`
+      : `Oui! Votre commande n°${order.number} est prête, vous pouvez venir la récupérer.`,
+    'out-for-delivery': (order) => `Votre commande n°${order.number} est en route, le livreur arrive bientôt.`,
+    'delivered': (order) => `Votre commande n°${order.number} a été livrée. Bon appétit!`,
+    'cancelled': (order) => `Votre commande n°${order.number} a été annulée. Souhaitez-vous passer une nouvelle commande?`
+  },
+  en: {
+    'draft': (order) => `Your order #${order.number} is not confirmed yet. Would you like to confirm it?`,
+    'confirmed': (order, time) => `Your order #${order.number} is confirmed and will be prepared shortly. It should be ready around ${time}.`,
+    'preparing': (order, time) => `Your order #${order.number} is being prepared. It should be ready around ${time}. Thank you for your patience.`,
+    'ready': (order) => order.fulfillment === 'delivery'
+      ? `Your order #${order.number} is ready and will leave for delivery shortly.`
+      : `Yes! Your order #${order.number} is ready, you can come and pick it up.`,
+    'out-for-delivery': (order) => `Your order #${order.number} is on its way, the driver will arrive soon.`,
+    'delivered': (order) => `Your order #${order.number} has been delivered. Enjoy your meal!`,
+    'cancelled': (order) => `Your order #${order.number} was cancelled. Would you like to place a new order?`
+  }
+};
+
+// Answer a customer asking about their order from its current status
+export function formatOrderStatusAnswer(order, language = 'fr') {
+  const answers = STATUS_ANSWERS[language] || STATUS_ANSWERS.fr;
+  const answer = answers[order.status] || answers.confirmed;
+  return answer(order, formatLocalTime(getEstimatedReadyTime(order)));
+}
+
+// Questions like "ma commande est prête?", "ma commande arrive quand?" or "is my order ready?". The message
+// has to name the customer's order: "le poulet est prêt quand?" is a menu question left to the AI.
+const ORDER_REFERENCE_PATTERN = /\b(ma|mon|notre|nos) (commande|livraison|repas)s?\b|\bmy (order|food|delivery)\b|\bn[°o]\s*\d+|#\d+/;
+
+const ORDER_STATUS_PATTERNS = [
+  /\bpr[eê]te?s?\b/,
+  /\barriv/,
+  /\blivr[ée]e?s?\b/,
+  /\bo[uù] en est\b/,
+  /\bstatut\b/,
+  /\b(quand|combien de temps)\b/,
+  /\ben route\b/,
+  /\bready\b/,
+  /\bwhere is\b/,
+  /\bstatus\b/,
+  /\bhow long\b/,
+  /\bon (its|the) way\b/
+];
+
+// "je veux passer ma commande", "can I change my order": the customer is ordering, not asking for news
+const ORDER_CHANGE_PATTERN = /\b(passer|faire|ajouter|modifier|changer|annuler|place|change|cancel|add)\b/;
+
+export function isOrderStatusQuestion(text) {
+  const lowerText = String(text || '').toLowerCase();
+  return ORDER_REFERENCE_PATTERN.test(lowerText)
+    && !ORDER_CHANGE_PATTERN.test(lowerText)
+    && ORDER_STATUS_PATTERNS.some(pattern => pattern.test(lowerText));
+}
@@ -0,0 +1,261 @@
+// priceGuard.js - Check the prices quoted in an AI reply against the menu catalog before it is sent,
+// correct the ones that can be corrected and describe the others so the reply can be regenerated
+import { formatPrice } from './menuCatalog.js';
+import { normalizeMessageText } from './intentClassifier.js';
+import { EXTRA_SIDE_PRICE, SIDE_CATEGORY_IDS, EXTRA_CHEESE_PRICE, CHEESE_CATEGORY_IDS } from './pricing.js';
+
+// How many price incidents are kept in the metadata of a conversation
+export const MAX_PRICE_INCIDENTS = 10;
+
+// "3500 francs CFA", "3 500 FCFA", "3.500 F"
+const PRICE_PATTERN = /(\d{1,3}(?:[ .,\u00a0\u202f]\d{3})+|\d+)\s*(?:francs?\s*cfa|f\s?cfa|xaf|frs?\b|f\b)/gi;
+
+// Sentence and line ends; a dot between two digits is a thousands separator
+const SEGMENT_END_PATTERN = /\n|[!?;]|\.(?!\d)/g;
+
+// How far before an item ("grande Regina") and after a price ("Regina à 3500 francs CFA, taille moyenne")
+// a size may be written
+const SIZE_LOOKBEHIND = 15;
+const SIZE_LOOKAHEAD = 30;
+
+// Words between an item and a price telling that the price is not the unit price of the item: totals,
+// fees and line totals ("Poulet grillé 1/4 x2: 5000 francs CFA")
+const NOT_UNIT_PRICE_PATTERN = /\b(total|totaux|livraison|frais|emballage|gamelles?)\b/;
+const LINE_QUANTITY_PATTERN = /(^|[^a-z0-9/])(x\s?\d{1,2}|\d{1,2}\s?x)(?![a-z0-9])/;
+
+// Words that may sit between an item and its own price ("Salade du chef: 2000", "Regina est à 3500")
+const PRICE_LINK_WORDS = new Set(['a', 'au', 'de', 'du', 'pour', 'prix', 'est', 'sont', 'coute', 'coutent', 'fait', 'font', 'seulement', 'is', 'at', 'for', 'costs', 'only']);
+
+const normalizeWord = (word) => normalizeMessageText(word).replace(/[^a-z0-9]/g, '');
+const toWords = (value) => normalizeMessageText(value).split(/[^a-z0-9]+/).filter(Boolean);
+
+// Words of a text with their position in it
+function wordsOf(text) {
+  return [...text.matchAll(/[\p{L}\p{N}]+/gu)].map(match => ({
+    word: normalizeWord(match[0]),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+// A name written at a position of the word list ("grande" counts for "grand", "Reginas" for "Regina")
+function matchesAt(words, index, nameWords, { suffix = 1 } = {}) {
+  return nameWords.every((nameWord, offset) => {
+    const word = words[index + offset]?.word;
+    if (!word) return false;
+    if (word === nameWord) return true;
+    return offset === nameWords.length - 1 && word.startsWith(nameWord) && word.length - nameWord.length <= suffix;
+  });
+}
+
+// Names an item may be written with: its full name, and without the category word ("BBQ" for "Pizza BBQ")
+function itemAliases(category, menuItem) {
+  const nameWords = toWords(menuItem.name);
+  const aliases = [nameWords];
+  const categoryWords = toWords(category.name).map(word => word.replace(/s$/, ''));
+  if (nameWords.length > 1 && categoryWords.includes(nameWords[0].replace(/s$/, '')) && nameWords.slice(1).join('').length >= 3) {
+    aliases.push(nameWords.slice(1));
+  }
+  return aliases;
+}
+
+// Items of the catalog mentioned in a text, longest names first when two overlap
+function findItemMentions(words, catalog) {
+  const candidates = [];
+  for (const category of catalog.categories) {
+    for (const menuItem of category.items) {
+      for (const alias of itemAliases(category, menuItem)) {
+        words.forEach((entry, index) => {
+          if (matchesAt(words, index, alias)) {
+            candidates.push({ category, item: menuItem, first: index, last: index + alias.length - 1 });
+          }
+        });
+      }
+    }
+  }
+
+  candidates.sort((a, b) => (b.last - b.first) - (a.last - a.first));
+  const mentions = [];
+  for (const candidate of candidates) {
+    if (!mentions.some(mention => candidate.first <= mention.last && candidate.last >= mention.first)) {
+      mentions.push(candidate);
+    }
+  }
+  return mentions
+    .map(mention => ({ ...mention, start: words[mention.first].start, end: words[mention.last].end }))
+    .sort((a, b) => a.start - b.start);
+}
+
+// Quantity written next to an item ("2 Regina", "2x Regina", "2 x Regina", "Regina x2"), 1 otherwise.
+// "1/2 poulet" is a size.
+function quantityOf(content, words, mention) {
+  const first = words[mention.first - 1]?.word === 'x' ? mention.first - 1 : mention.first;
+  const previous = words[first - 1];
+  const before = previous && content[previous.start - 1] !== '/' ? previous.word.match(/^(\d{1,2})x?$/) : null;
+  const after = words[mention.last + 1]?.word.match(/^x(\d{1,2})$/);
+  const match = before || after;
+  return match ? Math.max(1, parseInt(match[1], 10)) : 1;
+}
+
+// Size written in a piece of text: one of the item's own sizes, or a size only other items have
+function findSize(text, menuItem, allSizes) {
+  const words = wordsOf(text);
+  const find = (sizes) => sizes.find(size => words.some((entry, index) => matchesAt(words, index, toWords(size), { suffix: 2 })));
+
+  const ownSizes = menuItem.variants.map(variant => variant.name);
+  const own = find([...ownSizes].sort((a, b) => b.length - a.length));
+  if (own) {
+    return { variant: menuItem.variants.find(variant => variant.name === own) };
+  }
+  const foreign = find(allSizes.filter(size => !ownSizes.some(name => toWords(name).join(' ') === toWords(size).join(' '))));
+  return foreign ? { unknownSize: foreign } : {};
+}
+
+// Words telling that a quoted price includes a supplement
+const SIDE_SUPPLEMENT_PATTERN = /\b(supplement|extra|portion|complement)/;
+const CHEESE_SUPPLEMENT_PATTERN = /\b(fromage|cheese)/;
+
+// Prices a quote may legitimately show: the unit price, times the quantity, with a supplement when the
+// sentence mentions one
+function acceptedPrices(prices, quantity, category, sentence) {
+  const text = normalizeMessageText(sentence);
+  const supplements = [0];
+  if (SIDE_CATEGORY_IDS.includes(category.id) && SIDE_SUPPLEMENT_PATTERN.test(text)) {
+    supplements.push(EXTRA_SIDE_PRICE);
+  }
+  if (CHEESE_CATEGORY_IDS.includes(category.id) && CHEESE_SUPPLEMENT_PATTERN.test(text)) {
+    supplements.push(EXTRA_CHEESE_PRICE);
+  }
+  const accepted = new Set();
+  prices.forEach(price => supplements.forEach(supplement => {
+    accepted.add(price + supplement);
+    accepted.add((price + supplement) * quantity);
+  }));
+  return accepted;
+}
+
+// Exact prices of an item, for the customer or the model ("Moyen 3500 francs CFA, Grand 5000 francs CFA")
+export function formatItemPrices(menuItem) {
+  if (Array.isArray(menuItem.variants) && menuItem.variants.length > 0) {
+    return menuItem.variants.map(variant => `${variant.name} ${formatPrice(variant.price)}`).join(', ');
+  }
+  return formatPrice(menuItem.price);
+}
+
+// Find the prices of a reply that do not match the menu. Each price is checked against the item written
+// last before it in the same sentence; prices with no item before them, or after a total, a fee or a
+// quantity ("x2"), are left alone. Returns the issues and the text with the wrong prices replaced when the
+// right one is certain (expected is null when it is not: unknown size, size not given, several units, or
+// other words than "est à", ":"... between the item and the price).
+export function checkReplyPrices(text, catalog) {
+  const content = String(text || '');
+  const words = wordsOf(content);
+  const mentions = findItemMentions(words, catalog);
+  const allSizes = [...new Set(catalog.categories.flatMap(category =>
+    category.items.flatMap(menuItem => (menuItem.variants || []).map(variant => variant.name))
+  ))].sort((a, b) => b.length - a.length);
+  const segmentEnds = [...content.matchAll(SEGMENT_END_PATTERN)].map(match => match.index);
+  const segmentOf = (position) => segmentEnds.filter(end => end < position).length;
+
+  const issues = [];
+  let previousPriceEnd = 0;
+  // Item whose sizes are written after its prices ("2500 francs CFA le 1/4 et 4500 francs CFA le 1/2")
+  let sizesAfterPrices = null;
+  for (const match of content.matchAll(PRICE_PATTERN)) {
+    const start = match.index;
+    const end = start + match[0].length;
+    const quoted = parseInt(match[1].replace(/\D/g, ''), 10);
+    const mention = [...mentions].reverse().find(candidate => candidate.end <= start && segmentOf(candidate.end) === segmentOf(start));
+    const lastPriceEnd = previousPriceEnd;
+    previousPriceEnd = end;
+    if (!mention) continue;
+
+    const { category, item: menuItem } = mention;
+    const hasSizes = Array.isArray(menuItem.variants) && menuItem.variants.length > 0;
+    if (!hasSizes && typeof menuItem.price !== 'number') continue;
+
+    // "3500 francs CFA (Moyen)": a size in brackets right after the previous price belongs to it
+    const between = lastPriceEnd > mention.end
+      ? content.slice(lastPriceEnd, start).replace(/^\s*\([^)]*\)/, '')
+      : content.slice(mention.end, start);
+    const betweenText = normalizeMessageText(between);
+    if (NOT_UNIT_PRICE_PATTERN.test(betweenText) || LINE_QUANTITY_PATTERN.test(betweenText)) continue;
+    const adjacent = toWords(between).every(word => PRICE_LINK_WORDS.has(word));
+
+    const quantity = quantityOf(content, words, mention);
+    let size = {};
+    if (hasSizes) {
+      const nextPrice = content.slice(end).search(PRICE_PATTERN);
+      const after = content.slice(end, end + Math.min(SIZE_LOOKAHEAD, nextPrice === -1 ? SIZE_LOOKAHEAD : nextPrice));
+      const before = content.slice(Math.max(lastPriceEnd, mention.start - SIZE_LOOKBEHIND), mention.start).split(/[\n!?;.,:]/).pop();
+      const bracketed = after.match(/^\s*\(([^)]*)\)/)?.[1] || '';
+      const trailing = after.split(/[\n!?;.,]/)[0];
+      // Once an item's sizes follow its prices, the size before a price belongs to the previous one:
+      // only the size after it counts, and any of the item's prices is accepted without one
+      const pieces = sizesAfterPrices === mention && lastPriceEnd > mention.end
+        ? [bracketed, trailing]
+        : [bracketed, between, before, trailing];
+      for (const piece of pieces) {
+        size = findSize(piece, menuItem, allSizes);
+        if (size.variant || size.unknownSize) {
+          if (piece === bracketed || piece === trailing) sizesAfterPrices = mention;
+          break;
+        }
+      }
+    }
+
+    const prices = size.variant ? [size.variant.price] : hasSizes ? menuItem.variants.map(variant => variant.price) : [menuItem.price];
+    const sentence = content.slice(mention.start, end);
+    if (!size.unknownSize && acceptedPrices(prices, quantity, category, sentence).has(quoted)) continue;
+
+    issues.push({
+      itemId: menuItem.id,
+      item: menuItem.name,
+      size: size.variant?.name || size.unknownSize || null,
+      unknownSize: Boolean(size.unknownSize),
+      quoted,
+      expected: adjacent && !size.unknownSize && prices.length === 1 && quantity === 1 ? prices[0] : null,
+      exactPrices: formatItemPrices(menuItem),
+      start,
+      end
+    });
+  }
+
+  let correctedText = content;
+  [...issues].reverse().filter(issue => issue.expected !== null).forEach(issue => {
+    correctedText = correctedText.slice(0, issue.start) + formatPrice(issue.expected) + correctedText.slice(issue.end);
+  });
+
+  return {
+    issues,
+    correctable: issues.every(issue => issue.expected !== null),
+    correctedText
+  };
+}
+
+// Instructions asking the model to rewrite a reply whose prices could not be corrected
+export function buildPriceCorrectionInstructions(issues) {
+  const lines = issues.map(issue => {
+    const problem = issue.unknownSize
+      ? `la taille "${issue.size}" n'existe pas`
+      : `${formatPrice(issue.quoted)} n'est pas le bon prix`;
+    return `- ${issue.item}: ${problem}. Prix exacts: ${issue.exactPrices}.`;
+  });
+  return `Ta réponse précédente contient des prix qui ne correspondent pas au menu:
+${[...new Set(lines)].join('\n')}
+Réécris ta réponse au client avec uniquement les prix et les tailles du menu. N'écris aucun bloc <order>, <reservation> ou <leisure>: le système garde ceux de ta réponse précédente. Ne mentionne pas cette correction.`;
+}
+
+// Line added to a reply when its prices could not be fixed
+export function formatExactPricesNote(issues) {
+  return `Prix exacts: ${[...new Set(issues.map(issue => `${issue.item}: ${issue.exactPrices}`))].join('; ')}.`;
+}
+
+// Entry of the price incident log of a conversation
+export function buildPriceIncident(issues, action) {
+  return {
+    at: Date.now(),
+    action,
+    issues: issues.map(({ item, size, quoted, expected }) => ({ item, size, quoted, expected }))
+  };
+}
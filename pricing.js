@@ -0,0 +1,151 @@
+// pricing.js - Deterministic order totals (subtotal, supplements, packaging, delivery) from the menu catalog
+import { formatPrice } from './menuCatalog.js';
+
+// Each extra portion of sides (frites, plantains, riz), for the chicken and fish dishes served with them
+export const EXTRA_SIDE_PRICE = 500;
+export const SIDE_CATEGORY_IDS = ['kfc-food', 'poulet-grille', 'poulet-avec-sauces', 'poulet-pane', 'poisson'];
+
+// Cheese added to a pizza
+export const EXTRA_CHEESE_PRICE = 500;
+export const CHEESE_CATEGORY_IDS = ['pizza'];
+
+// Packaging (gamelle) for delivered dishes: 200 per unit, 150 per unit from 2 units
+export const PACKAGING_UNIT_PRICE = 200;
+export const PACKAGING_BULK_UNIT_PRICE = 150;
+export const PACKAGING_BULK_THRESHOLD = 2;
+
+// Drinks are delivered as they are and do not need a gamelle
+export const PACKAGING_EXEMPT_CATEGORY_IDS = ['jus-de-fruits', 'nos-boissons'];
+
+// Average transport fee for a delivery
+export const DEFAULT_DELIVERY_FEE = 500;
+
+// Find the catalog entry of an order line (null when the item is not on the menu anymore)
+function findCatalogEntry(catalog, itemId) {
+  if (!itemId) return null;
+  for (const category of catalog.categories) {
+    const menuItem = category.items.find(entry => entry.id === itemId);
+    if (menuItem) {
+      return { category, item: menuItem };
+    }
+  }
+  return null;
+}
+
+// Get the unit price of a line from the catalog (null when it cannot be priced)
+function getUnitPrice(menuItem, variantName) {
+  if (Array.isArray(menuItem.variants) && menuItem.variants.length > 0) {
+    const variant = menuItem.variants.find(entry => entry.name === variantName);
+    return variant ? variant.price : null;
+  }
+  return typeof menuItem.price === 'number' ? menuItem.price : null;
+}
+
+// Packaging cost for a number of gamelles
+export function getPackagingFee(units) {
+  if (units <= 0) return 0;
+  const unitPrice = units >= PACKAGING_BULK_THRESHOLD ? PACKAGING_BULK_UNIT_PRICE : PACKAGING_UNIT_PRICE;
+  return units * unitPrice;
+}
+
+// Compute the price breakdown of an order.
+// Lines that cannot be priced (unknown item or size) are flagged and the breakdown is marked incomplete.
+export function priceOrder(order, catalog, { deliveryFee = DEFAULT_DELIVERY_FEE, deliveryZone = null, deliveryOutOfRange = false } = {}) {
+  let subtotal = 0;
+  let supplements = 0;
+  let packagingUnits = 0;
+  const unpriced = [];
+
+  const lines = order.items.map(line => {
+    const entry = findCatalogEntry(catalog, line.itemId);
+    const unitPrice = entry ? getUnitPrice(entry.item, line.variant) : null;
+
+    if (unitPrice === null) {
+      unpriced.push(line.variant ? `${line.name} (${line.variant})` : line.name);
+      return { ...line, unitPrice: null, supplements: 0, total: null };
+    }
+
+    const cheese = line.extraCheese && CHEESE_CATEGORY_IDS.includes(entry.category.id);
+    const extraSides = SIDE_CATEGORY_IDS.includes(entry.category.id) ? line.extraSides : 0;
+    const lineSupplements = line.quantity * (
+      extraSides * EXTRA_SIDE_PRICE +
+      (cheese ? EXTRA_CHEESE_PRICE : 0)
+    );
+    const lineSubtotal = line.quantity * unitPrice;
+
+    subtotal += lineSubtotal;
+    supplements += lineSupplements;
+    if (!PACKAGING_EXEMPT_CATEGORY_IDS.includes(entry.category.id)) {
+      packagingUnits += line.quantity;
+    }
+
+    return {
+      ...line,
+      extraSides,
+      extraCheese: Boolean(cheese),
+      unitPrice,
+      supplements: lineSupplements,
+      total: lineSubtotal + lineSupplements
+    };
+  });
+
+  const isDelivery = order.fulfillment === 'delivery';
+  const packaging = isDelivery ? getPackagingFee(packagingUnits) : 0;
+  const delivery = isDelivery ? deliveryFee : 0;
+
+  return {
+    lines,
+    subtotal,
+    supplements,
+    packagingUnits: isDelivery ? packagingUnits : 0,
+    packaging,
+    deliveryFee: delivery,
+    deliveryZone: isDelivery ? deliveryZone : null,
+    deliveryOutOfRange: isDelivery && deliveryOutOfRange,
+    total: subtotal + supplements + packaging + delivery,
+    complete: unpriced.length === 0,
+    unpriced,
+    currency: catalog.currency || 'FCFA'
+  };
+}
+
+// Render a price breakdown as the recap appended to the AI reply
+export function formatPriceBreakdown(pricing) {
+  const lines = ['Récapitulatif de votre commande:'];
+
+  pricing.lines.forEach(line => {
+    const label = `${line.quantity} x ${line.name}${line.variant ? ` (${line.variant})` : ''}`;
+    if (line.total === null) {
+      lines.push(`- ${label}: prix à confirmer`);
+      return;
+    }
+
+    lines.push(`- ${label}: ${formatPrice(line.quantity * line.unitPrice)}`);
+    if (line.extraSides > 0) {
+      lines.push(`  + ${line.quantity * line.extraSides} complément(s) supplémentaire(s): ${formatPrice(line.quantity * line.extraSides * EXTRA_SIDE_PRICE)}`);
+    }
+    if (line.extraCheese) {
+      lines.push(`  + fromage: ${formatPrice(line.quantity * EXTRA_CHEESE_PRICE)}`);
+    }
+  });
+
+  lines.push(`Sous-total: ${formatPrice(pricing.subtotal + pricing.supplements)}`);
+  if (pricing.packaging > 0) {
+    lines.push(`Emballage (${pricing.packagingUnits} gamelle${pricing.packagingUnits > 1 ? 's' : ''}): ${formatPrice(pricing.packaging)}`);
+  }
+  if (pricing.deliveryFee > 0) {
+    lines.push(pricing.deliveryZone
+      ? `Livraison (${pricing.deliveryZone}): ${formatPrice(pricing.deliveryFee)}`
+      : `Livraison (estimation, selon la distance): ${formatPrice(pricing.deliveryFee)}`);
+  }
+  lines.push(`Total: ${formatPrice(pricing.total)}`);
+
+  if (pricing.deliveryOutOfRange) {
+    lines.push("Votre adresse est en dehors de nos zones de livraison habituelles: un membre de l'équipe vous confirmera les frais de livraison.");
+  }
+  if (!pricing.complete) {
+    lines.push(`Un membre de l'équipe confirmera le prix de: ${pricing.unpriced.join(', ')}`);
+  }
+
+  return lines.join('\n');
+}
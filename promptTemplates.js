@@ -0,0 +1,222 @@
+// promptTemplates.js - Parts of the system prompt managers edit from the dashboard (persona, business
+// information, standard answers), with a version history, diffs between versions and rollback
+// KV key holding every saved version
+export const PROMPT_TEMPLATES_KEY = 'prompt_templates';
+
+// How many versions are kept; older ones are dropped first
+export const MAX_PROMPT_VERSIONS = 50;
+
+export const MAX_SECTION_LENGTH = 10000;
+
+// Editable sections and the placeholder each one replaces in the system prompt. Standard answers have
+// none: they are searched with the knowledge base (knowledgeBase.js) and only the relevant ones are sent.
+export const PROMPT_SECTIONS = {
+  persona: { label: 'Persona and tone', placeholder: '{{PERSONA}}' },
+  businessInfo: { label: 'Business information', placeholder: '{{BUSINESS_INFO}}' },
+  faq: { label: 'Standard answers', placeholder: null }
+};
+
+// Texts used until a manager saves the first version (version 0)
+export const DEFAULT_PROMPT_TEMPLATES = {
+  persona: `Tu es un employé du restaurant Complexe LeSims. Ton rôle est de comprendre les demandes des clients et de répondre de manière professionnelle tout enssayant de mimiquer un vrai employe humain dans tes reponses. Tu dois donner les prix en francs CFA, par exemple 1500 francs CFA signifie 1500 francs CFA.
+
+Tu dois être poli, amiable, aimant, etre precis et concis dans tes reponses, avoir un peu d'humour occasionellement, patient et serviable. Si le client ecrit ou parle en anglais tu reponds en anglais et si c'est en francais tu reponds en francais.`,
+
+  businessInfo: `- Adresse: Yaoundé, Soa Fin Goudron
+- Service de livraison disponible au (237) 655 232 584
+- Temps de livraison: 30 minutes à 1 heure
+- Temps de préparation: 20 à 40 minutes
+- Toutes commandes du poulet et du poisson sont accompagnées des complements, portion de frites de pommes de terre ou de plantains ou de riz.
+- Si le client demande une portion supplémentaire des complements, il doit payer 500 francs CFA en plus pour chaque portion supplémentaire.
+- Les frais de transport pour la livraison dépendent de la zone du client (voir les zones de livraison ci-dessous) et le cout de la gamelle est de 200 franc CFA par unites et 150 franc CFA a partir de 2 unites.`,
+
+  faq: `Q: Comment allez-vous/comment cava/vous allez bien/comment vas tu?
+R: Je vais bien merci et vous?
+
+Q: Je veux/j'aimerai passer une commande
+R: Bien sûr, que voulez-vous commander?
+
+Q: Ce sera tout/ca va/c'est tout/c'est bon
+R: Merci! Votre commande a été prise en charge. À bientôt!
+
+Q: Quel repas ne met pas long?
+R: Le Poulet Grillé (1/4) à 2500 francs CFA.`
+};
+
+// Create an error carrying the HTTP status the API should answer with
+export function promptError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Validate templates sent from the dashboard. Sections left out keep their current text.
+export function normalizePromptTemplates(data, current = DEFAULT_PROMPT_TEMPLATES) {
+  const templates = {};
+  for (const [section, { label }] of Object.entries(PROMPT_SECTIONS)) {
+    const value = data?.[section] === undefined ? current[section] : data[section];
+    if (typeof value !== 'string') {
+      throw promptError(`${label} must be text`);
+    }
+
+    const text = value.replace(/\r\n/g, '\n').trim();
+    if (text.length > MAX_SECTION_LENGTH) {
+      throw promptError(`${label} must be ${MAX_SECTION_LENGTH} characters or fewer`);
+    }
+    templates[section] = text;
+  }
+
+  if (!templates.persona) {
+    throw promptError(`${PROMPT_SECTIONS.persona.label} is required`);
+  }
+  return templates;
+}
+
+// Put the templates in place of their placeholders in the system prompt
+export function renderPromptTemplates(prompt, templates) {
+  return Object.entries(PROMPT_SECTIONS).reduce(
+    (text, [section, { placeholder }]) => (placeholder ? text.split(placeholder).join(templates[section] || '') : text),
+    prompt
+  );
+}
+
+// Line diff of two texts: [{ type: 'same' | 'added' | 'removed', text }], from their longest common subsequence
+export function diffLines(before, after) {
+  const a = String(before || '').split('\n');
+  const b = String(after || '').split('\n');
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i++] });
+      j++;
+    } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      lines.push({ type: 'removed', text: a[i++] });
+    } else {
+      lines.push({ type: 'added', text: b[j++] });
+    }
+  }
+  return lines;
+}
+
+// Diff of each section between two sets of templates
+export function diffTemplates(from, to) {
+  const sections = {};
+  for (const section of Object.keys(PROMPT_SECTIONS)) {
+    sections[section] = {
+      changed: from[section] !== to[section],
+      lines: diffLines(from[section], to[section])
+    };
+  }
+  return sections;
+}
+
+// Version 0: the built-in texts, always available for diffs and rollback
+const DEFAULT_VERSION = {
+  version: 0,
+  templates: DEFAULT_PROMPT_TEMPLATES,
+  createdAt: null,
+  author: 'default',
+  note: 'Built-in templates',
+  rollbackOf: null
+};
+
+export class PromptTemplates {
+  constructor(kvNamespace) {
+    if (!kvNamespace) {
+      throw new Error('KV namespace is required for PromptTemplates');
+    }
+    this.kv = kvNamespace;
+  }
+
+  async getVersions() {
+    const data = await this.kv.get(PROMPT_TEMPLATES_KEY, 'json');
+    return data?.versions || [];
+  }
+
+  // The version in use: the last one saved, or the built-in templates
+  async getCurrent() {
+    const versions = await this.getVersions();
+    return versions[versions.length - 1] || DEFAULT_VERSION;
+  }
+
+  async getTemplates() {
+    return (await this.getCurrent()).templates;
+  }
+
+  // History, newest first, without the texts
+  async listVersions() {
+    const versions = [DEFAULT_VERSION, ...await this.getVersions()];
+    const current = versions[versions.length - 1].version;
+    return versions.reverse().map(({ templates, ...entry }) => ({ ...entry, current: entry.version === current }));
+  }
+
+  async getVersion(version) {
+    if (version === null || version === undefined || version === '') {
+      throw promptError('Prompt version is required');
+    }
+    const number = Number(version);
+    if (number === 0) return DEFAULT_VERSION;
+
+    const entry = (await this.getVersions()).find(candidate => candidate.version === number);
+    if (!entry) {
+      throw promptError(`Prompt version not found: ${version}`, 404);
+    }
+    return entry;
+  }
+
+  // Store the templates as a new version. Sections left out of data keep their current text.
+  async saveTemplates(data, { author = 'dashboard', note = '', rollbackOf = null } = {}) {
+    const versions = await this.getVersions();
+    const current = versions[versions.length - 1] || DEFAULT_VERSION;
+    const templates = normalizePromptTemplates(data, current.templates);
+    if (Object.keys(PROMPT_SECTIONS).every(section => templates[section] === current.templates[section])) {
+      throw promptError('No changes to save');
+    }
+
+    const entry = {
+      version: current.version + 1,
+      templates,
+      createdAt: Date.now(),
+      author: String(author || 'dashboard').substring(0, 100),
+      note: String(note || '').trim().substring(0, 200),
+      rollbackOf
+    };
+    versions.push(entry);
+    await this.kv.put(PROMPT_TEMPLATES_KEY, JSON.stringify({
+      versions: versions.slice(-MAX_PROMPT_VERSIONS),
+      updatedAt: entry.createdAt
+    }));
+    console.log(`Saved prompt templates version ${entry.version} by ${entry.author}`);
+    return entry;
+  }
+
+  // Bring back the texts of an earlier version, as a new version so the history stays linear
+  async rollback(version, { author = 'dashboard' } = {}) {
+    const target = await this.getVersion(version);
+    return await this.saveTemplates(target.templates, {
+      author,
+      note: `Rollback to version ${target.version}`,
+      rollbackOf: target.version
+    });
+  }
+
+  // Compare two versions (to defaults to the current one)
+  async diffVersions(from, to = null) {
+    const fromVersion = await this.getVersion(from);
+    const toVersion = to === null ? await this.getCurrent() : await this.getVersion(to);
+    return {
+      from: fromVersion.version,
+      to: toVersion.version,
+      sections: diffTemplates(fromVersion.templates, toVersion.templates)
+    };
+  }
+}
@@ -0,0 +1,34 @@
+// replyParser.js - Extract the structured blocks the model appends to its replies
+
+// Blocks carrying an order or a booking
+export const REPLY_BLOCK_TAGS = ['order', 'reservation', 'leisure'];
+
+// Find a <tag>{json}</tag> block in a reply. Returns the reply without the block(s),
+// the parsed JSON of the last block (or null) and the parse error if the JSON was invalid.
+export function extractTaggedJson(text, tag) {
+  const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'gi');
+  const source = String(text || '');
+  const matches = [...source.matchAll(pattern)];
+
+  if (matches.length === 0) {
+    return { text: source.trim(), data: null, error: null };
+  }
+
+  const stripped = source.replace(pattern, '').replace(/\n{3,}/g, '\n\n').trim();
+  const raw = matches[matches.length - 1][1]
+    .replace(/^\s*```(?:json)?/i, '')
+    .replace(/```\s*$/, '')
+    .trim();
+
+  try {
+    return { text: stripped, data: JSON.parse(raw), error: null };
+  } catch (error) {
+    return { text: stripped, data: null, error };
+  }
+}
+
+// The <tag>...</tag> blocks of a reply for any of the given tags, word for word and in order
+export function findTaggedBlocks(text, tags) {
+  const pattern = new RegExp(`<(${tags.join('|')})>[\\s\\S]*?</\\1>`, 'gi');
+  return [...String(text || '').matchAll(pattern)].map(match => match[0]);
+}
@@ -0,0 +1,35 @@
+// replySuggestions.js - Replies drafted by the AI for a human agent to pick, edit and send
+import { extractTaggedJson } from './replyParser.js';
+
+// How many replies are drafted for the agent
+export const SUGGESTION_COUNT = 3;
+
+// Blocks the customer-facing prompt asks for, which have no place in a reply written by an agent
+const ACTION_BLOCK_TAGS = ['order', 'reservation', 'leisure'];
+
+// Last instruction of the request, after the usual system prompt and the conversation
+export function buildSuggestionInstructions(count = SUGGESTION_COUNT) {
+  return `Un membre de l'équipe a repris cette conversation et répond lui-même au client. Propose-lui ${count} réponses différentes au dernier message du client, qu'il pourra envoyer telles quelles ou modifier.
+- Réponses courtes, dans la langue du client, fondées uniquement sur le menu, les horaires et les informations ci-dessus.
+- N'ajoute aucun bloc <order>, <reservation> ou <leisure>: l'équipe enregistre elle-même les commandes et les réservations.
+Réponds uniquement avec: <suggestions>["réponse 1", "réponse 2", "réponse 3"]</suggestions>`;
+}
+
+// Read the suggestions from the model reply: a <suggestions> block, or a bare JSON list
+export function parseSuggestions(reply, count = SUGGESTION_COUNT) {
+  let { data } = extractTaggedJson(reply, 'suggestions');
+  if (!Array.isArray(data)) {
+    const list = String(reply || '').match(/\[[\s\S]*\]/);
+    try {
+      data = list ? JSON.parse(list[0]) : [];
+    } catch (error) {
+      data = [];
+    }
+  }
+  if (!Array.isArray(data)) return [];
+
+  const suggestions = data
+    .map(entry => ACTION_BLOCK_TAGS.reduce((text, tag) => extractTaggedJson(text, tag).text, String(entry || '')))
+    .filter(Boolean);
+  return [...new Set(suggestions)].slice(0, count);
+}
@@ -0,0 +1,307 @@
+// reservationManager.js - Table and event reservations taken by the bot and confirmed by staff
+import { Schedule, getScheduleStatus, getServiceDay, serviceTimeToTimestamp, formatHour, WEEKDAY_NAMES_FR } from './schedule.js';
+import { listAllKeys } from './kvKeys.js';
+
+// KV key prefix for reservation records and key of the sequential reservation number counter
+export const RESERVATION_KEY_PREFIX = 'reservation:';
+export const RESERVATION_COUNTER_KEY = 'reservation_counter';
+
+// Reservations are kept for 180 days
+export const RESERVATION_TTL = 60 * 60 * 24 * 180;
+
+// Areas that can be booked. The lounge only opens at 20h.
+export const RESERVATION_AREAS = {
+  'restaurant': { name: 'Restaurant', capacity: 40, opensAt: null },
+  'lounge': { name: 'Lounge', capacity: 60, opensAt: '20:00' }
+};
+
+// A table is considered taken for this long when checking overlapping bookings
+export const RESERVATION_DURATION_MINUTES = 120;
+
+// How far ahead customers can book
+export const RESERVATION_MAX_DAYS_AHEAD = 60;
+
+// Reservation lifecycle: pending requests are confirmed or declined by staff
+export const RESERVATION_TRANSITIONS = {
+  'pending': ['confirmed', 'declined', 'cancelled'],
+  'confirmed': ['cancelled'],
+  'declined': [],
+  'cancelled': []
+};
+
+export const RESERVATION_STATUSES = Object.keys(RESERVATION_TRANSITIONS);
+
+// Reservations that hold seats
+const ACTIVE_STATUSES = ['pending', 'confirmed'];
+
+// Create an error carrying the HTTP status the API should answer with
+export function reservationError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const WEEKDAY_NAMES_EN = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Short description of a booking ("samedi 24/10 à 21h, 8 personnes, Lounge (anniversaire)")
+export function formatReservationSummary(reservation, language = 'fr') {
+  const [, month, day] = reservation.date.split('-');
+  const weekdayIndex = new Date(`${reservation.date}T12:00:00Z`).getUTCDay();
+  const area = RESERVATION_AREAS[reservation.area]?.name || reservation.area;
+  const occasion = reservation.occasion ? ` (${reservation.occasion})` : '';
+  const plural = reservation.partySize > 1;
+
+  if (language === 'en') {
+    return `${WEEKDAY_NAMES_EN[weekdayIndex]} ${day}/${month} at ${reservation.time}, ${reservation.partySize} ${plural ? 'people' : 'person'}, ${area}${occasion}`;
+  }
+  return `${WEEKDAY_NAMES_FR[weekdayIndex]} ${day}/${month} à ${formatHour(reservation.time)}, ${reservation.partySize} personne${plural ? 's' : ''}, ${area}${occasion}`;
+}
+
+// Read a booking time written as "21:00", "21h" or "21h30". Returns "HH:MM", or null when it is not a time.
+export function normalizeBookingTime(value) {
+  const match = /^(\d{1,2})[:h](\d{2})?$/i.exec(String(value || '').trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2] || 0) > 59) {
+    return null;
+  }
+  return `${match[1].padStart(2, '0')}:${match[2] || '00'}`;
+}
+
+// Why a booking cannot be taken, as explained to the customer
+const UNAVAILABLE_REASONS = {
+  'past': () => 'Cette date est déjà passée.',
+  'too_far': () => `Nous prenons les réservations jusqu'à ${RESERVATION_MAX_DAYS_AHEAD} jours à l'avance.`,
+  'closed': () => 'Le restaurant est fermé à cette heure-là.',
+  'area_hours': (area) => `Le ${area.name} n'ouvre qu'à partir de ${formatHour(area.opensAt)}.`,
+  'capacity': (area, remaining) => remaining > 0
+    ? `Il ne reste que ${remaining} place${remaining > 1 ? 's' : ''} au ${area.name} à cette heure-là.`
+    : `Le ${area.name} est complet à cette heure-là.`
+};
+
+export function formatUnavailableReason(availability) {
+  const reason = UNAVAILABLE_REASONS[availability.reason];
+  return reason ? reason(RESERVATION_AREAS[availability.area], availability.remaining) : 'Cette réservation n\'est pas possible.';
+}
+
+// Messages sent to the customer when staff confirm or decline a booking
+const DECISION_MESSAGES = {
+  fr: {
+    'confirmed': (reservation) => `✅ Votre réservation n°${reservation.number} est confirmée: ${formatReservationSummary(reservation)}. À bientôt au Complexe LeSims, Soa Fin Goudron!`,
+    'declined': (reservation) => `Désolé, nous ne pouvons pas accepter votre réservation n°${reservation.number} (${formatReservationSummary(reservation)}).${reservation.decisionNote ? ` ${reservation.decisionNote}` : ''} N'hésitez pas à nous proposer une autre date ou heure.`,
+    'cancelled': (reservation) => `Votre réservation n°${reservation.number} (${formatReservationSummary(reservation)}) a été annulée.`
+  },
+  en: {
+    'confirmed': (reservation) => `✅ Your reservation #${reservation.number} is confirmed: ${formatReservationSummary(reservation, 'en')}. See you at Complexe LeSims, Soa Fin Goudron!`,
+    'declined': (reservation) => `Sorry, we cannot accept your reservation #${reservation.number} (${formatReservationSummary(reservation, 'en')}).${reservation.decisionNote ? ` ${reservation.decisionNote}` : ''} Feel free to suggest another date or time.`,
+    'cancelled': (reservation) => `Your reservation #${reservation.number} (${formatReservationSummary(reservation, 'en')}) has been cancelled.`
+  }
+};
+
+// Build the WhatsApp message sent to the customer for a staff decision (null when there is nothing to say)
+export function formatReservationDecision(reservation, language = 'fr') {
+  const messages = DECISION_MESSAGES[language] || DECISION_MESSAGES.fr;
+  const message = messages[reservation.status];
+  return message ? message(reservation) : null;
+}
+
+export class ReservationManager {
+  constructor(kvNamespace) {
+    if (!kvNamespace) {
+      throw new Error('KV namespace is required for ReservationManager');
+    }
+    this.kv = kvNamespace;
+    this.schedule = new Schedule(kvNamespace);
+  }
+
+  async nextReservationNumber() {
+    const current = parseInt(await this.kv.get(RESERVATION_COUNTER_KEY), 10) || 0;
+    const next = current + 1;
+    await this.kv.put(RESERVATION_COUNTER_KEY, String(next));
+    return next;
+  }
+
+  async getReservation(reservationId) {
+    const reservation = await this.kv.get(`${RESERVATION_KEY_PREFIX}${reservationId}`, 'json');
+    if (!reservation) {
+      throw reservationError(`Reservation not found: ${reservationId}`, 404);
+    }
+    return reservation;
+  }
+
+  async saveReservation(reservation) {
+    reservation.updatedAt = Date.now();
+    await this.kv.put(
+      `${RESERVATION_KEY_PREFIX}${reservation.id}`,
+      JSON.stringify(reservation),
+      { expirationTtl: RESERVATION_TTL }
+    );
+    return reservation;
+  }
+
+  // List reservations by time. from/to are YYYY-MM-DD dates (inclusive), status a status or a list.
+  async listReservations({ userId, status, from, to, area } = {}) {
+    const statuses = status ? [].concat(status) : null;
+    const keys = await listAllKeys(this.kv, RESERVATION_KEY_PREFIX);
+    const reservations = [];
+
+    for (const key of keys) {
+      const reservation = await this.kv.get(key.name, 'json');
+      if (!reservation) continue;
+      if (userId && reservation.userId !== userId) continue;
+      if (statuses && !statuses.includes(reservation.status)) continue;
+      if (area && reservation.area !== area) continue;
+      if (from && reservation.date < from) continue;
+      if (to && reservation.date > to) continue;
+      reservations.push(reservation);
+    }
+
+    return reservations.sort((a, b) => a.startsAt - b.startsAt);
+  }
+
+  // Validate a booking written by the model
+  normalizeReservationData(data) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(data?.date || ''))) {
+      throw reservationError('Reservation date must be formatted as YYYY-MM-DD');
+    }
+
+    const time = normalizeBookingTime(data.time);
+    if (!time) {
+      throw reservationError('Reservation time must be formatted as HH:MM');
+    }
+
+    const partySize = parseInt(data.partySize, 10);
+    if (!partySize || partySize < 1) {
+      throw reservationError('Party size must be at least 1');
+    }
+
+    const area = RESERVATION_AREAS[data.area] ? data.area : 'restaurant';
+
+    return {
+      date: data.date,
+      time,
+      partySize,
+      area,
+      occasion: String(data.occasion || '').trim(),
+      customerName: String(data.customerName || '').trim(),
+      notes: String(data.notes || '').trim(),
+      // The date is the service day, so 01:00 belongs to the night that started on that date
+      startsAt: serviceTimeToTimestamp(data.date, time)
+    };
+  }
+
+  // Check the capacity rules for a booking. Returns { available, reason, area, remaining }.
+  // excludeId leaves out the booking being updated.
+  async checkAvailability(data, { excludeId = null, now = new Date() } = {}) {
+    const area = RESERVATION_AREAS[data.area];
+
+    if (data.startsAt <= now.getTime()) {
+      return { available: false, reason: 'past', area: data.area };
+    }
+    if (data.startsAt > now.getTime() + RESERVATION_MAX_DAYS_AHEAD * 24 * 60 * 60 * 1000) {
+      return { available: false, reason: 'too_far', area: data.area };
+    }
+
+    const schedule = await this.schedule.getSchedule();
+    if (!getScheduleStatus(schedule, new Date(data.startsAt)).isOpen) {
+      return { available: false, reason: 'closed', area: data.area };
+    }
+    if (area.opensAt && data.startsAt < serviceTimeToTimestamp(data.date, area.opensAt)) {
+      return { available: false, reason: 'area_hours', area: data.area };
+    }
+
+    // Seats already held by bookings overlapping this one in the same area
+    const duration = RESERVATION_DURATION_MINUTES * 60 * 1000;
+    const overlapping = await this.listReservations({ status: ACTIVE_STATUSES, area: data.area });
+    const booked = overlapping
+      .filter(reservation => reservation.id !== excludeId && Math.abs(reservation.startsAt - data.startsAt) < duration)
+      .reduce((sum, reservation) => sum + reservation.partySize, 0);
+
+    const remaining = Math.max(0, area.capacity - booked);
+    if (data.partySize > remaining) {
+      return { available: false, reason: 'capacity', area: data.area, remaining };
+    }
+    return { available: true, reason: null, area: data.area, remaining: remaining - data.partySize };
+  }
+
+  // Apply a status change to a reservation object and append it to the history
+  recordTransition(reservation, status, by, note = '') {
+    reservation.history = reservation.history || [];
+    reservation.history.push({ from: reservation.status || null, to: status, at: Date.now(), by, note });
+    reservation.status = status;
+  }
+
+  // Save the reservation block the model attached to a reply.
+  // A pending request is updated in place; once staff decided on it, a new block starts a new request.
+  // Returns { reservation, availability, created, unchanged }; reservation is null when the booking is not possible.
+  async saveFromReply(userId, data, currentReservationId = null) {
+    const reservationData = this.normalizeReservationData(data);
+
+    let current = null;
+    if (currentReservationId) {
+      current = await this.kv.get(`${RESERVATION_KEY_PREFIX}${currentReservationId}`, 'json');
+      if (current && current.status !== 'pending') {
+        current = null;
+      }
+    }
+
+    const fields = ['date', 'time', 'partySize', 'area', 'occasion'];
+    if (current && fields.every(field => current[field] === reservationData[field])) {
+      return { reservation: current, availability: null, created: false, unchanged: true };
+    }
+
+    const availability = await this.checkAvailability(reservationData, { excludeId: current?.id });
+    if (!availability.available) {
+      return { reservation: null, availability, created: false, unchanged: false };
+    }
+
+    if (current) {
+      Object.assign(current, reservationData);
+      await this.saveReservation(current);
+      console.log(`Updated reservation #${current.number} (${current.id}) for user ${userId}`);
+      return { reservation: current, availability, created: false, unchanged: false };
+    }
+
+    const now = Date.now();
+    const reservation = {
+      id: `${now}-${Math.random().toString(36).substring(2, 10)}`,
+      number: await this.nextReservationNumber(),
+      userId,
+      status: null,
+      ...reservationData,
+      history: [],
+      createdAt: now
+    };
+    this.recordTransition(reservation, 'pending', 'ai-agent');
+    await this.saveReservation(reservation);
+
+    console.log(`Created reservation #${reservation.number} (${reservation.id}) for user ${userId}`);
+    return { reservation, availability, created: true, unchanged: false };
+  }
+
+  // Confirm, decline or cancel a reservation from the dashboard
+  async transitionReservation(reservationId, status, { by = 'system', note = '' } = {}) {
+    if (!RESERVATION_STATUSES.includes(status)) {
+      throw reservationError(`Unknown reservation status: ${status}`);
+    }
+
+    const reservation = await this.getReservation(reservationId);
+    if (!(RESERVATION_TRANSITIONS[reservation.status] || []).includes(status)) {
+      throw reservationError(`Invalid transition for reservation #${reservation.number}: ${reservation.status} -> ${status}`, 409);
+    }
+
+    this.recordTransition(reservation, status, by, note);
+    reservation.decisionNote = note;
+    await this.saveReservation(reservation);
+
+    console.log(`Reservation #${reservation.number} (${reservation.id}) moved to ${status} by ${by}`);
+    return reservation;
+  }
+
+  // Upcoming bookings of the current service day and after, for the system prompt
+  async getUpcomingForUser(userId, now = new Date()) {
+    return this.listReservations({
+      userId,
+      status: ACTIVE_STATUSES,
+      from: getServiceDay(now).date
+    });
+  }
+}
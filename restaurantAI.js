@@ -1,3 +1,25 @@
+import { MenuCatalog } from './menuCatalog.js';
+import { OrderManager, formatOrderLines } from './orderManager.js';
+import { extractTaggedJson, findTaggedBlocks, REPLY_BLOCK_TAGS } from './replyParser.js';
+import { formatPriceBreakdown } from './pricing.js';
+import { DeliveryZones } from './deliveryZones.js';
+import { formatPrice } from './menuCatalog.js';
+import { Schedule, formatStatusForPrompt, formatHoursForPrompt, formatHour, formatLocalTime } from './schedule.js';
+import { formatOrderReceipt, formatOrderStatusAnswer, isOrderStatusQuestion, detectLanguage } from './orderMessages.js';
+import { ReservationManager, formatReservationSummary, formatUnavailableReason } from './reservationManager.js';
+import { LeisureBookings, formatLeisureBookingSummary, formatLeisureUnavailable } from './leisureBookings.js';
+import { EventsCatalog } from './eventsCatalog.js';
+import { LLMProviders } from './llmProviders.js';
+import { AIToolRun, AI_TOOLS, MAX_TOOL_ROUNDS } from './aiTools.js';
+import { IntentClassifier, buildIntentNotification } from './intentClassifier.js';
+import { ConversationSummarizer, getUnsummarizedMessages, formatSummaryForPrompt } from './conversationSummary.js';
+import { buildSuggestionInstructions, parseSuggestions, SUGGESTION_COUNT } from './replySuggestions.js';
+import { PromptTemplates, renderPromptTemplates, DEFAULT_PROMPT_TEMPLATES } from './promptTemplates.js';
+import { KnowledgeBase, formatKnowledgeForPrompt } from './knowledgeBase.js';
+import { checkReplyPrices, buildPriceCorrectionInstructions, formatExactPricesNote, buildPriceIncident, MAX_PRICE_INCIDENTS } from './priceGuard.js';
+import { Analytics } from './analytics.js';
+import { HandoffRules, evaluateHandoffRules, AUTO_HANDOFF_AGENT, MAX_HANDOFF_LOG, HANDOFF_RULE_LABELS } from './handoffRules.js';
+
 export class ConversationManager {
   constructor(kvNamespace) {
     if (!kvNamespace) {
@@ -111,9 +133,29 @@ export class ConversationManager {
     return await this.getUserHistory(userId);
   }
 
+  // Rolling summary of the messages older than the ones sent to the model ({ text, summarizedUntil, ... })
+  async getSummary(userId) {
+    try {
+      return await this.kv.get(`chat_summary:${userId}`, 'json');
+    } catch (error) {
+      console.error('Error getting conversation summary:', error);
+      return null;
+    }
+  }
+
+  async saveSummary(userId, summary) {
+    await this.kv.put(
+      `chat_summary:${userId}`,
+      JSON.stringify(summary),
+      { expirationTtl: this.expirationTtl }
+    );
+    return summary;
+  }
+
   async clearHistory(userId) {
     try {
       await this.kv.delete(`chat_history:${userId}`);
+      await this.kv.delete(`chat_summary:${userId}`);
       // Consider whether to keep or delete metadata when clearing history
       // For now, we'll keep metadata but update status
       await this.updateMetadata(userId, {
@@ -172,10 +214,8 @@ export class ConversationManager {
 }
 
 export class RestaurantAI {
-constructor(apiKey, kvNamespace, resendApiKey = '') {
-    if (!apiKey) {
-        throw new Error('API key is required for RestaurantAI');
-    }
+// env holds the LLM_* provider settings; apiKey is the DeepSeek key used when env has none
+constructor(apiKey, kvNamespace, resendApiKey = '', env = {}) {
     if (!kvNamespace) {
         throw new Error('KV namespace is required for RestaurantAI');
     }
@@ -183,6 +223,21 @@ constructor(apiKey, kvNamespace, resendApiKey = '') {
     this.apiKey = apiKey;
     this.resendApiKey = resendApiKey;
     this.conversationManager = new ConversationManager(kvNamespace);
+    this.menuCatalog = new MenuCatalog(kvNamespace);
+    this.orderManager = new OrderManager(kvNamespace);
+    this.deliveryZones = new DeliveryZones(kvNamespace);
+    this.schedule = new Schedule(kvNamespace);
+    this.reservationManager = new ReservationManager(kvNamespace);
+    this.leisureBookings = new LeisureBookings(kvNamespace);
+    this.eventsCatalog = new EventsCatalog(kvNamespace);
+    this.llmProviders = new LLMProviders(kvNamespace, { ...env, DEEPSEEK_API_KEY: env.DEEPSEEK_API_KEY || apiKey });
+    // INTENT_CLASSIFIER=rules skips the extra LLM call made to label each message
+    this.intentClassifier = new IntentClassifier(this.llmProviders, { useLLM: env.INTENT_CLASSIFIER !== 'rules' });
+    this.handoffRules = new HandoffRules(kvNamespace);
+    this.promptTemplates = new PromptTemplates(kvNamespace);
+    this.knowledgeBase = new KnowledgeBase(kvNamespace);
+    this.analytics = new Analytics(kvNamespace);
+    this.conversationSummarizer = new ConversationSummarizer(this.conversationManager, this.llmProviders);
     
     // Import EmailService if we have a Resend API key
     if (this.resendApiKey) {
@@ -199,192 +254,636 @@ constructor(apiKey, kvNamespace, resendApiKey = '') {
 
   this.menuResponse = `merci de demander, Voici notre menu. `;
 
-  this.systemPrompt = `Tu es un employé du restaurant Complexe LeSims. Ton rôle est de comprendre les demandes des clients et de répondre de manière professionnelle tout enssayant de mimiquer un vrai employe humain dans tes reponses. Tu dois donner les prix en francs CFA, par exemple 1500 francs CFA signifie 1500 francs CFA.
-
-Tu dois être poli, amiable, aimant, etre precis et concis dans tes reponses, avoir un peu d'humour occasionellement, patient et serviable. Si le client ecrit ou parle en anglais tu reponds en anglais et si c'est en francais tu reponds en francais. 
+  // Persona and business information come from the templates managers edit in the dashboard
+  // (promptTemplates.js). Standard answers and policies are looked up in the knowledge base for each message.
+  this.systemPrompt = `{{PERSONA}}
 
 
 Voici notre menu complet:
 
-SALADES:
-- Trio de légumes (carottes, laitue, chou rouge): 1000 francs CFA
-- Salade de gésiers (poivrons, oignons, gésiers, cornichons, laitue): 1500 francs CFA
-- Cocktail d'avocat oeuf dur (avocat, crevettes, oeuf dur, sauce cocktail): 2000 francs CFA
-- Salade du chef: 2000 francs CFA
-
-PÂTES:
-- Spaghettis bolognaise (spaghetti avec viande hachée et sauce tomate): 1500 francs CFA
-- Saute viande pommes/plantains (pommes, plantain et viandes sauté à la tomate): 1500 francs CFA
-- Tagliatelle à la carbonara (avec crème fraîche et lardons): 2500 francs CFA
-
-BURGERS:
-- Hamburger: 1500 francs CFA
-- Cheese burger: 2000 francs CFA
-- Chiken burger: 2500 francs CFA
-- Double cheese burger: 3000 francs CFA
-- Burger xxl: 3500 francs CFA
-
-KFC FOOD:
-- Poulet Royal bacon (Blanc de poulet pané, bacon, fromage): 3000 francs CFA
-- Spicy chiken (Poulet épicé pané): 3000 francs CFA
-- Chiken Wings (Ailes de poulet pané): 3000 francs CFA
-
-POULET GRILLÉ:
-- Poulet grillé (1/4): 2500 francs CFA
-- Poulet grillé (1/2): 4500 francs CFA
-- Poulet grillé (entier): 9500 francs CFA
-
-POULET AVEC SAUCES:
-- Sauce forestière (1/4: 3500 francs CFA, 1/2: 5500 francs CFA, entier: 10500 francs CFA)
-- Sauce poivre vert (1/4: 3000 francs CFA, 1/2: 5000 francs CFA, entier: 10000 francs CFA)
-- Sauce provinciale (1/4: 3000 francs CFA, 1/2: 5000 francs CFA, entier: 10000 francs CFA)
-
-POULET PANÉ:
-- Poulet pané (1/4): 3000 francs CFA
-- Poulet pané (1/2): 5000 francs CFA
-- Poulet pané (entier): 10000 francs CFA
-
-POISSON:
-- Poisson friture (plus sauce aux oignons): 1500 francs CFA
-- Maquereau grillé: 2000 francs CFA
-- Bar grillé à la poêle: 2500 francs CFA
-
-PORC:
-- Côte de porc grillées: 2500 francs CFA
-- Côte de porc à la sauce provinciale: 3000 francs CFA
-- Côte de porc à la sauce forestière: 3500 francs CFA
-
-BOEUF:
-- Saute viande pommes/plantains: 1000 francs CFA
-- Brochettes de boeuf: 2000 francs CFA
-- Steak grillé sauce au poivre vert: 2500 francs CFA
-- Filet de boeuf sauce marchand de vin: 2500 francs CFA
-- Saucisse de boeuf: 3000 francs CFA
-- Émincés de boeuf aux fines herbes: 2500 francs CFA
-- Émincés de boeuf stroganoff: 3000 francs CFA
-
-SPÉCIALITÉS AFRICAINES:
-- Ndole SAWA: 2000 francs CFA
-- Eru: 1000 francs CFA ET 1500 francs CFA
-- Taro et bouillon (uniquement le weekend)
-
-PIZZA (Petit/Moyen/Grand):
-- Regina (jambon, fromage, champignons, tomates): 3500 francs CFA/5000 francs CFA
-- Pizza BBQ: 2500 francs CFA/3500 francs CFA/5000 francs CFA
-- Végétarienne: 2500 francs CFA/3500 francs CFA/5000 francs CFA
-- Pizza mozzarella: 2500 francs CFA/3500 francs CFA/5000 francs CFA
-- Pizza sims: 2500 francs CFA/3500 francs CFA/5000 francs CFA
-- Pizza paysanne: 2500 francs CFA/3500 francs CFA/5000 francs CFA
-- Pizza dolce vita: 3500 francs CFA/5000 francs CFA
-- Pizza Savoyarde: 3500 francs CFA/5000 francs CFA
-- Lorsque le client sollicite une pizza avec du fromage, 500 francs CFA sont ajoutés au prix de la pizza
-
-SHAWARMA:
-- Shawarma viande: 1000 francs CFA
-- Shawarma xxl: 2000 francs CFA
-
-DESSERTS:
-- Mousse au chocolat: 1500 francs CFA
-- Crêpes sucrées: 1000 francs CFA
-- Fruits de saison: 1000 francs CFA
-
-GLACES:
-- Cornet: 300 francs CFA
-- Petit pot: 500 francs CFA
-- Pot moyen: 1000 francs CFA
-- Grand pot: 1500 francs CFA
-
-JUS DE FRUITS:
-- Jus d'orange(orange): 500 francs CFA
-- Jus d'ananas(ananas): 500 francs CFA
-- Jus de pastèque(pasteque): 500 francs CFA
-- Cocktail: 500 francs CFA
-
-NOS PACKAGES:
-Package 1 (2500 francs CFA): Mini Burger Frite Pomme, Rissoles aux Légumes + Poisson, Un Jus de Fruit
-Package 2 (3000 francs CFA): Cuisse de Poulet Pané Épicé + Pomme, Tacos Viande + Pomme, Un Jus Cola 0,5ML
-Package 3 (2500 francs CFA): Poisson Sauce Basquaise + Riz, Crêpe Melba, Jus d'Oseille
-Package 4 (10000 francs CFA): Mix Grille, Une Saucisse, Un 1/4 de Poulet, Une Côte de Porc, 2 Brochettes, Une Pizza Margharita (Pomme + Plantain)
-Package 5 (3500 francs CFA): Ndomba de Porc + Plantain/Pomme, Cassade de Fruit
-Package 6 (4000 francs CFA): Pizza BBQ, Glace Vanille, Pirogue d'Ananas
-Package 7: Gésier Roti à l'Ail + Riz (1000 francs CFA), Rôti de Poulet + Frites (500 francs CFA), Glace (1000 francs CFA)
-
-NOS BOISSONS:
-Moët impérial: 60,000 francs CFA
-Moët nectar: 75,000 francs CFA
-Veuve clicquot: 75,000 francs CFA
-Ruinart brut: 90,000 francs CFA
-Ruinart blanc: 80,000 francs CFA
-Mumm Olympe: 80,000 francs CFA
-Mumm classique: 55,000 francs CFA
-Belair classique: 50,000 francs CFA
-Belair rose: 55,000 francs CFA
-Belair gold: 55,000 francs CFA
-Belair fantôme: 60,000 francs CFA
-Dom Pérignon: 200,000 francs CFA
-Castel ice: 15,000 francs CFA
-JP Chenet: 20,000 francs CFA
-Veuve de vernay: 20,000 francs CFA
-Paul Arras: 15,000 francs CFA
-Pearlent: 20,000 francs CFA
-Consigna: 10,000 francs CFA
-Tour de Canteloup: 7,500 francs CFA
-Bière: 1,000 francs CFA
-Eau: 1,000 francs CFA
-Smouth, Isenbek, Heineken, Booster (Grand modèle): 1,500 francs CFA
-Vieux moulin: 5,000 francs CFA
-Chi Cha: 3,000 francs CFA
-Grande Guinness: 2,000 francs CFA
+{{MENU}}
 
 Informations importantes:
-- Horaires d'ouverture: 12h à 6h du lundi au dimanche
-- Adresse: Yaoundé, Soa Fin Goudron
-- Service de livraison disponible au (237) 655 232 584
-- Temps de livraison: 30 minutes à 1 heure
-- Temps de préparation: 20 à 40 minutes
-- le service de livraison est disponible de 12h à 2h du lundi au dimanche
-- Nous acceptons les paiements en espèces et par Orange Money
-- les commandese peuvent être payées à la livraison
-- Nous offrons des réductions pour les commandes en gros
-- Toutes commandes du poulet et du poisson sont accompagnées des complements, portion de frites de pommes de terre ou de plantains ou de riz.
-- Si le client demande une portion supplémentaire des complements, il doit payer 500 francs CFA en plus pour chaque portion supplémentaire.
-- Les frais relatifs à la livraison sont les frais de transport en moyen 500 francs CFA mais peuvent aussi varier en fonction de la distance et le cout de la gamelle qui est a 200 franc CFA par unites et 150 franc CFA a partir de 2 unites. 
-
-A propos de Complexe LeSims:
-- le complexe lesims "all in one" est une entreprise qui fait dans la restauration, a des jeux de loisirs tel  que le billard, le ludo, jeu de dames, les echecs, les cartes, le babyfoot. A parir de 20h notre louange est pret avec de la bonne musiques disco et animation par des dj professionnels dans une  atmosphere electique jusqu'a l'aube.
-- Complexe LeSims est un restaurant familial qui propose une variété de plats africains et occidentaux.
-- Nous sommes fiers de servir des plats frais et délicieux à des prix abordables.
-- Notre équipe est dévouée à offrir un service exception
-- Nous accuillons les groupes pour des événements spéciaux et des fêtes d'anniversaire.
-
-
-Options et Restrictions:
-- Possibilité de plats végétariens sur demande
-- Informez-nous de vos allergies alimentaires
-- Options sans gluten disponibles
-- Réservations de groupe acceptées (appelez à l'avance)
-
-Réponses standards:
-Q: Comment allez-vous/comment cava/vous allez bien/comment vas tu?
-R: Je vais bien merci et vous?
-
-Q: Je veux/j'aimerai passer une commande
-R: Bien sûr, que voulez-vous commander?
-
-Q: Ce sera tout/ca va/c'est tout/c'est bon
-R: Merci! Votre commande a été prise en charge. À bientôt!
-
-Q: La commande est-elle prête?/est-ce que ma commande est prête?/est-ce que c'est prêt?/c'est prêt?/c'est bon?
-R: Votre commande sera prête dans un instant. Merci pour votre patience.
-
-Q: Quel repas ne met pas long?
-R: Le Poulet Grillé (1/4) à 2500 francs CFA.
+{{HOURS}}
+{{BUSINESS_INFO}}
+
+Zones de livraison:
+{{DELIVERY_ZONES}}
+- Pour connaître les frais de livraison exacts, demande au client son quartier ou de partager sa position WhatsApp.
+- Si le client est en dehors de ces zones, explique qu'un membre de l'équipe confirmera les frais de livraison.
+
+Soirées et événements au lounge:
+{{EVENTS}}
+- Quand le client demande ce qui se passe ce soir ou ce week-end, réponds uniquement à partir de cette liste (date, heure, prix d'entrée).
+- Si le client veut voir l'affiche d'une soirée, dis-lui qu'un membre de l'équipe va la lui envoyer.
+
+
+Prise de commande:
+- Quand le client passe ou modifie une commande, ajoute à la toute fin de ta réponse un bloc <order>...</order> qui contient uniquement du JSON décrivant la commande complète (pas seulement les changements).
+- Format: <order>{"status": "draft", "items": [{"name": "Poulet grillé", "size": "1/4", "quantity": 1, "extraSides": 0, "extraCheese": false, "notes": ""}], "fulfillment": "pickup", "address": "", "customerName": "", "requestedTime": null}</order>
+- "name" est le nom exact du plat dans le menu, "size" la taille ou la portion choisie (null si le plat n'a qu'un seul prix), "extraSides" le nombre de portions de complément supplémentaires, "extraCheese" true si le client veut du fromage sur sa pizza.
+- Ne calcule jamais toi-même le total, les suppléments, l'emballage ou la livraison d'une commande: le système ajoute automatiquement le récapitulatif avec le total exact à la fin de ta réponse.
+- "fulfillment" vaut "pickup" pour sur place ou à emporter, "delivery" pour une livraison (renseigne alors "address").
+- "requestedTime" est l'heure souhaitée par le client au format "HH:MM" s'il veut sa commande plus tard, sinon null.
+- Mets "status": "confirmed" uniquement quand le client a confirmé sa commande finale, sinon "draft".
+- Le client ne voit pas ce bloc: ne le mentionne jamais dans ta réponse.
+
+Prise de réservation:
+- Le client peut réserver une table au restaurant, ou au lounge à partir de 20h, pour un repas, un groupe, un anniversaire ou un autre événement.
+- Demande-lui la date, l'heure, le nombre de personnes, l'occasion et l'espace souhaité (restaurant ou lounge) s'il ne les a pas encore donnés.
+- Quand tu as toutes ces informations, ajoute à la toute fin de ta réponse un bloc <reservation>...</reservation> qui contient uniquement du JSON.
+- Format: <reservation>{"date": "AAAA-MM-JJ", "time": "21:00", "partySize": 8, "occasion": "anniversaire", "area": "lounge", "customerName": "", "notes": ""}</reservation>
+- Calcule "date" à partir de la date actuelle indiquée plus bas. Pour une soirée qui continue après minuit, garde la date du soir (samedi 1h du matin = date du samedi).
+- "area" vaut "restaurant" ou "lounge".
+- Ne confirme jamais toi-même la réservation: le système vérifie les places disponibles et ajoute sa réponse à la fin de la tienne, puis notre équipe confirme la réservation par message.
+- Le client ne voit pas ce bloc: ne le mentionne jamais dans ta réponse.
+
+Réservation des jeux:
+- Le client peut réserver une table de billard, le babyfoot ou une table de jeux de société, par créneaux de 30 minutes (1 heure par défaut, 3 heures maximum). Les disponibilités du jour sont indiquées plus bas: ne promets jamais un créneau déjà réservé.
+- Quand le client veut réserver et a donné l'heure (et la durée s'il en a une), ajoute à la toute fin de ta réponse un bloc <leisure>...</leisure> qui contient uniquement du JSON.
+- Format: <leisure>{"type": "billard", "date": "AAAA-MM-JJ", "time": "21:00", "durationMinutes": 60, "players": 2, "customerName": ""}</leisure>
+- "type" vaut "billard", "babyfoot" ou "jeux". Le système choisit la table libre, vérifie le créneau et ajoute la confirmation ou les autres créneaux libres à la fin de ta réponse: ne confirme jamais la réservation toi-même.
+- Le client ne voit pas ce bloc: ne le mentionne jamais dans ta réponse.
+
+Outils:
+- Tu peux appeler des fonctions pour consulter nos vraies données avant de répondre: get_menu_item (prix, tailles et disponibilité d'un plat), search_knowledge (réponses standards et règles de la maison), check_availability (table ou jeu libre), get_order_status (état d'une commande).
+- Pour agir, utilise create_order, make_reservation et book_game avec les mêmes informations que les blocs ci-dessus. Quand tu utilises une de ces fonctions, n'ajoute pas le bloc <order>, <reservation> ou <leisure> correspondant.
+- Le système ajoute lui-même les totaux et les numéros de commande ou de réservation à la fin de ta réponse: ne les recopie pas.
+- Appelle request_human quand le client demande à parler à quelqu'un, fait une réclamation ou demande quelque chose que tu ne peux pas faire, puis dis-lui qu'un membre de l'équipe va lui répondre.
+
+Réponses standards et règles de la maison utiles pour ce message:
+{{KNOWLEDGE}}
+- Pour toute autre question sur nos services, nos règles ou nos offres, appelle search_knowledge avant de répondre. N'invente jamais une règle ou une offre qui ne figure ni ici ni dans ses résultats.
 
 Les clients peuvent utiliser différentes formulations pour exprimer la même chose. Par exemple, 'Je veux un poulet grillé' et 'Je voudrais commander du poulet rôti' signifient la même chose. Sers-toi de ce menu pour répondre aux questions concernant le menu du complexe LeSims ou demande des précisions au client si nécessaire.`;
 }
 
+// Build the system prompt with the current menu catalog so prices are always up to date. query is the
+// customer message being answered, used to pick the knowledge base entries sent along.
+async buildSystemPrompt(userId, query = '') {
+  // Persona and business information as last saved from the dashboard
+  let prompt;
+  try {
+    prompt = renderPromptTemplates(this.systemPrompt, await this.promptTemplates.getTemplates());
+  } catch (error) {
+    console.error('Error loading prompt templates, using the built-in ones:', error);
+    prompt = renderPromptTemplates(this.systemPrompt, DEFAULT_PROMPT_TEMPLATES);
+  }
+
+  // Replacer functions keep a "$&" or "$1" written in edited texts from being expanded
+  const knowledgeText = formatKnowledgeForPrompt(await this.findKnowledge(query));
+  prompt = prompt.replace('{{KNOWLEDGE}}', () => knowledgeText);
+
+  try {
+    const menuText = await this.menuCatalog.getPromptMenu();
+    prompt = prompt.replace('{{MENU}}', () => menuText);
+  } catch (error) {
+    console.error('Error building system prompt from menu catalog:', error);
+    prompt = prompt.replace('{{MENU}}', '');
+  }
+
+  try {
+    const zonesText = await this.deliveryZones.getPromptZones();
+    prompt = prompt.replace('{{DELIVERY_ZONES}}', () => zonesText);
+  } catch (error) {
+    console.error('Error building delivery zones for system prompt:', error);
+    prompt = prompt.replace('{{DELIVERY_ZONES}}', '');
+  }
+
+  // Opening hours, current local time and open/closed state
+  try {
+    const schedule = await this.schedule.getSchedule();
+    prompt = prompt.replace('{{HOURS}}', () => formatHoursForPrompt(schedule));
+    prompt += `\n\n${formatStatusForPrompt(await this.schedule.getStatus())}`;
+  } catch (error) {
+    console.error('Error building schedule for system prompt:', error);
+    prompt = prompt.replace('{{HOURS}}', '');
+  }
+
+  // DJ nights and themed parties of the coming days
+  try {
+    const eventsText = await this.eventsCatalog.getPromptEvents();
+    prompt = prompt.replace('{{EVENTS}}', () => eventsText);
+  } catch (error) {
+    console.error('Error building events for system prompt:', error);
+    prompt = prompt.replace('{{EVENTS}}', '- Le lounge ouvre chaque soir à partir de 20h.');
+  }
+
+  // Tell the model which zone the customer's shared location falls in
+  const metadata = await this.conversationManager.getMetadata(userId);
+  if (metadata.deliveryLocation) {
+    prompt += `\n\n${this.describeDeliveryLocation(metadata.deliveryLocation)}`;
+  }
+
+  // Remind the model of the order being built, since order blocks are not kept in the history
+  const currentOrder = await this.getCurrentOrder(userId);
+  if (currentOrder && currentOrder.status === 'draft') {
+    prompt += `\n\nCommande en cours du client (brouillon): ${formatOrderLines(currentOrder).join('; ')}` +
+      ` - ${currentOrder.fulfillment === 'delivery' ? `livraison à ${currentOrder.address || 'adresse à préciser'}` : 'à emporter / sur place'}`;
+  }
+
+  // Billiard, babyfoot and board game slots already taken today
+  try {
+    prompt += `\n\n${await this.leisureBookings.formatForPrompt()}`;
+  } catch (error) {
+    console.error('Error building leisure availability for system prompt:', error);
+  }
+
+  // Remind the model of the customer's upcoming bookings
+  try {
+    const reservations = await this.reservationManager.getUpcomingForUser(userId);
+    if (reservations.length > 0) {
+      prompt += `\n\nRéservations à venir du client: ${reservations
+        .map(reservation => `n°${reservation.number} ${formatReservationSummary(reservation)} (${reservation.status === 'confirmed' ? 'confirmée' : 'en attente de confirmation'})`)
+        .join('; ')}`;
+    }
+  } catch (error) {
+    console.error(`Error loading reservations for user ${userId}:`, error);
+  }
+
+  return prompt;
+}
+
+// Knowledge base entries relevant to a customer message (none when the search fails)
+async findKnowledge(query) {
+  try {
+    const results = await this.knowledgeBase.search(query);
+    return results.map(result => result.entry);
+  } catch (error) {
+    console.error('Error searching the knowledge base:', error);
+    return [];
+  }
+}
+
+// Explain to the customer why an order was pushed to a later time or refused (null when nothing to say)
+describeOrderTiming(data, timing) {
+  const isDelivery = data.fulfillment === 'delivery';
+  const hours = timing.status.hours;
+  const window = isDelivery ? hours.delivery : hours.opening;
+  const hoursText = window
+    ? ` (${isDelivery ? 'livraison' : 'ouverture'} de ${formatHour(window.open)} à ${formatHour(window.close)})`
+    : '';
+
+  if (!timing.allowed) {
+    const next = timing.status.nextDeliveryStart ? ` Elle reprend à ${formatLocalTime(timing.status.nextDeliveryStart)}.` : '';
+    return isDelivery
+      ? `⏰ Désolé, nous ne prenons pas de commande en livraison en ce moment${hoursText}.${next}`
+      : `⏰ Désolé, le restaurant est fermé en ce moment${hoursText}.`;
+  }
+  if (timing.rescheduled && timing.scheduledFor) {
+    return `⏰ ${isDelivery ? "La livraison n'est pas disponible" : "Le restaurant n'est pas ouvert"} à cette heure-ci${hoursText}: votre commande est programmée pour ${formatLocalTime(timing.scheduledFor)}.`;
+  }
+  return null;
+}
+
+// Describe a shared delivery location and its zone for the model
+describeDeliveryLocation(deliveryLocation) {
+  const zone = deliveryLocation.zone;
+  const place = deliveryLocation.address ? ` (${deliveryLocation.address})` : '';
+
+  if (!zone) {
+    return `Le client a partagé sa position${place}, mais elle n'a pas pu être rattachée à une zone de livraison.`;
+  }
+  if (zone.outOfRange) {
+    return `Le client a partagé sa position${place}, à ${zone.distanceKm} km du restaurant: c'est en dehors de nos zones de livraison.`;
+  }
+  return `Le client a partagé sa position${place}: zone ${zone.name}, à ${zone.distanceKm} km, livraison ${formatPrice(zone.fee)}, environ ${zone.etaMinutes} minutes.`;
+}
+
+// Handle a WhatsApp location message: resolve the delivery zone, remember it and let the AI continue the order
+async handleLocationMessage(userId, location) {
+  const latitude = Number(location?.latitude);
+  const longitude = Number(location?.longitude);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+    return {
+      type: "text",
+      content: "Désolé, je n'ai pas pu lire votre position. Pourriez-vous nous indiquer votre quartier?"
+    };
+  }
+
+  const zone = await this.deliveryZones.resolve({ latitude, longitude });
+  const deliveryLocation = {
+    latitude,
+    longitude,
+    address: [location.name, location.address].filter(Boolean).join(', '),
+    zone,
+    sharedAt: Date.now()
+  };
+  await this.conversationManager.updateMetadata(userId, { deliveryLocation });
+  console.log(`User ${userId} shared a location resolved to zone ${zone?.zoneId || (zone?.outOfRange ? 'out-of-range' : 'unknown')}`);
+
+  const locationMessage = `📍 Position partagée: ${deliveryLocation.address || `${latitude}, ${longitude}`}`;
+
+  // Leave the answer to the agent when a human is handling the conversation
+  const metadata = await this.conversationManager.getMetadata(userId);
+  if (metadata.status === 'human-handled' && metadata.handledBy !== 'ai-agent') {
+    await this.conversationManager.addToHistory(userId, "user", locationMessage);
+    return {
+      type: "human_handoff",
+      content: "Message received and waiting for human agent response.",
+      metadata: {
+        handledBy: metadata.handledBy,
+        status: 'awaiting-response'
+      }
+    };
+  }
+
+  const aiReply = await this.askAI(userId, `${locationMessage}\n${this.describeDeliveryLocation(deliveryLocation)}`);
+  const response = await this.processReplyBlocks(userId, aiReply);
+
+  await this.conversationManager.addToHistory(userId, "user", locationMessage);
+  await this.conversationManager.addToHistory(userId, "assistant", response);
+  await this.refreshSummary(userId);
+
+  return {
+      type: "text",
+      content: response
+  };
+}
+
+// Get the order currently linked to a conversation, if any
+async getCurrentOrder(userId) {
+  try {
+    const metadata = await this.conversationManager.getMetadata(userId);
+    if (!metadata.currentOrderId) return null;
+    return await this.orderManager.getOrder(metadata.currentOrderId);
+  } catch (error) {
+    console.error(`Error getting current order for user ${userId}:`, error);
+    return null;
+  }
+}
+
+// Store a notification for the dashboard and email it to the staff
+async createNotification(notificationInfo) {
+  const timestamp = Date.now().toString();
+  const id = `${timestamp}-${Math.random().toString(36).substring(2, 10)}`;
+
+  await this.conversationManager.kv.put(
+      `notification:undelivered:${id}`,
+      JSON.stringify({
+          id,
+          ...notificationInfo,
+          timestamp: Date.now()
+      }),
+      { expirationTtl: 60 * 60 * 24 * 7 } // 7 days
+  );
+
+  await this.sendEmailNotification(notificationInfo);
+
+  console.log(`Created notification ${id} (${notificationInfo.type}) for user ${notificationInfo.userId} and sent email notification`);
+  return { id, ...notificationInfo };
+}
+
+// Store the reservation, game booking and order blocks of an AI reply and return the text the customer should see
+async processReplyBlocks(userId, reply) {
+  const { text: bookingReply } = await this.processReservationReply(userId, reply);
+  const { text: leisureReply } = await this.processLeisureReply(userId, bookingReply);
+  const { text } = await this.processOrderReply(userId, leisureReply);
+  return text;
+}
+
+// Extract the <reservation> block from an AI reply, check the capacity rules and store the booking request.
+// Returns the reply text the customer should see.
+async processReservationReply(userId, reply) {
+  const { text, data, error } = extractTaggedJson(reply, 'reservation');
+
+  if (error) {
+    console.error(`Invalid reservation block in AI reply for user ${userId}:`, error);
+  }
+  if (!data) {
+    return { text, reservation: null };
+  }
+
+  try {
+    const { reservation, notice } = await this.applyReservationData(userId, data);
+    if (!notice) {
+      return { text, reservation };
+    }
+    if (!reservation) {
+      return { text: [text, notice].filter(Boolean).join('\n\n'), reservation: null };
+    }
+    return { text: [text || 'Merci!', notice].join('\n\n'), reservation };
+  } catch (reservationError) {
+    console.error(`Error saving reservation from AI reply for user ${userId}:`, reservationError);
+    return { text, reservation: null };
+  }
+}
+
+// Store a booking request written by the model (reservation block or make_reservation tool).
+// Returns { reservation, availability, notice }; reservation is null when the booking is not possible
+// and notice is the text for the customer (null when nothing changed).
+async applyReservationData(userId, data) {
+  const metadata = await this.conversationManager.getMetadata(userId);
+  const { reservation, availability, created, unchanged } = await this.reservationManager.saveFromReply(
+    userId, data, metadata.currentReservationId
+  );
+
+  if (unchanged) {
+    return { reservation, availability, notice: null };
+  }
+
+  if (!reservation) {
+    const notice = `⚠️ ${formatUnavailableReason(availability)} Souhaitez-vous choisir une autre date, une autre heure ou un autre espace?`;
+    return { reservation: null, availability, notice };
+  }
+
+  if (reservation.id !== metadata.currentReservationId) {
+    await this.conversationManager.updateMetadata(userId, { currentReservationId: reservation.id });
+  }
+
+  await this.createNotification({
+    type: 'reservation_request',
+    title: `${created ? 'New' : 'Updated'} Reservation #${reservation.number}`,
+    body: `${reservation.partySize} people on ${reservation.date} at ${reservation.time} (${reservation.area})${reservation.occasion ? ` - ${reservation.occasion}` : ''} - waiting for confirmation`,
+    userId,
+    reservationId: reservation.id,
+    reservationNumber: reservation.number
+  });
+
+  const notice = `📅 Demande de réservation n°${reservation.number} enregistrée: ${formatReservationSummary(reservation)}. Notre équipe vous la confirme très vite par message.`;
+  return { reservation, availability, notice };
+}
+
+// Extract the <leisure> block from an AI reply and book a free billiard, babyfoot or board game table.
+// Returns the reply text the customer should see.
+async processLeisureReply(userId, reply) {
+  const { text, data, error } = extractTaggedJson(reply, 'leisure');
+
+  if (error) {
+    console.error(`Invalid leisure block in AI reply for user ${userId}:`, error);
+  }
+  if (!data) {
+    return { text, booking: null };
+  }
+
+  try {
+    const { booking, notice } = await this.applyLeisureData(userId, data);
+    if (!notice) {
+      return { text, booking };
+    }
+    if (!booking) {
+      return { text: [text, notice].filter(Boolean).join('\n\n'), booking: null };
+    }
+    return { text: [text || 'Merci!', notice].join('\n\n'), booking };
+  } catch (leisureError) {
+    console.error(`Error booking leisure slot from AI reply for user ${userId}:`, leisureError);
+    return { text, booking: null };
+  }
+}
+
+// Book a game table for a slot written by the model (leisure block or book_game tool).
+// Returns { booking, availability, notice }; booking is null when no table is free.
+async applyLeisureData(userId, data) {
+  const metadata = await this.conversationManager.getMetadata(userId);
+  const { booking, availability, unchanged } = await this.leisureBookings.saveFromReply(
+    userId, data, metadata.currentLeisureBookingId
+  );
+
+  if (unchanged) {
+    return { booking, availability, notice: null };
+  }
+
+  if (!booking) {
+    return { booking: null, availability, notice: `⚠️ ${formatLeisureUnavailable(data, availability)}` };
+  }
+
+  if (booking.id !== metadata.currentLeisureBookingId) {
+    await this.conversationManager.updateMetadata(userId, { currentLeisureBookingId: booking.id });
+  }
+
+  return { booking, availability, notice: `🎱 Réservation n°${booking.number} confirmée: ${formatLeisureBookingSummary(booking)}.` };
+}
+
+// Extract the <order> block from an AI reply, persist the order and notify staff when it is confirmed.
+// Returns the reply text the customer should see.
+async processOrderReply(userId, reply) {
+  const { text, data, error } = extractTaggedJson(reply, 'order');
+
+  if (error) {
+    console.error(`Invalid order block in AI reply for user ${userId}:`, error);
+  }
+  if (!data) {
+    return { text, order: null };
+  }
+
+  try {
+    const { order, notice } = await this.applyOrderData(userId, data);
+    if (!notice) {
+      return { text, order };
+    }
+    return { text: [text || 'Votre commande a bien été enregistrée.', notice].join('\n\n'), order };
+  } catch (orderError) {
+    console.error(`Error saving order from AI reply for user ${userId}:`, orderError);
+    return { text, order: null };
+  }
+}
+
+// Persist an order written by the model (order block or create_order tool) and notify staff when it is
+// confirmed. Returns { order, notice } where notice holds the timing notice and the computed totals
+// (null when nothing changed).
+async applyOrderData(userId, data) {
+  // Orders outside opening or delivery hours are pre-scheduled or refused
+  const timing = await this.schedule.checkOrderTiming(data.fulfillment, data.requestedTime || null);
+  const timingNotice = this.describeOrderTiming(data, timing);
+  if (!timing.allowed && data.status === 'confirmed') {
+    data.status = 'draft';
+  }
+
+  const metadata = await this.conversationManager.getMetadata(userId);
+  const { order, confirmed, unchanged } = await this.orderManager.saveFromReply(userId, data, metadata.currentOrderId, {
+    deliveryLocation: metadata.deliveryLocation || null,
+    scheduledFor: timing.allowed ? timing.scheduledFor : null
+  });
+
+  if (order.id !== metadata.currentOrderId) {
+    await this.conversationManager.updateMetadata(userId, { currentOrderId: order.id });
+  }
+
+  if (confirmed) {
+    await this.createNotification({
+      type: 'order_confirmed',
+      title: `New Order #${order.number}`,
+      body: `${formatOrderLines(order).join('; ')} - ${order.fulfillment === 'delivery' ? `Delivery to ${order.address || 'address not given'}` : 'Pickup'} - Total ${order.total} FCFA`,
+      userId,
+      orderId: order.id,
+      orderNumber: order.number
+    });
+  }
+
+  if (unchanged) {
+    return { order, notice: null };
+  }
+
+  // Quote the computed total instead of the model's own arithmetic.
+  // Once the order is confirmed the customer gets the full receipt instead of the recap.
+  const summary = confirmed ? formatOrderReceipt(order) : formatPriceBreakdown(order.pricing);
+  if (confirmed) {
+    await this.orderManager.markReceiptSent(order);
+  }
+
+  return { order, timing, notice: [timingNotice, summary].filter(Boolean).join('\n\n') };
+}
+
+// System prompt followed by the conversation so far. Older turns reach the model through the summary,
+// the others word for word. query is the customer message to answer.
+async buildConversationMessages(userId, query) {
+  const history = await this.conversationManager.getContext(userId);
+  const summary = await this.conversationManager.getSummary(userId);
+  const systemPrompt = await this.buildSystemPrompt(userId, query);
+
+  // History entries also carry timestamps and labels the APIs do not accept
+  return [
+      { role: "system", content: systemPrompt },
+      ...(summary ? [{ role: "system", content: formatSummaryForPrompt(summary) }] : []),
+      ...getUnsummarizedMessages(history, summary).map(({ role, content }) => ({ role, content }))
+  ];
+}
+
+// Ask the model for an answer. The model may call tools (menu lookups, availability, orders, bookings)
+// several times before answering; their results are fed back to it. Returns the text for the customer.
 async askAI(userId, prompt) {
   console.log('askAI called with prompt:', prompt);
+  const providers = await this.llmProviders.getProviders();
+  const messages = [
+      ...await this.buildConversationMessages(userId, prompt),
+      { role: "user", content: prompt }
+  ];
+  const toolRun = new AIToolRun(this, userId);
+
+  for (let round = 0; ; round++) {
+    // Stop offering tools on the last round so the model has to answer
+    const tools = round < MAX_TOOL_ROUNDS ? AI_TOOLS : null;
+    const reply = await this.chatWithFallback(providers, messages, { tools });
+
+    if (reply.toolCalls.length === 0 || !tools) {
+      return toolRun.finish(await this.guardReplyPrices(userId, providers, messages, reply.content));
+    }
+
+    messages.push({
+      role: 'assistant',
+      content: reply.content || '',
+      tool_calls: reply.toolCalls.map(toolCall => ({
+        id: toolCall.id,
+        type: 'function',
+        function: { name: toolCall.name, arguments: toolCall.arguments }
+      }))
+    });
+    for (const toolCall of reply.toolCalls) {
+      messages.push(await toolRun.execute(toolCall));
+    }
+  }
+}
+
+// Check the prices quoted in a reply against the menu before it is sent. A wrong price is corrected when the
+// right one is certain; otherwise the reply is regenerated once, and as a last resort sent with the exact
+// prices added. Each incident flags the conversation for review.
+async guardReplyPrices(userId, providers, messages, content) {
+  let catalog;
+  try {
+    catalog = await this.menuCatalog.getCatalog();
+  } catch (error) {
+    console.error('Error loading the menu catalog to check reply prices:', error);
+    return content;
+  }
+
+  const check = checkReplyPrices(content, catalog);
+  if (check.issues.length === 0) {
+    return content;
+  }
+  console.log(`Wrong prices in the reply to ${userId}:`, check.issues.map(issue => `${issue.item} ${issue.size || ''} ${issue.quoted}`));
+
+  let text = check.correctedText;
+  let action = 'corrected';
+  if (!check.correctable) {
+    const regenerated = await this.regenerateWithPrices(providers, messages, content, check.issues);
+    const recheck = regenerated ? checkReplyPrices(regenerated, catalog) : null;
+    if (recheck?.correctable) {
+      text = recheck.correctedText;
+      action = 'regenerated';
+    } else {
+      text = `${check.correctedText}\n\n${formatExactPricesNote(check.issues.filter(issue => issue.expected === null))}`;
+      action = 'annotated';
+    }
+  }
+
+  await this.flagPriceIncident(userId, buildPriceIncident(check.issues, action));
+  return text;
+}
+
+// Ask the model once more for the reply, with the exact prices of the items it got wrong (null on failure).
+// The order and booking blocks of the first reply are kept word for word in place of any the model rewrote,
+// so fixing a price never changes or drops an order or a booking.
+async regenerateWithPrices(providers, messages, content, issues) {
+  try {
+    const reply = await this.chatWithFallback(providers, [
+      ...messages,
+      { role: "assistant", content },
+      { role: "system", content: buildPriceCorrectionInstructions(issues) }
+    ], {});
+    if (!reply.content) return null;
+
+    const text = REPLY_BLOCK_TAGS.reduce((stripped, tag) => extractTaggedJson(stripped, tag).text, reply.content);
+    return [text, ...findTaggedBlocks(content, REPLY_BLOCK_TAGS)].join('\n');
+  } catch (error) {
+    console.error('Error regenerating a reply with the right prices:', error);
+    return null;
+  }
+}
+
+// Flag the conversation for review and count the incident
+async flagPriceIncident(userId, incident) {
+  try {
+    const metadata = await this.conversationManager.getMetadata(userId);
+    await this.conversationManager.updateMetadata(userId, {
+      priceReview: {
+        pending: true,
+        incidents: [...(metadata.priceReview?.incidents || []), incident].slice(-MAX_PRICE_INCIDENTS)
+      }
+    });
+    await this.analytics.increment('price_incidents');
+    await this.analytics.increment(`price_${incident.action}`);
+  } catch (error) {
+    console.error(`Error flagging price incident for user ${userId}:`, error);
+  }
+}
+
+// Draft replies for the human agent handling a conversation, with the same menu and booking knowledge
+// as the AI answers. Nothing is sent to the customer or stored: the agent picks, edits and sends.
+async suggestReplies(userId, count = SUGGESTION_COUNT) {
+  const providers = await this.llmProviders.getProviders();
+  const history = await this.conversationManager.getUserHistory(userId);
+  const lastCustomerMessage = [...history].reverse().find(message => message.role === 'user');
+  const messages = [
+      ...await this.buildConversationMessages(userId, lastCustomerMessage?.content || ''),
+      { role: "system", content: buildSuggestionInstructions(count) }
+  ];
+
+  const reply = await this.chatWithFallback(providers, messages, {});
+  const suggestions = parseSuggestions(reply.content, count);
+  console.log(`Drafted ${suggestions.length} reply suggestions for conversation ${userId}`);
+  return suggestions;
+}
+
+// Send the messages to the configured provider, falling back to the second provider once the first one
+// has exhausted its retries
+async chatWithFallback(providers, messages, options) {
+  let lastError;
+  for (const [index, provider] of providers.entries()) {
+    try {
+      return await this.chatWithRetry(provider, messages, options);
+    } catch (error) {
+      lastError = error;
+      console.error(`LLM provider ${provider.name} (${provider.model}) failed:`, error);
+      if (index < providers.length - 1) {
+        console.log(`Falling back to LLM provider ${providers[index + 1].name} (${providers[index + 1].model})`);
+      }
+    }
+  }
+
+  throw lastError;
+}
+
+async chatWithRetry(provider, messages, options) {
   const retryOptions = {
       maxRetries: 3,
       baseDelay: 1000,
@@ -395,34 +894,7 @@ async askAI(userId, prompt) {
 
   for (let attempt = 0; attempt < retryOptions.maxRetries; attempt++) {
       try {
-          // Get conversation history for this user
-          const context = await this.conversationManager.getContext(userId);
-
-          const response = await fetch("https://api.deepseek.com/v1/chat/completions", {
-              method: 'POST',
-              headers: {
-                  'Authorization': `Bearer ${this.apiKey}`,
-                  'Content-Type': 'application/json'
-              },
-              body: JSON.stringify({
-                  model: "deepseek-chat",
-                  messages: [
-                      { role: "system", content: this.systemPrompt },
-                      ...context,
-                      { role: "user", content: prompt }
-                  ],
-                  language: "fr"
-              })
-          });
-
-          if (!response.ok) {
-              const errorData = await response.json().catch(() => ({}));
-              throw new Error(`API request failed: ${response.status} ${errorData.error?.message || response.statusText}`);
-          }
-
-          const data = await response.json();
-          console.log('askAI response data:', data);
-          return data.choices[0].message.content;
+          return await provider.chat(messages, options);
       } catch (error) {
           lastError = error;
 
@@ -604,291 +1076,85 @@ async sendEmailNotification(notification) {
   }
 }
 
-async checkMessageForNotification(userId, messageType, content) {
+// Label a customer message (order, complaint, human_request, question, smalltalk) with a confidence score
+async classifyIntent(userId, content) {
+  const context = await this.conversationManager.getContext(userId);
+  return await this.intentClassifier.classify(content, context);
+}
+
+// Notify the staff when a labelled message calls for it (complaints, requests for a human, questions the
+// AI could not answer). Returns the notification, or null when none was needed.
+async checkMessageForNotification(userId, messageType, content, { intent = null, aiResponse = '' } = {}) {
   // Skip for non-text messages
   if (messageType !== 'text') return null;
 
-  // Add debug logging for notification checking
-  console.log(`Checking message for notification triggers: userId=${userId}, content="${content.substring(0, 30)}..."`);
-
-  // Convert to lowercase for easier matching
-  const lowerContent = content.toLowerCase();
-
   try {
-    // Enhanced help detection - more keywords, especially in French
-    const helpPhrases = [
-      "help", "aide", "besoin", "need", "assist", "support",
-      "question", "problème", "problem", "urgent", "important",
-      "comment", "how", "pourquoi", "why", "quand", "when",
-      "où", "where", "qui", "who", "aidez", "help me",
-      "s'il vous plaît", "please", "merci", "thanks",
-      "pouvez-vous", "can you", "pourriez-vous", "could you",
-      "je ne comprends pas", "i don't understand",
-      "expliquer", "explain", "clarifier", "clarify"
-    ];
-    
-    // Order detection phrases
-    const orderPhrases = [
-      "commander", "commande", "acheter", "order", "buy", 
-      "j'aimerais", "je voudrais", "i would like", "i want",
-      "menu", "prix", "price", "coût", "cost",
-      "livraison", "delivery", "emporter", "takeout"
-    ];
-    
-    // Direct help requests detection (stronger signals)
-    const directHelpRequests = [
-      "help me", "aidez-moi", "besoin d'aide", "need help",
-      "s'il vous plaît", "please help", "pouvez-vous m'aider",
-      "can you help", "j'ai besoin", "i need"
-    ];
-    
-    // Get the conversation history to check context
-    const context = await this.conversationManager.getContext(userId);
-    
-    // Check for direct help request in the current message
-    const isDirectHelpRequest = directHelpRequests.some(phrase => 
-      lowerContent.includes(phrase)
-    );
-    
-    if (isDirectHelpRequest) {
-      console.log(`Direct help request detected from user ${userId}: "${content.substring(0, 50)}..."`);
-      
-      const notificationInfo = {
-        type: 'help_needed',
-        title: 'Customer Needs Help',
-        body: `Customer ${userId} is explicitly asking for help: "${content.substring(0, 50)}${content.length > 50 ? '...' : ''}"`,
-        userId,
-        urgent: true,
-        lastMessage: content
-      };
-      
-      // Create notification in KV
-      const timestamp = Date.now().toString();
-      const id = `${timestamp}-${Math.random().toString(36).substring(2, 10)}`;
-      
-      await this.conversationManager.kv.put(
-          `notification:undelivered:${id}`,
-          JSON.stringify({
-              id,
-              ...notificationInfo,
-              timestamp: Date.now()
-          }),
-          { expirationTtl: 60 * 60 * 24 * 7 } // 7 days
-      );
-      
-      // Send email notification
-      await this.sendEmailNotification(notificationInfo);
-      
-      console.log(`Created notification ${id} for help request from user ${userId} and sent email notification`);
-      
-      return notificationInfo;
-    }
-    
-    // If we don't have enough context, check for help phrases in the current message
-    if (context.length < 2) {
-      // If the message contains multiple help phrases, it's likely a help request
-      const helpPhraseCount = helpPhrases.filter(phrase => 
-        lowerContent.includes(phrase)
-      ).length;
-      
-      if (helpPhraseCount >= 2) {
-        console.log(`Help request detected (based on multiple help phrases) from user ${userId}`);
-        
-        const notificationInfo = {
-          type: 'help_needed',
-          title: 'Customer Likely Needs Help',
-          body: `Customer ${userId} used multiple help-related phrases: "${content.substring(0, 50)}${content.length > 50 ? '...' : ''}"`,
-          userId,
-          urgent: true,
-          lastMessage: content
-        };
-        
-        // Create notification in KV
-        const timestamp = Date.now().toString();
-        const id = `${timestamp}-${Math.random().toString(36).substring(2, 10)}`;
-        
-        await this.conversationManager.kv.put(
-            `notification:undelivered:${id}`,
-            JSON.stringify({
-                id,
-                ...notificationInfo,
-                timestamp: Date.now()
-            }),
-            { expirationTtl: 60 * 60 * 24 * 7 } // 7 days
-        );
-        
-        // Send email notification
-        await this.sendEmailNotification(notificationInfo);
-        
-        console.log(`Created notification ${id} for likely help request from user ${userId} and sent email notification`);
-        
-        return notificationInfo;
-      }
-      
+    const label = intent || await this.classifyIntent(userId, content);
+    const notificationInfo = buildIntentNotification(userId, content, label, aiResponse);
+    if (!notificationInfo) {
       return null;
     }
-    
-    // For established conversations, check the context pattern
-    // Look for patterns where the user is asking something and the AI responds
-    const lastTwoMessages = context.slice(-2);
-    
-    // Check for help context - user asks something then sends a follow-up with help phrases
-    if (context.length >= 3) {
-      const lastThreeMessages = context.slice(-3);
-      
-      // If the last message is from user after an AI response, and contains help phrases
-      if (lastThreeMessages[1].role === 'assistant' && 
-          lastThreeMessages[2].role === 'user') {
-        
-        const userFollowUp = lastThreeMessages[2].content.toLowerCase();
-        const helpPhraseCount = helpPhrases.filter(phrase => 
-          userFollowUp.includes(phrase)
-        ).length;
-        
-        if (helpPhraseCount >= 1) {
-          console.log(`Help request detected (follow-up after AI response) from user ${userId}`);
-          
-          const notificationInfo = {
-            type: 'help_needed',
-            title: 'Customer Needs Clarification',
-            body: `Customer ${userId} is asking follow-up questions after AI response: "${userFollowUp.substring(0, 50)}${userFollowUp.length > 50 ? '...' : ''}"`,
-            userId,
-            urgent: false,
-            lastMessage: userFollowUp
-          };
-          
-          // Create notification in KV
-          const timestamp = Date.now().toString();
-          const id = `${timestamp}-${Math.random().toString(36).substring(2, 10)}`;
-          
-          await this.conversationManager.kv.put(
-              `notification:undelivered:${id}`,
-              JSON.stringify({
-                  id,
-                  ...notificationInfo,
-                  timestamp: Date.now()
-              }),
-              { expirationTtl: 60 * 60 * 24 * 7 } // 7 days
-          );
-          
-          // Send email notification
-          await this.sendEmailNotification(notificationInfo);
-          
-          console.log(`Created notification ${id} for clarification request from user ${userId} and sent email notification`);
-          
-          return notificationInfo;
-        }
-      }
-    }
-    
-    // Only trigger on user messages followed by AI responses
-    if (lastTwoMessages.length >= 2 && 
-        lastTwoMessages[0].role === 'user' && 
-        lastTwoMessages[1].role === 'assistant') {
-      
-      const userMessage = lastTwoMessages[0].content.toLowerCase();
-      const aiResponse = lastTwoMessages[1].content.toLowerCase();
-      
-      // Check for uncertainty in AI response
-      const uncertaintyPhrases = [
-        "je ne comprends pas", "je ne peux pas", "je ne suis pas sûr", 
-        "je ne sais pas", "je n'ai pas cette information", 
-        "i don't understand", "i can't", "i'm not sure", 
-        "i don't know", "i don't have that information",
-        "désolé", "sorry", "malheureusement", "unfortunately"
-      ];
-      
-      const aiUncertainty = uncertaintyPhrases.some(phrase => 
-        aiResponse.includes(phrase)
-      );
-      
-      if (aiUncertainty) {
-        console.log(`AI uncertainty detected in response to user ${userId}`);
-        
-        const notificationInfo = {
-          type: 'help_needed',
-          title: 'AI Knowledge Gap',
-          body: `Customer ${userId} asked something the AI is uncertain about: "${userMessage.substring(0, 50)}${userMessage.length > 50 ? '...' : ''}"`,
-          userId,
-          urgent: true,
-          lastMessage: userMessage,
-          aiResponse: aiResponse
-        };
-        
-        // Create notification in KV
-        const timestamp = Date.now().toString();
-        const id = `${timestamp}-${Math.random().toString(36).substring(2, 10)}`;
-        
-        await this.conversationManager.kv.put(
-            `notification:undelivered:${id}`,
-            JSON.stringify({
-                id,
-                ...notificationInfo,
-                timestamp: Date.now()
-            }),
-            { expirationTtl: 60 * 60 * 24 * 7 } // 7 days
-        );
-        
-        // Send email notification
-        await this.sendEmailNotification(notificationInfo);
-        
-        console.log(`Created notification ${id} for AI knowledge gap for user ${userId} and sent email notification`);
-        
-        return notificationInfo;
-      }
-      
-      // Check for order intentions
-      const orderIntent = orderPhrases.some(phrase => 
-        userMessage.includes(phrase)
-      );
-      
-      const aiConfirmedOrder = aiResponse.includes('commande') || 
-                              aiResponse.includes('confirmé') || 
-                              aiResponse.includes('order') || 
-                              aiResponse.includes('confirmed');
-      
-      if (orderIntent && aiConfirmedOrder) {
-        console.log(`Order confirmation detected for user ${userId}`);
-        
-        const notificationInfo = {
-          type: 'order_confirmed',
-          title: 'New Order',
-          body: `Customer ${userId} has placed an order that should be processed.`,
-          userId,
-          lastMessage: userMessage,
-          aiResponse: aiResponse
-        };
-        
-        // Create notification in KV
-        const timestamp = Date.now().toString();
-        const id = `${timestamp}-${Math.random().toString(36).substring(2, 10)}`;
-        
-        await this.conversationManager.kv.put(
-            `notification:undelivered:${id}`,
-            JSON.stringify({
-                id,
-                ...notificationInfo,
-                timestamp: Date.now()
-            }),
-            { expirationTtl: 60 * 60 * 24 * 7 } // 7 days
-        );
-        
-        // Send email notification
-        await this.sendEmailNotification(notificationInfo);
-        
-        console.log(`Created notification ${id} for order confirmation from user ${userId} and sent email notification`);
-        
-        return notificationInfo;
-      }
-    }
-    
-    return null;
+
+    console.log(`Message from ${userId} labelled ${label.intent} (${label.confidence}, ${label.source}) triggers a notification`);
+    return await this.createNotification(notificationInfo);
   } catch (error) {
     console.error('Error checking message for notification:', error);
     return null;
   }
 }
 
+// Check the handoff rules against a customer message and the AI answer, before they are added to the
+// history. Returns { rule, reason, customerMessage } when the conversation should go to the staff, null otherwise.
+async findAutoHandoff(userId, content, intent, aiResponse) {
+  try {
+    const rules = await this.handoffRules.getRules();
+    const metadata = await this.conversationManager.getMetadata(userId);
+    // Messages from before the AI last took the conversation back were already dealt with by the staff
+    const since = Math.max(metadata.handoffs?.[metadata.handoffs.length - 1]?.at || 0, metadata.aiResumedAt || 0);
+    const history = (await this.conversationManager.getContext(userId)).filter(message => (message.timestamp || 0) > since);
+    const handoff = evaluateHandoffRules(rules, { content, intent, aiResponse, history });
+    return handoff && { ...handoff, customerMessage: rules.message[detectLanguage(content)] };
+  } catch (error) {
+    console.error('Error checking handoff rules:', error);
+    return null;
+  }
+}
+
+// Hand the conversation to the staff: log the reason on the conversation and alert the agents.
+async startAutoHandoff(userId, content, handoff) {
+  const metadata = await this.conversationManager.getMetadata(userId);
+  const entry = {
+    rule: handoff.rule,
+    reason: handoff.reason,
+    message: content.substring(0, 200),
+    at: Date.now()
+  };
+  await this.conversationManager.updateMetadata(userId, {
+    status: 'human-handled',
+    handledBy: AUTO_HANDOFF_AGENT,
+    handoffs: [...(metadata.handoffs || []), entry].slice(-MAX_HANDOFF_LOG)
+  });
+  console.log(`Conversation ${userId} handed to the staff: ${handoff.reason}`);
+
+  await this.createNotification({
+    type: 'help_needed',
+    title: `Conversation Handed to Staff (${HANDOFF_RULE_LABELS[handoff.rule]})`,
+    body: `Customer ${userId} is waiting for an agent. ${handoff.reason}: "${content.substring(0, 50)}${content.length > 50 ? '...' : ''}"`,
+    userId,
+    urgent: true,
+    lastMessage: content,
+    handoffRule: handoff.rule
+  });
+}
+
+// Fold older messages into the conversation summary once enough of them piled up. Never throws.
+async refreshSummary(userId) {
+  try {
+    await this.conversationSummarizer.refresh(userId);
+  } catch (error) {
+    console.error('Error refreshing conversation summary:', error);
+  }
+}
 
 async handleMessage(userId, messageType, content) {
   console.log('restaurantAI.handleMessage called with type:', messageType, 'content:', content);
@@ -918,6 +1184,7 @@ async handleMessage(userId, messageType, content) {
           if (metadata.status === 'human-handled' && metadata.handledBy !== 'ai-agent') {
               // Just add the message to history
               await this.conversationManager.addToHistory(userId, "user", content);
+              await this.refreshSummary(userId);
               
               // Return special response indicating human should handle this
               return {
@@ -930,6 +1197,23 @@ async handleMessage(userId, messageType, content) {
               };
           }
 
+          // Answer "ma commande est prête?" from the real order state instead of letting the model guess.
+          // A draft is still being put together in the chat, so the AI answers about it.
+          if (isOrderStatusQuestion(content)) {
+              const currentOrder = await this.getCurrentOrder(userId);
+              if (currentOrder && currentOrder.status !== 'draft') {
+                  const statusAnswer = formatOrderStatusAnswer(currentOrder, detectLanguage(content));
+
+                  await this.conversationManager.addToHistory(userId, "user", content);
+                  await this.conversationManager.addToHistory(userId, "assistant", statusAnswer);
+
+                  return {
+                      type: "text",
+                      content: statusAnswer
+                  };
+              }
+          }
+
           // Enhanced menu request detection
           if (["menu", "carte", "tarifs", "plats"].some(keyword => lowerContent.includes(keyword))) {
               // First send a text response
@@ -949,16 +1233,36 @@ async handleMessage(userId, messageType, content) {
               };
           }
 
-          // Get AI response for other queries
-          const response = await this.askAI(userId, content);
+          // Label the message while the answer is being generated
+          const intentPromise = this.classifyIntent(userId, content);
+
+          // Get AI response for other queries, then pull out any structured order or booking it contains
+          const aiReply = await this.askAI(userId, content);
+          const aiResponse = await this.processReplyBlocks(userId, aiReply);
+
+          // Hand the conversation to the staff when the customer is angry, repeats themselves or the AI is unsure
+          const intent = await intentPromise;
+          const handoff = await this.findAutoHandoff(userId, content, intent, aiResponse);
+
+          // Update conversation history with timestamps and the message label
+          await this.conversationManager.addToHistory(userId, "user", content, {
+              intent: intent.intent,
+              intentConfidence: intent.confidence
+          });
 
-          // Update conversation history with timestamps
-          await this.conversationManager.addToHistory(userId, "user", content);
+          let response = aiResponse;
+          if (handoff) {
+              await this.startAutoHandoff(userId, content, handoff);
+              response = `${aiResponse}\n\n${handoff.customerMessage}`;
+          }
           await this.conversationManager.addToHistory(userId, "assistant", response);
           
           // Check if this message should trigger a notification
-          // We do this after the AI response so we can analyze both
-          const notificationInfo = await this.checkMessageForNotification(userId, messageType, content);
+          // We do this after the AI response so we can analyze both. A handoff already alerted the staff.
+          if (!handoff) {
+              await this.checkMessageForNotification(userId, messageType, content, { intent, aiResponse });
+          }
+          await this.refreshSummary(userId);
           
           return {
               type: "text",
@@ -966,6 +1270,10 @@ async handleMessage(userId, messageType, content) {
           };
       }
 
+      if (messageType === 'location') {
+          return await this.handleLocationMessage(userId, content);
+      }
+
       return {
           type: "text",
           content: "Type de message non pris en charge."
@@ -0,0 +1,351 @@
+// schedule.js - Opening and delivery hours in the restaurant timezone, with holiday overrides
+
+// The restaurant's local timezone and the hour at which a new service day starts.
+// The kitchen is open from 12h until 6h, so orders placed at 2h still belong to the previous day.
+export const RESTAURANT_TIMEZONE = 'Africa/Douala';
+export const SERVICE_DAY_START_HOUR = 6;
+
+// KV key holding the schedule configuration
+export const SCHEDULE_KEY = 'restaurant_schedule';
+
+// Weekday labels (0 = Sunday, like Date.getDay())
+export const WEEKDAY_NAMES_FR = ['dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi'];
+const WEEKDAY_SHORT_EN = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// What to do with delivery orders placed outside delivery hours
+export const OUT_OF_HOURS_POLICIES = ['schedule', 'refuse'];
+
+// Create an error carrying the HTTP status the API should answer with
+export function scheduleError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+export function buildDefaultSchedule() {
+  return {
+    opening: { open: '12:00', close: '06:00' },
+    delivery: { open: '12:00', close: '02:00' },
+    outOfHoursPolicy: 'schedule',
+    // Holidays and special days: { date: 'YYYY-MM-DD', closed: true, note } or custom hours
+    overrides: [],
+    updatedAt: Date.now()
+  };
+}
+
+// Read the local date and time parts of a moment in the restaurant timezone
+export function getLocalTime(now = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: RESTAURANT_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now);
+
+  const part = (type) => parts.find(entry => entry.type === type)?.value;
+  const hour = parseInt(part('hour'), 10);
+  const minute = parseInt(part('minute'), 10);
+
+  return {
+    date: `${part('year')}-${part('month')}-${part('day')}`,
+    weekday: WEEKDAY_SHORT_EN.indexOf(part('weekday')),
+    hour,
+    minute,
+    minutes: hour * 60 + minute
+  };
+}
+
+// Get the current service day (date string and weekday) in the restaurant timezone
+export function getServiceDay(now = new Date()) {
+  const shifted = new Date(now.getTime() - SERVICE_DAY_START_HOUR * 60 * 60 * 1000);
+  const { date, weekday } = getLocalTime(shifted);
+  return { date, weekday };
+}
+
+// Format a moment as a local time the way customers write it ("20h15")
+export function formatLocalTime(timestamp) {
+  const { hour, minute } = getLocalTime(new Date(timestamp));
+  return `${String(hour).padStart(2, '0')}h${String(minute).padStart(2, '0')}`;
+}
+
+// Format an "HH:MM" setting for customers ("12:00" -> "12h", "02:30" -> "2h30")
+export function formatHour(value) {
+  const [hour, minute] = value.split(':').map(Number);
+  return minute ? `${hour}h${String(minute).padStart(2, '0')}` : `${hour}h`;
+}
+
+// Check whether an "HH:MM" time belongs to the next calendar day of its service day (02:00 comes after 23:00).
+// A closing time equal to the day start (06:00) is the very end of the service day.
+function isAfterMidnight(value, isClose = false) {
+  const [hour, minute] = value.split(':').map(Number);
+  const minutes = hour * 60 + minute;
+  const dayStart = SERVICE_DAY_START_HOUR * 60;
+  return isClose ? minutes <= dayStart : minutes < dayStart;
+}
+
+// Convert "HH:MM" to minutes since midnight at the start of the service day
+function toServiceMinutes(value, isClose = false) {
+  const [hour, minute] = value.split(':').map(Number);
+  const minutes = hour * 60 + minute;
+  return isAfterMidnight(value, isClose) ? minutes + 24 * 60 : minutes;
+}
+
+// Check whether a time (minutes since the start of the service day) falls in an open/close window
+function isWithin(window, serviceMinutes) {
+  if (!window) return false;
+  return serviceMinutes >= toServiceMinutes(window.open) && serviceMinutes < toServiceMinutes(window.close, true);
+}
+
+// The timestamp of the next moment a local "HH:MM" time is reached (the restaurant timezone has no DST)
+export function nextOccurrence(value, now = new Date()) {
+  const [hour, minute] = value.split(':').map(Number);
+  const local = getLocalTime(now);
+  let diff = hour * 60 + minute - local.minutes;
+  if (diff <= 0) diff += 24 * 60;
+  const startOfMinute = now.getTime() - now.getUTCSeconds() * 1000 - now.getUTCMilliseconds();
+  return startOfMinute + diff * 60 * 1000;
+}
+
+function validateTime(value, label) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw scheduleError(`${label} must be a time formatted as HH:MM`);
+  }
+  return `${match[1].padStart(2, '0')}:${match[2]}`;
+}
+
+function validateWindow(window, label) {
+  if (!window) {
+    throw scheduleError(`${label} hours are required`);
+  }
+  const normalized = {
+    open: validateTime(window.open, `${label} opening time`),
+    close: validateTime(window.close, `${label} closing time`)
+  };
+  if (toServiceMinutes(normalized.close, true) <= toServiceMinutes(normalized.open)) {
+    throw scheduleError(`${label} hours must close after they open (service days end at ${SERVICE_DAY_START_HOUR}h)`);
+  }
+  return normalized;
+}
+
+// Validate a schedule sent from the dashboard
+export function normalizeSchedule(data) {
+  const overrides = (Array.isArray(data?.overrides) ? data.overrides : []).map(override => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(override?.date || ''))) {
+      throw scheduleError('Schedule overrides need a date formatted as YYYY-MM-DD');
+    }
+    const normalized = { date: override.date, note: String(override.note || '').trim() };
+    if (override.closed) {
+      normalized.closed = true;
+    } else {
+      normalized.opening = validateWindow(override.opening, `${override.date} opening`);
+      normalized.delivery = override.delivery ? validateWindow(override.delivery, `${override.date} delivery`) : null;
+    }
+    return normalized;
+  });
+
+  const dates = overrides.map(override => override.date);
+  if (new Set(dates).size !== dates.length) {
+    throw scheduleError('Only one override per date is allowed', 409);
+  }
+
+  const policy = data?.outOfHoursPolicy || 'schedule';
+  if (!OUT_OF_HOURS_POLICIES.includes(policy)) {
+    throw scheduleError(`outOfHoursPolicy must be one of: ${OUT_OF_HOURS_POLICIES.join(', ')}`);
+  }
+
+  return {
+    opening: validateWindow(data?.opening, 'Opening'),
+    delivery: validateWindow(data?.delivery, 'Delivery'),
+    outOfHoursPolicy: policy,
+    overrides: overrides.sort((a, b) => a.date.localeCompare(b.date))
+  };
+}
+
+// Hours that apply to a given service day, taking overrides into account
+export function getHoursForDay(schedule, serviceDate) {
+  const override = (schedule.overrides || []).find(entry => entry.date === serviceDate);
+  if (!override) {
+    return { opening: schedule.opening, delivery: schedule.delivery, closed: false, note: '' };
+  }
+  if (override.closed) {
+    return { opening: null, delivery: null, closed: true, note: override.note };
+  }
+  return { opening: override.opening, delivery: override.delivery || null, closed: false, note: override.note };
+}
+
+// Open/closed state of the restaurant and of the delivery service at a given moment
+export function getScheduleStatus(schedule, now = new Date()) {
+  const local = getLocalTime(now);
+  const serviceDay = getServiceDay(now);
+  const serviceMinutes = local.hour < SERVICE_DAY_START_HOUR ? local.minutes + 24 * 60 : local.minutes;
+  const hours = getHoursForDay(schedule, serviceDay.date);
+
+  const status = {
+    now: now.getTime(),
+    localDate: local.date,
+    localTime: formatLocalTime(now),
+    weekday: local.weekday,
+    serviceDate: serviceDay.date,
+    hours,
+    isOpen: isWithin(hours.opening, serviceMinutes),
+    isDeliveryOpen: isWithin(hours.delivery, serviceMinutes),
+    nextDeliveryStart: null
+  };
+
+  if (!status.isDeliveryOpen) {
+    status.nextDeliveryStart = findNextWindowStart(schedule, now, 'delivery');
+  }
+
+  return status;
+}
+
+// Timestamp of a local "HH:MM" time on a service day (times before the day start fall on the next calendar day)
+export function serviceTimeToTimestamp(serviceDate, value, isClose = false) {
+  const [year, month, day] = serviceDate.split('-').map(Number);
+  const [hour, minute] = value.split(':').map(Number);
+  const dayOffset = isAfterMidnight(value, isClose) ? 1 : 0;
+  const asUtc = Date.UTC(year, month - 1, day + dayOffset, hour, minute);
+
+  // Shift by the timezone offset at that moment
+  const local = getLocalTime(new Date(asUtc));
+  const [localYear, localMonth, localDay] = local.date.split('-').map(Number);
+  const offset = Date.UTC(localYear, localMonth - 1, localDay, local.hour, local.minute) - asUtc;
+  return asUtc - offset;
+}
+
+// Find the next moment the restaurant ('opening') or the delivery service ('delivery') is open,
+// looking up to a week ahead. Returns now when it is already open.
+export function findNextWindowStart(schedule, now = new Date(), type = 'delivery') {
+  const dayMs = 24 * 60 * 60 * 1000;
+  for (let offset = 0; offset <= 7; offset++) {
+    const { date } = getServiceDay(new Date(now.getTime() + offset * dayMs));
+    const window = getHoursForDay(schedule, date)[type];
+    if (!window) continue;
+
+    const start = serviceTimeToTimestamp(date, window.open);
+    const end = serviceTimeToTimestamp(date, window.close, true);
+    if (now.getTime() < start) return start;
+    if (now.getTime() < end) return now.getTime();
+  }
+  return null;
+}
+
+// Describe the current time and opening state for the system prompt
+export function formatStatusForPrompt(status) {
+  const lines = [
+    `Date et heure actuelles à Soa: ${WEEKDAY_NAMES_FR[status.weekday]} ${status.localDate}, ${status.localTime}.`
+  ];
+
+  if (status.hours.closed) {
+    lines.push(`Le restaurant est exceptionnellement FERMÉ aujourd'hui${status.hours.note ? ` (${status.hours.note})` : ''}.`);
+  } else {
+    lines.push(status.isOpen
+      ? `Le restaurant est actuellement OUVERT (jusqu'à ${formatHour(status.hours.opening.close)}).`
+      : `Le restaurant est actuellement FERMÉ (ouverture à ${formatHour(status.hours.opening.open)}).`);
+  }
+
+  if (status.isDeliveryOpen) {
+    lines.push(`La livraison est actuellement disponible (jusqu'à ${formatHour(status.hours.delivery.close)}).`);
+  } else {
+    const next = status.nextDeliveryStart ? ` Prochaine livraison possible à partir de ${formatLocalTime(status.nextDeliveryStart)}.` : '';
+    lines.push(`La livraison n'est PAS disponible en ce moment: ne promets pas de livraison immédiate, propose de programmer la commande ou de venir la récupérer si le restaurant est ouvert.${next}`);
+  }
+
+  return lines.join('\n');
+}
+
+// Render the regular hours and upcoming special days for the system prompt
+export function formatHoursForPrompt(schedule, now = new Date()) {
+  const lines = [
+    `- Horaires d'ouverture: ${formatHour(schedule.opening.open)} à ${formatHour(schedule.opening.close)} du lundi au dimanche`,
+    `- le service de livraison est disponible de ${formatHour(schedule.delivery.open)} à ${formatHour(schedule.delivery.close)} du lundi au dimanche`
+  ];
+
+  const today = getServiceDay(now).date;
+  const inAWeek = getServiceDay(new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000)).date;
+  (schedule.overrides || [])
+    .filter(override => override.date >= today && override.date <= inAWeek)
+    .forEach(override => {
+      const note = override.note ? ` (${override.note})` : '';
+      lines.push(override.closed
+        ? `- Fermeture exceptionnelle le ${override.date}${note}`
+        : `- Horaires spéciaux le ${override.date}${note}: ${formatHour(override.opening.open)} à ${formatHour(override.opening.close)}` +
+          (override.delivery ? `, livraison de ${formatHour(override.delivery.open)} à ${formatHour(override.delivery.close)}` : ', pas de livraison'));
+    });
+
+  return lines.join('\n');
+}
+
+export class Schedule {
+  constructor(kvNamespace) {
+    if (!kvNamespace) {
+      throw new Error('KV namespace is required for Schedule');
+    }
+    this.kv = kvNamespace;
+  }
+
+  async getSchedule() {
+    const schedule = await this.kv.get(SCHEDULE_KEY, 'json');
+    if (schedule) {
+      return schedule;
+    }
+
+    console.log('No schedule found in KV, seeding default schedule');
+    const defaults = buildDefaultSchedule();
+    await this.kv.put(SCHEDULE_KEY, JSON.stringify(defaults));
+    return defaults;
+  }
+
+  async saveSchedule(data) {
+    const schedule = {
+      ...normalizeSchedule(data),
+      updatedAt: Date.now()
+    };
+    await this.kv.put(SCHEDULE_KEY, JSON.stringify(schedule));
+    return schedule;
+  }
+
+  async getStatus(now = new Date()) {
+    return getScheduleStatus(await this.getSchedule(), now);
+  }
+
+  // Decide when an order can be served. Delivery orders outside delivery hours (and any order while
+  // the restaurant is closed) are either pushed to the next opening or refused, depending on the policy.
+  // requestedTime is an optional "HH:MM" the customer asked for; a time that cannot be read ("25:00",
+  // "ce soir") counts as no time given so the order still goes through.
+  async checkOrderTiming(fulfillment, requestedTime = null, now = new Date()) {
+    const schedule = await this.getSchedule();
+    const status = getScheduleStatus(schedule, now);
+
+    let scheduledFor = null;
+    if (requestedTime) {
+      try {
+        scheduledFor = nextOccurrence(validateTime(requestedTime, 'Requested time'), now);
+      } catch (error) {
+        console.log(`Ignoring unreadable requested time: ${requestedTime}`);
+      }
+    }
+
+    const isDelivery = fulfillment === 'delivery';
+    const checkAt = scheduledFor ? new Date(scheduledFor) : now;
+    const statusAtTime = scheduledFor ? getScheduleStatus(schedule, checkAt) : status;
+    const servable = isDelivery ? statusAtTime.isDeliveryOpen : statusAtTime.isOpen;
+
+    if (servable) {
+      return { allowed: true, scheduledFor, status };
+    }
+
+    if (schedule.outOfHoursPolicy === 'refuse') {
+      return { allowed: false, refused: true, scheduledFor: null, status };
+    }
+
+    // Pre-schedule at the next time the order can be served
+    const nextStart = findNextWindowStart(schedule, checkAt, isDelivery ? 'delivery' : 'opening');
+    return { allowed: Boolean(nextStart), scheduledFor: nextStart, status, rescheduled: true };
+  }
+}
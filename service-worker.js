@@ -1,7 +1,7 @@
 // service-worker.js - Enhanced for PWA functionality, offline support, and notification handler for Complexe LeSims Dashboard
 
 // Cache name with version for easy updates
-const CACHE_NAME = 'lesims-dashboard-cache-v4';
+const CACHE_NAME = 'lesims-dashboard-cache-v11';
 
 // Define offline page URL
 const OFFLINE_PAGE = './offline.html';
@@ -27,6 +27,13 @@ const CORE_ASSETS = [
 const ADDITIONAL_ASSETS = [
   './js/notification-system.js',
   './js/mobile-chat.js',
+  './js/menu-editor.js',
+  './js/kitchen-display.js',
+  './js/calendar.js',
+  './js/events.js',
+  './js/handoff-settings.js',
+  './js/prompt-editor.js',
+  './js/knowledge-base.js',
   './notification-sounds/new-customer.mp3',
   './notification-sounds/order-confirmed.mp3',
   './notification-sounds/help-needed.mp3',